@@ -1,5 +1,7 @@
 import React, { useContext } from "react";
 import Login from "./pages/Login";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import { AdminContext } from "./context/AdminContext";
@@ -9,11 +11,20 @@ import { Route, Routes } from "react-router-dom";
 import Dashboard from "./pages/Admin/Dashboard";
 import AddDoctor from "./pages/Admin/AddDoctor";
 import DoctorsList from "./pages/Admin/DoctorsList";
+import EditDoctor from "./pages/Admin/EditDoctor";
+import ImportDoctors from "./pages/Admin/ImportDoctors";
 import AllAppointments from "./pages/Admin/AllAppointments";
+import Holidays from "./pages/Admin/Holidays";
+import Transactions from "./pages/Admin/Transactions";
+import Coupons from "./pages/Admin/Coupons";
+import Staff from "./pages/Admin/Staff";
+import AuditLog from "./pages/Admin/AuditLog";
+import Security from "./pages/Security";
 import { DoctorContext } from "./context/DoctorContext";
 import DoctorDashboard from "./pages/Doctor/DoctorDashboard";
 import DoctorAppointments from "./pages/Doctor/DoctorAppointments";
 import DoctorProfile from "./pages/Doctor/DoctorProfile";
+import DoctorTimeOff from "./pages/Doctor/DoctorTimeOff";
 
 const App = () => {
   const { aToken } = useContext(AdminContext);
@@ -31,18 +42,33 @@ const App = () => {
           <Route path="/admin-dashboard" element={<Dashboard />} />
           <Route path="/all-appointments" element={<AllAppointments />} />
           <Route path="/add-doctor" element={<AddDoctor />} />
+          <Route path="/import-doctors" element={<ImportDoctors />} />
           <Route path="/doctor-list" element={<DoctorsList />} />
+          <Route path="/edit-doctor/:docId" element={<EditDoctor />} />
+          <Route path="/holidays" element={<Holidays />} />
+          <Route path="/transactions" element={<Transactions />} />
+          <Route path="/coupons" element={<Coupons />} />
+          <Route path="/staff" element={<Staff />} />
+          <Route path="/audit-log" element={<AuditLog />} />
           
           {/* Doctor Route */}
           <Route path="/doctor-dashboard" element={<DoctorDashboard />} />
           <Route path="/doctor-appointments" element={<DoctorAppointments />} />
           <Route path="/doctor-profile" element={<DoctorProfile />} />
+          <Route path="/doctor-time-off" element={<DoctorTimeOff />} />
+
+          {/* Admin and Doctor Route */}
+          <Route path="/security" element={<Security />} />
         </Routes>
       </div>
     </div>
   ) : (
     <>
-      <Login />
+      <Routes>
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="*" element={<Login />} />
+      </Routes>
       <ToastContainer />
     </>
   );
@@ -0,0 +1,42 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+// CSV / Excel download buttons. onExport(format) resolves once the file
+// has been handed to the browser; both buttons stay disabled until then.
+const ExportButtons = ({ onExport }) => {
+  const [exporting, setExporting] = useState(false);
+
+  const exportAs = async (format) => {
+    setExporting(true);
+    try {
+      await onExport(format);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="flex gap-2 text-xs">
+      <button
+        onClick={() => exportAs("csv")}
+        disabled={exporting}
+        className="px-3 py-1 border border-primary text-primary rounded-full disabled:opacity-40"
+      >
+        Export CSV
+      </button>
+      <button
+        onClick={() => exportAs("xlsx")}
+        disabled={exporting}
+        className="px-3 py-1 border border-primary text-primary rounded-full disabled:opacity-40"
+      >
+        Export Excel
+      </button>
+    </div>
+  );
+};
+
+ExportButtons.propTypes = {
+  onExport: PropTypes.func.isRequired,
+};
+
+export default ExportButtons;
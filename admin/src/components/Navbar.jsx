@@ -6,26 +6,33 @@ import { DoctorContext } from '../context/DoctorContext'
 
 const Navbar = () => {
 
-    const {aToken,setAToken} = useContext(AdminContext)
-    const {dToken,setDToken} = useContext(DoctorContext)
+    const {aToken,adminProfile,adminLogout,adminLogoutAll} = useContext(AdminContext)
+    const {dToken,doctorLogout,doctorLogoutAll} = useContext(DoctorContext)
 
     const navigate = useNavigate()
 
-    const logout = () => {
+    const logout = async () => {
+        if (aToken) await adminLogout()
+        if (dToken) await doctorLogout()
+        navigate('/')
+    }
+
+    const logoutAll = async () => {
+        if (aToken) await adminLogoutAll()
+        if (dToken) await doctorLogoutAll()
         navigate('/')
-        aToken && setAToken('')
-        aToken && localStorage.removeItem('aToken')
-        dToken && setDToken('')
-        dToken && localStorage.removeItem('dToken')
     }
 
   return (
     <div className='flex justify-between items-center px-4 sm:px-10 py-3 border-b bg-white'>
       <div className='flex items-center gap-2 text-xs'>
         <img className='w-36 sm:w-40 cursor-pointer' src={assets.admin_logo} alt="" />
-        <p className='border px-2.5 py-0.5 rounded-full border-gray-500 text-gray-600'>{aToken ? 'Admin' : 'Doctor'}</p>
+        <p className='border px-2.5 py-0.5 rounded-full border-gray-500 text-gray-600'>{aToken ? adminProfile ? adminProfile.role : 'Admin' : 'Doctor'}</p>
+      </div>
+      <div className='flex items-center gap-4'>
+        <p onClick={logoutAll} className='text-sm text-gray-500 underline cursor-pointer'>Log out all devices</p>
+        <button onClick={logout} className='bg-primary text-white text-sm px-10 py-2 rounded-full'>Logout</button>
       </div>
-      <button onClick={logout} className='bg-primary text-white text-sm px-10 py-2 rounded-full'>Logout</button>
     </div>
   )
 }
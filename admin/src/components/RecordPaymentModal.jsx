@@ -0,0 +1,139 @@
+import { useContext, useState } from "react";
+import PropTypes from "prop-types";
+import { AppContext } from "../context/AppContext";
+
+const RecordPaymentModal = ({
+  appointment,
+  defaultStaffName,
+  onClose,
+  onSubmit,
+}) => {
+  const { currency, slotDateFormat } = useContext(AppContext);
+
+  const [method, setMethod] = useState("cash");
+  const [amount, setAmount] = useState(appointment.amount);
+  const [receiptNumber, setReceiptNumber] = useState("");
+  const [staffName, setStaffName] = useState(defaultStaffName || "");
+  const [amountOverride, setAmountOverride] = useState(false);
+
+  // anything but the fee has to be confirmed, so typos don't reach invoices
+  const amountDiffers = Number(amount) !== appointment.amount;
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+    const success = await onSubmit(appointment._id, {
+      method,
+      amount,
+      amountOverride: amountDiffers && amountOverride,
+      receiptNumber,
+      staffName,
+    });
+    if (success) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-20">
+      <form
+        onSubmit={onSubmitHandler}
+        className="bg-white rounded p-6 w-full max-w-sm flex flex-col gap-3 text-sm text-gray-600"
+      >
+        <p className="text-lg font-medium text-gray-800">Record payment</p>
+        <p>
+          {appointment.userData.name} ·{" "}
+          {slotDateFormat(appointment.slotDate)}, {appointment.slotTime}
+        </p>
+
+        <div className="flex flex-col gap-1">
+          <p>Method</p>
+          <select
+            className="border rounded px-3 py-2"
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+          >
+            <option value="cash">Cash</option>
+            <option value="card">Card</option>
+            <option value="upi">UPI</option>
+            <option value="other">Other</option>
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Amount ({currency})</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="number"
+            min="0"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            required
+          />
+          {amountDiffers && (
+            <label className="flex items-center gap-2 text-xs text-red-400">
+              <input
+                type="checkbox"
+                checked={amountOverride}
+                onChange={(e) => setAmountOverride(e.target.checked)}
+              />
+              The fee is {currency}
+              {appointment.amount}, record this amount anyway
+            </label>
+          )}
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Receipt number</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            value={receiptNumber}
+            onChange={(e) => setReceiptNumber(e.target.value)}
+            required
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Received by</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            placeholder="Staff member"
+            value={staffName}
+            onChange={(e) => setStaffName(e.target.value)}
+            required
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 mt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-5 py-2 border rounded-full"
+          >
+            Close
+          </button>
+          <button
+            type="submit"
+            className="bg-primary px-5 py-2 text-white rounded-full"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+RecordPaymentModal.propTypes = {
+  appointment: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    amount: PropTypes.number.isRequired,
+    slotDate: PropTypes.string.isRequired,
+    slotTime: PropTypes.string.isRequired,
+    userData: PropTypes.shape({ name: PropTypes.string }).isRequired,
+  }).isRequired,
+  defaultStaffName: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+};
+
+export default RecordPaymentModal;
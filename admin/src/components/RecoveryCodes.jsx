@@ -0,0 +1,34 @@
+import PropTypes from "prop-types";
+
+// Recovery codes are only ever shown once, right after they are created
+const RecoveryCodes = ({ codes }) => {
+  const copyCodes = () => {
+    navigator.clipboard.writeText(codes.join("\n"));
+  };
+
+  return (
+    <div className="w-full">
+      <p>
+        Save these recovery codes somewhere safe. Each one signs you in once if
+        you lose your authenticator app, and they will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 bg-gray-50 border rounded p-3 mt-2 font-mono text-gray-700">
+        {codes.map((code) => (
+          <p key={code}>{code}</p>
+        ))}
+      </div>
+      <p
+        onClick={copyCodes}
+        className="text-primary underline cursor-pointer mt-2 w-fit"
+      >
+        Copy codes
+      </p>
+    </div>
+  );
+};
+
+RecoveryCodes.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default RecoveryCodes;
@@ -5,35 +5,178 @@ import { assets } from "../assets/assets";
 import { DoctorContext } from "../context/DoctorContext";
 
 const Sidebar = () => {
-  const { aToken } = useContext(AdminContext);
+  const { aToken, hasPermission } = useContext(AdminContext);
   const { dToken } = useContext(DoctorContext);
 
   return (
     <div className="min-h-screen bg-white border-r">
       {aToken && (
         <ul className="text-[#515151] mt-5">
+          {hasPermission("dashboard.view") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/admin-dashboard"}
+            >
+              <img src={assets.home_icon} alt="" />
+              <p className="hidden md:block">Dashboard</p>
+            </NavLink>
+          )}
+
+          {hasPermission("appointments.view") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/all-appointments"}
+            >
+              <img src={assets.appointment_icon} alt="" />
+              <p className="hidden md:block">Appointments</p>
+            </NavLink>
+          )}
+
+          {hasPermission("doctors.manage") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/add-doctor"}
+            >
+              <img src={assets.add_icon} alt="" />
+              <p className="hidden md:block">Add Doctor</p>
+            </NavLink>
+          )}
+
+          {hasPermission("doctors.manage") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/import-doctors"}
+            >
+              <img src={assets.people_icon} alt="" />
+              <p className="hidden md:block">Import Doctors</p>
+            </NavLink>
+          )}
+
+          {hasPermission("doctors.view") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/doctor-list"}
+            >
+              <img src={assets.people_icon} alt="" />
+              <p className="hidden md:block">Doctors List</p>
+            </NavLink>
+          )}
+
+          {hasPermission("holidays.manage") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/holidays"}
+            >
+              <img src={assets.list_icon} alt="" />
+              <p className="hidden md:block">Holidays</p>
+            </NavLink>
+          )}
+
+          {hasPermission("transactions.view") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/transactions"}
+            >
+              <img src={assets.list_icon} alt="" />
+              <p className="hidden md:block">Transactions</p>
+            </NavLink>
+          )}
+
+          {hasPermission("coupons.manage") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/coupons"}
+            >
+              <img src={assets.list_icon} alt="" />
+              <p className="hidden md:block">Coupons</p>
+            </NavLink>
+          )}
+
+          {hasPermission("staff.manage") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/staff"}
+            >
+              <img src={assets.people_icon} alt="" />
+              <p className="hidden md:block">Staff</p>
+            </NavLink>
+          )}
+
+          {hasPermission("audit.view") && (
+            <NavLink
+              className={({ isActive }) =>
+                `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
+                  isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
+                }`
+              }
+              to={"/audit-log"}
+            >
+              <img src={assets.list_icon} alt="" />
+              <p className="hidden md:block">Audit Log</p>
+            </NavLink>
+          )}
+
           <NavLink
             className={({ isActive }) =>
               `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
                 isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
               }`
             }
-            to={"/admin-dashboard"}
+            to={"/security"}
           >
-            <img src={assets.home_icon} alt="" />
-            <p className="hidden md:block">Dashboard</p>
+            <img src={assets.tick_icon} alt="" />
+            <p className="hidden md:block">Security</p>
           </NavLink>
-
+        </ul>
+      )}
+      {dToken && (
+        <ul className="text-[#515151] mt-5">
           <NavLink
             className={({ isActive }) =>
               `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
                 isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
               }`
             }
-            to={"/all-appointments"}
+            to={"/doctor-dashboard"}
           >
-            <img src={assets.appointment_icon} alt="" />
-            <p className="hidden md:block">Appointments</p>
+            <img src={assets.home_icon} alt="" />
+            <p className="hidden md:block">Dashboard</p>
           </NavLink>
 
           <NavLink
@@ -42,10 +185,10 @@ const Sidebar = () => {
                 isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
               }`
             }
-            to={"/add-doctor"}
+            to={"/doctor-appointments"}
           >
-            <img src={assets.add_icon} alt="" />
-            <p className="hidden md:block">Add Doctor</p>
+            <img src={assets.appointment_icon} alt="" />
+            <p className="hidden md:block">Appointments</p>
           </NavLink>
 
           <NavLink
@@ -54,25 +197,10 @@ const Sidebar = () => {
                 isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
               }`
             }
-            to={"/doctor-list"}
+            to={"/doctor-profile"}
           >
             <img src={assets.people_icon} alt="" />
-            <p className="hidden md:block">Doctors List</p>
-          </NavLink>
-        </ul>
-      )}
-      {dToken && (
-        <ul className="text-[#515151] mt-5">
-          <NavLink
-            className={({ isActive }) =>
-              `flex items-center gap-3 py-3.5 px-3 md:px-9 md:min-w-72 cursor-pointer ${
-                isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
-              }`
-            }
-            to={"/doctor-dashboard"}
-          >
-            <img src={assets.home_icon} alt="" />
-            <p className="hidden md:block">Dashboard</p>
+            <p className="hidden md:block">Profile</p>
           </NavLink>
 
           <NavLink
@@ -81,10 +209,10 @@ const Sidebar = () => {
                 isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
               }`
             }
-            to={"/doctor-appointments"}
+            to={"/doctor-time-off"}
           >
-            <img src={assets.appointment_icon} alt="" />
-            <p className="hidden md:block">Appointments</p>
+            <img src={assets.list_icon} alt="" />
+            <p className="hidden md:block">Time Off</p>
           </NavLink>
 
           <NavLink
@@ -93,10 +221,10 @@ const Sidebar = () => {
                 isActive ? "bg-[#F2F3FF] border-r-4 border-primary" : ""
               }`
             }
-            to={"/doctor-profile"}
+            to={"/security"}
           >
-            <img src={assets.people_icon} alt="" />
-            <p className="hidden md:block">Profile</p>
+            <img src={assets.tick_icon} alt="" />
+            <p className="hidden md:block">Security</p>
           </NavLink>
         </ul>
       )}
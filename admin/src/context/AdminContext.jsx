@@ -1,7 +1,8 @@
 import axios from "axios";
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { createContext } from "react";
 import { toast } from "react-toastify";
+import { saveDownload } from "../utils/download";
 
 export const AdminContext = createContext();
 
@@ -11,10 +12,152 @@ const AdminContextProvider = (props) => {
   );
   const [doctors, setDoctors] = useState([]);
   const [appointments, setAppointments] = useState([]);
+  const [appointmentPages, setAppointmentPages] = useState({
+    total: 0,
+    pages: 1,
+  });
   const [dashData, setDashData] = useState(false)
+  const [adminProfile, setAdminProfile] = useState(false);
 
   const backendUrl = import.meta.env.VITE_BACKEND_URL;
 
+  // Access tokens are short-lived, the refresh token gets new ones
+  const saveAdminSession = (session) => {
+    localStorage.setItem("aToken", session.token);
+    localStorage.setItem("aRefreshToken", session.refreshToken);
+    setAToken(session.token);
+  };
+
+  const clearAdminSession = () => {
+    localStorage.removeItem("aToken");
+    localStorage.removeItem("aRefreshToken");
+    setAToken("");
+  };
+
+  // requests that fail at the same time share one refresh
+  const refreshing = useRef(null);
+
+  const refreshAccessToken = () => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        const refreshToken = localStorage.getItem("aRefreshToken");
+        try {
+          const { data } = await axios.post(
+            backendUrl + "/api/admin/refresh-token",
+            { refreshToken }
+          );
+          if (data.success) {
+            saveAdminSession(data);
+            return data.token;
+          }
+          // another tab may have refreshed first and stored the new tokens
+          if (localStorage.getItem("aRefreshToken") !== refreshToken) {
+            const storedToken = localStorage.getItem("aToken");
+            setAToken(storedToken);
+            return storedToken;
+          }
+          clearAdminSession();
+          return null;
+        } catch (error) {
+          console.log(error);
+          return null;
+        } finally {
+          refreshing.current = null;
+        }
+      })();
+    }
+    return refreshing.current;
+  };
+
+  const adminLogout = async () => {
+    try {
+      await axios.post(backendUrl + "/api/admin/logout", {
+        refreshToken: localStorage.getItem("aRefreshToken"),
+      });
+    } catch (error) {
+      console.log(error);
+    }
+    clearAdminSession();
+  };
+
+  const adminLogoutAll = async () => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/logout-all",
+        {},
+        { headers: { aToken } }
+      );
+      if (!data.success) {
+        return toast.error(data.message);
+      }
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      return toast.error(error.message);
+    }
+    clearAdminSession();
+  };
+
+  // retries requests rejected for an expired access token once, after
+  // silently getting a new one
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        if (
+          !error.response ||
+          error.response.status !== 401 ||
+          !config ||
+          config.retried ||
+          !config.headers.has("aToken")
+        ) {
+          throw error;
+        }
+
+        const newToken = await refreshAccessToken();
+        if (!newToken) {
+          throw error;
+        }
+
+        config.retried = true;
+        config.headers.set("aToken", newToken);
+        return axios(config);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Logged in staff account with the permissions of its role
+  const getAdminProfile = async () => {
+    try {
+      const { data } = await axios.get(backendUrl + "/api/admin/profile", {
+        headers: { aToken },
+      });
+
+      if (data.success) {
+        setAdminProfile(data.profile);
+      } else {
+        // tokens from before staff accounts existed are no longer valid
+        toast.error(data.message);
+        clearAdminSession();
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const hasPermission = (permission) =>
+    Boolean(adminProfile && adminProfile.permissions.includes(permission));
+
+  useEffect(() => {
+    if (aToken) {
+      getAdminProfile();
+    } else {
+      setAdminProfile(false);
+    }
+  }, [aToken]);
+
   const getAllDoctors = async () => {
     try {
       const { data } = await axios.post(
@@ -25,7 +168,6 @@ const AdminContextProvider = (props) => {
 
       if (data.success) {
         setDoctors(data.doctors);
-        console.log(data.doctors);
       } else {
         toast.error(data.message);
       }
@@ -52,14 +194,48 @@ const AdminContextProvider = (props) => {
     }
   };
 
-  const getAllAppointments = async () => {
+  // deactivated doctors are hidden from patients, reactivating shows them again
+  const changeDoctorStatus = async (docId, active) => {
+    try {
+      const action = active ? "reactivate" : "deactivate";
+      const { data } = await axios.post(
+        backendUrl + `/api/admin/${action}-doctor`,
+        { docId },
+        { headers: { aToken } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getAllDoctors();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // filters, sort and page of the list on screen, reused when it is
+  // reloaded after a cancellation or payment
+  const appointmentQuery = useRef({});
+
+  const getAllAppointments = async (query = appointmentQuery.current) => {
+    appointmentQuery.current = query;
     try {
+      // drop empty filters so the backend only sees the ones in use
+      const params = Object.fromEntries(
+        Object.entries(query).filter(([, value]) => value)
+      );
       const { data } = await axios.get(backendUrl + "/api/admin/appointments", {
         headers: { aToken },
+        params,
       });
 
       if (data.success) {
         setAppointments(data.appointments);
+        setAppointmentPages({
+          total: data.total,
+          pages: Math.max(data.pages, 1),
+        });
       } else {
         toast.error(data.message);
       }
@@ -95,6 +271,85 @@ const AdminContextProvider = (props) => {
     }
   };
 
+  // Resolves true when the payment was saved so the form can close
+  const recordPayment = async (appointmentId, details) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/record-payment`,
+        { appointmentId, ...details },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        await getAllAppointments();
+        return true;
+      }
+      toast.error(data.message);
+    } catch (error) {
+      console.error("Error in recordPayment:", error);
+      toast.error(error?.response?.data?.message || error?.message);
+    }
+    return false;
+  };
+
+  // Marks a clinic refund as handed back to the patient
+  const settleRefund = async (appointmentId) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/admin/settle-refund`,
+        { appointmentId },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        await getAllAppointments();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error in settleRefund:", error);
+      toast.error(error?.response?.data?.message || error?.message);
+    }
+  };
+
+  // Invoices need the auth header, so they are fetched as a blob and
+  // handed to the browser as a download
+  const downloadInvoice = async (appointmentId) => {
+    try {
+      const response = await axios.get(
+        `${backendUrl}/api/admin/appointments/${appointmentId}/invoice`,
+        { headers: { aToken }, responseType: "blob" }
+      );
+
+      await saveDownload(response, "invoice.pdf");
+    } catch (error) {
+      console.error("Error in downloadInvoice:", error);
+      toast.error(error?.message || "Failed to download invoice");
+    }
+  };
+
+  // type is appointments, patients or earnings, format csv or xlsx, and
+  // filters the same query parameters the matching list takes
+  const downloadExport = async (type, format, filters = {}) => {
+    try {
+      const response = await axios.get(
+        `${backendUrl}/api/admin/export/${type}`,
+        {
+          headers: { aToken },
+          params: { ...filters, format },
+          responseType: "blob",
+        }
+      );
+
+      await saveDownload(response, `${type}.${format}`);
+    } catch (error) {
+      console.error("Error in downloadExport:", error);
+      toast.error(error?.message || "Failed to download export");
+    }
+  };
+
   const getDashData = async () => {
     try {
       const { data } = await axios.get(`${backendUrl}/api/admin/dashboard`, { headers: { aToken } });
@@ -113,15 +368,25 @@ const AdminContextProvider = (props) => {
 
   const value = {
     aToken,
-    setAToken,
+    saveAdminSession,
+    adminLogout,
+    adminLogoutAll,
     backendUrl,
+    adminProfile,
+    hasPermission,
     doctors,
     getAllDoctors,
     changeAvailability,
+    changeDoctorStatus,
     appointments,
     setAppointments,
+    appointmentPages,
     getAllAppointments,
     cancelAppointment,
+    recordPayment,
+    settleRefund,
+    downloadInvoice,
+    downloadExport,
     dashData,
     getDashData
   };
@@ -1,6 +1,7 @@
-import { createContext, useState } from "react";
+import { createContext, useEffect, useRef, useState } from "react";
 import axios from "axios";
 import { toast } from "react-toastify";
+import { saveDownload } from "../utils/download";
 
 export const DoctorContext = createContext();
 
@@ -11,20 +12,143 @@ const DoctorContextProvider = (props) => {
     localStorage.getItem("dToken") ? localStorage.getItem("dToken") : ""
   );
   const [appointments, setAppointments] = useState([]);
+  const [appointmentPages, setAppointmentPages] = useState({
+    total: 0,
+    pages: 1,
+  });
   const [dashData, setDashData] = useState(false);
   const [profileData, setProfileData] = useState(false);
 
-  const getAppointments = async () => {
+  // Access tokens are short-lived, the refresh token gets new ones
+  const saveDoctorSession = (session) => {
+    localStorage.setItem("dToken", session.token);
+    localStorage.setItem("dRefreshToken", session.refreshToken);
+    setDToken(session.token);
+  };
+
+  const clearDoctorSession = () => {
+    localStorage.removeItem("dToken");
+    localStorage.removeItem("dRefreshToken");
+    setDToken("");
+  };
+
+  // requests that fail at the same time share one refresh
+  const refreshing = useRef(null);
+
+  const refreshAccessToken = () => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        const refreshToken = localStorage.getItem("dRefreshToken");
+        try {
+          const { data } = await axios.post(
+            backendUrl + "/api/doctor/refresh-token",
+            { refreshToken }
+          );
+          if (data.success) {
+            saveDoctorSession(data);
+            return data.token;
+          }
+          // another tab may have refreshed first and stored the new tokens
+          if (localStorage.getItem("dRefreshToken") !== refreshToken) {
+            const storedToken = localStorage.getItem("dToken");
+            setDToken(storedToken);
+            return storedToken;
+          }
+          clearDoctorSession();
+          return null;
+        } catch (error) {
+          console.log(error);
+          return null;
+        } finally {
+          refreshing.current = null;
+        }
+      })();
+    }
+    return refreshing.current;
+  };
+
+  const doctorLogout = async () => {
+    try {
+      await axios.post(backendUrl + "/api/doctor/logout", {
+        refreshToken: localStorage.getItem("dRefreshToken"),
+      });
+    } catch (error) {
+      console.log(error);
+    }
+    clearDoctorSession();
+  };
+
+  const doctorLogoutAll = async () => {
     try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/logout-all",
+        {},
+        { headers: { dToken } }
+      );
+      if (!data.success) {
+        return toast.error(data.message);
+      }
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      return toast.error(error.message);
+    }
+    clearDoctorSession();
+  };
+
+  // retries requests rejected for an expired access token once, after
+  // silently getting a new one
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        if (
+          !error.response ||
+          error.response.status !== 401 ||
+          !config ||
+          config.retried ||
+          !config.headers.has("dToken")
+        ) {
+          throw error;
+        }
+
+        const newToken = await refreshAccessToken();
+        if (!newToken) {
+          throw error;
+        }
+
+        config.retried = true;
+        config.headers.set("dToken", newToken);
+        return axios(config);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // filters, sort and page of the list on screen, reused when it is
+  // reloaded after completing or cancelling an appointment
+  const appointmentQuery = useRef({});
+
+  const getAppointments = async (query = appointmentQuery.current) => {
+    appointmentQuery.current = query;
+    try {
+      const params = Object.fromEntries(
+        Object.entries(query).filter(([, value]) => value)
+      );
       const { data } = await axios.get(
         backendUrl + "/api/doctor/appointments",
         {
           headers: { dToken },
+          params,
         }
       );
       if (data.success) {
         setAppointments(data.appointments);
-        console.log(data.appointments);
+        setAppointmentPages({
+          total: data.total,
+          pages: Math.max(data.pages, 1),
+        });
       } else {
         toast.error(data.message);
       }
@@ -74,6 +198,68 @@ const DoctorContextProvider = (props) => {
     }
   };
 
+  // Resolves true when the payment was saved so the form can close
+  const recordPayment = async (appointmentId, details) => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/record-payment",
+        { appointmentId, ...details },
+        { headers: { dToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        getAppointments();
+        return true;
+      }
+      toast.error(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+    return false;
+  };
+
+  // Marks a clinic refund as handed back to the patient
+  const settleRefund = async (appointmentId) => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/settle-refund",
+        { appointmentId, staffName: profileData?.name },
+        { headers: { dToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        getAppointments();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  // type is appointments or earnings, format csv or xlsx
+  const downloadExport = async (type, format, filters = {}) => {
+    try {
+      const response = await axios.get(
+        `${backendUrl}/api/doctor/export/${type}`,
+        {
+          headers: { dToken },
+          params: { ...filters, format },
+          responseType: "blob",
+        }
+      );
+
+      await saveDownload(response, `${type}.${format}`);
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
   const getDashData = async (req, res) => {
     try {
       const { data } = await axios.get(backendUrl + "/api/doctor/dashboard", {
@@ -109,13 +295,19 @@ const DoctorContextProvider = (props) => {
 
   const value = {
     dToken,
-    setDToken,
+    saveDoctorSession,
+    doctorLogout,
+    doctorLogoutAll,
     backendUrl,
     setAppointments,
     getAppointments,
     appointments,
+    appointmentPages,
     cancelAppointment,
     completeAppointment,
+    recordPayment,
+    settleRefund,
+    downloadExport,
     dashData,
     setDashData,
     getDashData,
@@ -1,27 +1,157 @@
 import React from "react";
-import { useContext, useEffect } from "react";
+import { useContext, useEffect, useState } from "react";
 import { AdminContext } from "../../context/AdminContext";
 import { AppContext } from "../../context/AppContext";
 import { assets } from "../../assets/assets";
+import RecordPaymentModal from "../../components/RecordPaymentModal";
+import ExportButtons from "../../components/ExportButtons";
+
+const PAGE_SIZE = 20;
 
 const AllAppointments = () => {
-  const { aToken, appointments, getAllAppointments, cancelAppointment } =
-    useContext(AdminContext);
+  const {
+    aToken,
+    appointments,
+    appointmentPages,
+    getAllAppointments,
+    cancelAppointment,
+    recordPayment,
+    settleRefund,
+    downloadInvoice,
+    downloadExport,
+    adminProfile,
+    hasPermission,
+  } = useContext(AdminContext);
   const { calculateAge, slotDateFormat, currency } = useContext(AppContext);
+  const [paymentItem, setPaymentItem] = useState(null);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({
+    status: "",
+    doctor: "",
+    patient: "",
+    from: "",
+    to: "",
+    sort: "booked-desc",
+  });
+
+  const refundStatusLabels = {
+    pending: "Refund pending",
+    refunded: "Refunded",
+    failed: "Refund failed",
+  };
+
+  // the list and the export take the same query, with the sort choice
+  // split into field and direction
+  const query = () => {
+    const [sort, order] = filters.sort.split("-");
+    return { ...filters, sort, order };
+  };
+
+  const onFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
 
   useEffect(() => {
-    if (aToken) {
-      getAllAppointments();
-    }
-  }, [aToken]);
+    if (!aToken) return;
+    // waits for a pause in typing before searching by name
+    const timer = setTimeout(
+      () => getAllAppointments({ ...query(), page, limit: PAGE_SIZE }),
+      300
+    );
+    return () => clearTimeout(timer);
+  }, [aToken, filters, page]);
 
-  
 
   return (
     <div className="w-full max-w-6xl m-5">
-      <p className="mb-3 text-lg font-medium">All Appointments</p>
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-3">
+        <p className="text-lg font-medium">All Appointments</p>
+        <ExportButtons
+          onExport={(format) =>
+            downloadExport("appointments", format, query())
+          }
+        />
+      </div>
 
-      <div className="bg-white border rounded text-sm max-h-[80vh] min-h-[60vh] overflow-y-scroll">
+      <div className="bg-white px-8 py-5 mb-5 border rounded flex flex-wrap items-end gap-4 text-sm text-gray-600">
+        <div className="flex flex-col gap-1">
+          <p>Status</p>
+          <select
+            className="border rounded px-3 py-2"
+            name="status"
+            value={filters.status}
+            onChange={onFilterChange}
+          >
+            <option value="">All</option>
+            <option value="upcoming">Upcoming</option>
+            <option value="completed">Completed</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="unpaid">Unpaid</option>
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Doctor</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            name="doctor"
+            placeholder="Name"
+            value={filters.doctor}
+            onChange={onFilterChange}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Patient</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            name="patient"
+            placeholder="Name"
+            value={filters.patient}
+            onChange={onFilterChange}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>From</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={onFilterChange}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>To</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            name="to"
+            min={filters.from}
+            value={filters.to}
+            onChange={onFilterChange}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Sort by</p>
+          <select
+            className="border rounded px-3 py-2"
+            name="sort"
+            value={filters.sort}
+            onChange={onFilterChange}
+          >
+            <option value="booked-desc">Newest bookings</option>
+            <option value="booked-asc">Oldest bookings</option>
+            <option value="date-asc">Appointment date, earliest</option>
+            <option value="date-desc">Appointment date, latest</option>
+          </select>
+        </div>
+        <p className="py-2 ml-auto">{appointmentPages.total} appointments</p>
+      </div>
+
+      <div className="bg-white border rounded text-sm max-h-[70vh] overflow-y-scroll">
         <div className="hidden sm:grid grid-cols-[0.5fr_3fr_1fr_3fr_3fr_1fr_1fr] grid-flow-col py-3 px-6 border-b">
           <p>#</p>
           <p>Patient</p>
@@ -32,12 +162,15 @@ const AllAppointments = () => {
           <p>Actions</p>
         </div>
 
+        {appointments.length === 0 && (
+          <p className="py-3 px-6 text-gray-400">No appointments found</p>
+        )}
         {appointments.map((item, index) => (
           <div
             className="flex flex-wrap justify-between max-sm:gap-2 sm:grid sm:grid-cols-[0.5fr_3fr_1fr_3fr_3fr_1fr_1fr] items-center text-gray-500 py-3 px-6 border-b hover:bg-gray-50"
-            key={index}
+            key={item._id}
           >
-            <p className="max-sm:hidden">{index + 1}</p>
+            <p className="max-sm:hidden">{(page - 1) * PAGE_SIZE + index + 1}</p>
             <div className="flex items-center gap-2">
               <img
                 className="w-8 rounded-full"
@@ -58,25 +191,107 @@ const AllAppointments = () => {
               />{" "}
               <p>{item.docData.name}</p>
             </div>
-            <p>
-              {currency}
-              {item.amount}
-            </p>
+            <div>
+              <p>
+                {currency}
+                {item.amount}
+              </p>
+              {item.payment ? (
+                <div className="text-xs">
+                  <p className="text-green-500">
+                    Paid
+                    {item.paymentProvider === "offline" &&
+                      ` · ${item.offlinePayment.method}`}
+                  </p>
+                  <p
+                    onClick={() => downloadInvoice(item._id)}
+                    className="text-primary cursor-pointer"
+                  >
+                    Invoice
+                  </p>
+                </div>
+              ) : (
+                !item.cancelled && (
+                  <p
+                    onClick={() => setPaymentItem(item)}
+                    className="text-xs text-primary cursor-pointer"
+                  >
+                    Record payment
+                  </p>
+                )
+              )}
+            </div>
             {item.cancelled ? (
-              <p className="text-red-400 text-xs font-medium">Cancelled</p>
+              <div className="text-xs font-medium">
+                <p className="text-red-400">Cancelled</p>
+                {item.refundStatus && item.refundStatus !== "none" && (
+                  <p
+                    className={
+                      item.refundStatus === "failed"
+                        ? "text-red-500"
+                        : item.refundStatus === "refunded"
+                        ? "text-green-500"
+                        : "text-gray-500"
+                    }
+                  >
+                    {refundStatusLabels[item.refundStatus]}
+                  </p>
+                )}
+                {item.paymentProvider === "offline" &&
+                  item.refundStatus === "pending" &&
+                  hasPermission("payments.record") && (
+                    <p
+                      onClick={() => settleRefund(item._id)}
+                      className="text-primary cursor-pointer"
+                    >
+                      Mark refunded
+                    </p>
+                  )}
+              </div>
             ) : item.isCompleted ? (
               <p className="text-green-500 text-xs font-medium">Completed</p>
             ) : (
-              <img
-                onClick={() => cancelAppointment(item._id,item.userData._id)}
-                className="w-10 cursor-pointer"
-                src={assets.cancel_icon}
-                alt=""
-              />
+              hasPermission("appointments.cancel") && (
+                <img
+                  onClick={() => cancelAppointment(item._id,item.userData._id)}
+                  className="w-10 cursor-pointer"
+                  src={assets.cancel_icon}
+                  alt=""
+                />
+              )
             )}
           </div>
         ))}
       </div>
+
+      <div className="flex items-center justify-end gap-3 mt-4 text-sm text-gray-600">
+        <button
+          onClick={() => setPage((prev) => prev - 1)}
+          disabled={page <= 1}
+          className="px-4 py-1 border rounded disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <p>
+          Page {page} of {appointmentPages.pages}
+        </p>
+        <button
+          onClick={() => setPage((prev) => prev + 1)}
+          disabled={page >= appointmentPages.pages}
+          className="px-4 py-1 border rounded disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
+
+      {paymentItem && (
+        <RecordPaymentModal
+          appointment={paymentItem}
+          defaultStaffName={adminProfile ? adminProfile.name : ""}
+          onClose={() => setPaymentItem(null)}
+          onSubmit={recordPayment}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,228 @@
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+
+// entity names the backend records, see utils/auditLog.js callers
+const ENTITIES = [
+  "appointment",
+  "doctor",
+  "user",
+  "staff",
+  "coupon",
+  "holiday",
+  "timeOff",
+  "waitlist",
+];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditLog = () => {
+  const { aToken, backendUrl } = useContext(AdminContext);
+
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [actorInput, setActorInput] = useState("");
+  const [filters, setFilters] = useState({
+    actorType: "",
+    actor: "",
+    entity: "",
+    from: "",
+    to: "",
+  });
+
+  const getEntries = async () => {
+    try {
+      // drop empty filters so the backend only sees the ones in use
+      const params = Object.fromEntries(
+        Object.entries({ ...filters, page }).filter(([, value]) => value)
+      );
+      const { data } = await axios.get(backendUrl + "/api/admin/audit-logs", {
+        headers: { aToken },
+        params,
+      });
+      if (data.success) {
+        setEntries(data.entries);
+        setPages(Math.max(data.pages, 1));
+        setTotal(data.total);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const onFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  // the actor search only runs on submit instead of on every keystroke
+  const onActorSubmit = (event) => {
+    event.preventDefault();
+    setFilters((prev) => ({ ...prev, actor: actorInput.trim() }));
+    setPage(1);
+  };
+
+  // fields of a creation or deletion, or the changed fields of an update
+  const changedFields = (item) =>
+    Object.keys({ ...(item.before || {}), ...(item.after || {}) });
+
+  useEffect(() => {
+    if (aToken) {
+      getEntries();
+    }
+  }, [aToken, filters, page]);
+
+  return (
+    <div className="m-5 w-full max-w-6xl">
+      <p className="mb-3 text-lg font-medium">Audit Log</p>
+
+      <div className="bg-white px-8 py-5 border rounded flex flex-wrap items-end gap-4 text-sm text-gray-600">
+        <form onSubmit={onActorSubmit} className="flex flex-col gap-1">
+          <p>Actor</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            placeholder="Name or id, press Enter"
+            value={actorInput}
+            onChange={(e) => setActorInput(e.target.value)}
+          />
+        </form>
+        <div className="flex flex-col gap-1">
+          <p>Role</p>
+          <select
+            className="border rounded px-3 py-2"
+            name="actorType"
+            value={filters.actorType}
+            onChange={onFilterChange}
+          >
+            <option value="">All</option>
+            <option value="admin">Staff</option>
+            <option value="doctor">Doctor</option>
+            <option value="user">Patient</option>
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Entity</p>
+          <select
+            className="border rounded px-3 py-2"
+            name="entity"
+            value={filters.entity}
+            onChange={onFilterChange}
+          >
+            <option value="">All</option>
+            {ENTITIES.map((entity) => (
+              <option key={entity} value={entity}>
+                {entity}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>From</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={onFilterChange}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>To</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            name="to"
+            min={filters.from}
+            value={filters.to}
+            onChange={onFilterChange}
+          />
+        </div>
+        <p className="py-2 ml-auto">{total} entries</p>
+      </div>
+
+      <div className="bg-white border rounded text-sm mt-5 max-h-[70vh] overflow-y-scroll">
+        <div className="hidden sm:grid grid-cols-[2fr_2fr_2fr_2fr_4fr_1fr] py-3 px-6 border-b">
+          <p>Date</p>
+          <p>Actor</p>
+          <p>Action</p>
+          <p>Target</p>
+          <p>Changes</p>
+          <p>IP</p>
+        </div>
+        {entries.length === 0 && (
+          <p className="py-3 px-6 text-gray-400">No entries found</p>
+        )}
+        {entries.map((item) => (
+          <div
+            className="flex flex-wrap justify-between max-sm:gap-2 sm:grid sm:grid-cols-[2fr_2fr_2fr_2fr_4fr_1fr] items-start text-gray-500 py-3 px-6 border-b hover:bg-gray-50"
+            key={item._id}
+          >
+            <p>{new Date(item.date).toLocaleString()}</p>
+            <p>
+              {item.actorName || item.actorId}
+              <span className="block text-xs text-gray-400">{item.role}</span>
+            </p>
+            <p className="text-gray-700">{item.action}</p>
+            <p className="text-xs break-all">
+              <span className="block capitalize">{item.entity}</span>
+              {item.entityId}
+            </p>
+            <div className="text-xs break-all">
+              {changedFields(item).map((field) => (
+                <p key={field}>
+                  <span className="text-gray-700">{field}:</span>{" "}
+                  {item.before && (
+                    <span className="text-red-400 line-through">
+                      {formatValue(item.before[field])}
+                    </span>
+                  )}
+                  {item.before && item.after && " → "}
+                  {item.after && (
+                    <span className="text-green-600">
+                      {formatValue(item.after[field])}
+                    </span>
+                  )}
+                </p>
+              ))}
+            </div>
+            <p className="text-xs break-all">{item.ip}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end gap-3 mt-4 text-sm text-gray-600">
+        <button
+          onClick={() => setPage((prev) => prev - 1)}
+          disabled={page <= 1}
+          className="px-4 py-1 border rounded disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <p>
+          Page {page} of {pages}
+        </p>
+        <button
+          onClick={() => setPage((prev) => prev + 1)}
+          disabled={page >= pages}
+          className="px-4 py-1 border rounded disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,288 @@
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { AppContext } from "../../context/AppContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+
+const specialityOptions = [
+  "General physician",
+  "Gynecologist",
+  "Dermatologist",
+  "Pediatricians",
+  "Neurologist",
+  "Gastroenterologist",
+];
+
+const Coupons = () => {
+  const { aToken, backendUrl, doctors, getAllDoctors } =
+    useContext(AdminContext);
+  const { currency } = useContext(AppContext);
+
+  const [coupons, setCoupons] = useState([]);
+  const [code, setCode] = useState("");
+  const [type, setType] = useState("percent");
+  const [value, setValue] = useState("");
+  const [expiryDate, setExpiryDate] = useState("");
+  const [maxUses, setMaxUses] = useState("");
+  const [maxUsesPerUser, setMaxUsesPerUser] = useState("");
+  const [docIds, setDocIds] = useState([]);
+  const [specialities, setSpecialities] = useState([]);
+
+  const toggleItem = (setter, item) =>
+    setter((prev) =>
+      prev.includes(item) ? prev.filter((i) => i !== item) : [...prev, item]
+    );
+
+  const getCoupons = async () => {
+    try {
+      const { data } = await axios.get(backendUrl + "/api/admin/coupons", {
+        headers: { aToken },
+      });
+      if (data.success) {
+        setCoupons(data.coupons);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/add-coupon",
+        {
+          code,
+          type,
+          value,
+          expiryDate,
+          maxUses,
+          maxUsesPerUser,
+          docIds,
+          specialities,
+        },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        setCode("");
+        setValue("");
+        setExpiryDate("");
+        setMaxUses("");
+        setMaxUsesPerUser("");
+        setDocIds([]);
+        setSpecialities([]);
+        getCoupons();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const toggleCoupon = async (couponId) => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/toggle-coupon",
+        { couponId },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        getCoupons();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const doctorName = (docId) =>
+    doctors.find((doc) => doc._id === docId)?.name || docId;
+
+  useEffect(() => {
+    if (aToken) {
+      getCoupons();
+      getAllDoctors();
+    }
+  }, [aToken]);
+
+  return (
+    <div className="m-5 w-full max-w-5xl">
+      <p className="mb-3 text-lg font-medium">Coupons</p>
+
+      <form
+        onSubmit={onSubmitHandler}
+        className="bg-white px-8 py-6 border rounded flex flex-col gap-4 text-sm text-gray-600"
+      >
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="flex flex-col gap-1">
+            <p>Code</p>
+            <input
+              className="border rounded px-3 py-2 uppercase"
+              type="text"
+              placeholder="SAVE10"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <p>Discount</p>
+            <div className="flex gap-2">
+              <input
+                className="border rounded px-3 py-2 w-24"
+                type="number"
+                min="0"
+                step="0.01"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                required
+              />
+              <select
+                className="border rounded px-3 py-2"
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+              >
+                <option value="percent">%</option>
+                <option value="fixed">{currency}</option>
+              </select>
+            </div>
+          </div>
+          <div className="flex flex-col gap-1">
+            <p>Expires after</p>
+            <input
+              className="border rounded px-3 py-2"
+              type="date"
+              value={expiryDate}
+              onChange={(e) => setExpiryDate(e.target.value)}
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <p>Total uses</p>
+            <input
+              className="border rounded px-3 py-2 w-28"
+              type="number"
+              min="0"
+              placeholder="Unlimited"
+              value={maxUses}
+              onChange={(e) => setMaxUses(e.target.value)}
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <p>Uses per patient</p>
+            <input
+              className="border rounded px-3 py-2 w-28"
+              type="number"
+              min="0"
+              placeholder="Unlimited"
+              value={maxUsesPerUser}
+              onChange={(e) => setMaxUsesPerUser(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div>
+          <p className="mb-1">Only for doctors (none selected = all)</p>
+          <div className="flex flex-wrap gap-3">
+            {doctors.map((doc) => (
+              <label key={doc._id} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={docIds.includes(doc._id)}
+                  onChange={() => toggleItem(setDocIds, doc._id)}
+                />
+                {doc.name}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="mb-1">Only for specialities (none selected = all)</p>
+          <div className="flex flex-wrap gap-3">
+            {specialityOptions.map((item) => (
+              <label key={item} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={specialities.includes(item)}
+                  onChange={() => toggleItem(setSpecialities, item)}
+                />
+                {item}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          className="bg-primary px-8 py-2 text-white rounded-full self-start"
+        >
+          Add Coupon
+        </button>
+      </form>
+
+      <div className="bg-white border rounded text-sm mt-5 max-h-[60vh] overflow-y-scroll">
+        <div className="grid grid-cols-[1.5fr_1fr_1.5fr_1fr_3fr_1fr] py-3 px-6 border-b">
+          <p>Code</p>
+          <p>Discount</p>
+          <p>Expires</p>
+          <p>Used</p>
+          <p>Restrictions</p>
+          <p>Action</p>
+        </div>
+        {coupons.length === 0 && (
+          <p className="py-3 px-6 text-gray-400">No coupons yet</p>
+        )}
+        {coupons.map((item) => (
+          <div
+            className={`grid grid-cols-[1.5fr_1fr_1.5fr_1fr_3fr_1fr] items-center py-3 px-6 border-b hover:bg-gray-50 ${
+              item.active ? "text-gray-500" : "text-gray-300"
+            }`}
+            key={item._id}
+          >
+            <p className="font-medium">{item.code}</p>
+            <p>
+              {item.type === "percent"
+                ? `${item.value}%`
+                : `${currency}${item.value}`}
+            </p>
+            <p>{item.expiryDate || "Never"}</p>
+            <p>
+              {item.usedCount}
+              {item.maxUses ? ` / ${item.maxUses}` : ""}
+              {item.maxUsesPerUser
+                ? ` (max ${item.maxUsesPerUser} per patient)`
+                : ""}
+            </p>
+            <p className="text-xs">
+              {[...item.docIds.map(doctorName), ...item.specialities].join(
+                ", "
+              ) || "All doctors"}
+            </p>
+            <p
+              onClick={() => toggleCoupon(item._id)}
+              className={`text-xs font-medium cursor-pointer ${
+                item.active ? "text-red-400" : "text-primary"
+              }`}
+            >
+              {item.active ? "Disable" : "Enable"}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Coupons;
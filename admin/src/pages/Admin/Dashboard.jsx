@@ -4,10 +4,17 @@ import { useContext } from "react";
 import { useEffect } from "react";
 import { assets } from "../../assets/assets";
 import { AppContext } from "../../context/AppContext";
+import ExportButtons from "../../components/ExportButtons";
 
 const Dashboard = () => {
-  const { aToken, getDashData, cancelAppointment, dashData } =
-    useContext(AdminContext);
+  const {
+    aToken,
+    getDashData,
+    cancelAppointment,
+    dashData,
+    hasPermission,
+    downloadExport,
+  } = useContext(AdminContext);
 
   const { slotDateFormat } = useContext(AppContext);
 
@@ -66,6 +73,15 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {hasPermission("patients.export") && (
+          <div className="flex items-center gap-2 mt-4 text-sm text-gray-600">
+            <p>Patient list:</p>
+            <ExportButtons
+              onExport={(format) => downloadExport("patients", format)}
+            />
+          </div>
+        )}
+
         <div className="bg-white">
           <div className="flex items-center gap-2.5 px-4 py-4 mt-10 rounded-t border">
             <img src={assets.list_icon} alt="" />
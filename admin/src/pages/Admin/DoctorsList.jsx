@@ -1,9 +1,11 @@
 import React, { useContext, useEffect } from "react";
 import { AdminContext } from "../../context/AdminContext";
+import { useNavigate } from "react-router-dom";
 
 const DoctorsList = () => {
   const { doctors, aToken, getAllDoctors, changeAvailability } =
     useContext(AdminContext);
+  const navigate = useNavigate();
 
   useEffect(() => {
     if (aToken) {
@@ -17,7 +19,9 @@ const DoctorsList = () => {
       <div className="w-full flex flex-wrap gap-4 pt-5 gap-y-6">
         {doctors.map((item, index) => (
           <div
-            className="border border-indigo-200 rounded-xl max-w-56 overflow-hidden cursor-pointer group"
+            className={`border border-indigo-200 rounded-xl max-w-56 overflow-hidden cursor-pointer group ${
+              item.active === false ? "opacity-60" : ""
+            }`}
             key={index}
           >
             <img
@@ -30,6 +34,9 @@ const DoctorsList = () => {
                 {item.name}
               </p>
               <p className="text-zinc-600 text-sm">{item.speciality}</p>
+              {item.active === false && (
+                <p className="text-xs text-red-400 mt-1">Deactivated</p>
+              )}
               <div className="mt-2 flex items-center gap-1 text-sm">
                 <input
                   onChange={() => changeAvailability(item._id)}
@@ -37,6 +44,12 @@ const DoctorsList = () => {
                   checked={item.available}
                 />
                 <p>Available</p>
+                <button
+                  onClick={() => navigate(`/edit-doctor/${item._id}`)}
+                  className="ml-auto text-primary"
+                >
+                  Edit
+                </button>
               </div>
             </div>
           </div>
@@ -0,0 +1,291 @@
+import { useContext, useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { AdminContext } from "../../context/AdminContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+
+const EditDoctor = () => {
+  const { docId } = useParams();
+  const navigate = useNavigate();
+  const { backendUrl, aToken, doctors, getAllDoctors, changeDoctorStatus } =
+    useContext(AdminContext);
+
+  const doctor = doctors.find((item) => item._id === docId);
+
+  const [docImg, setDocImg] = useState(false);
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [experience, setExperience] = useState("");
+  const [fees, setFees] = useState("");
+  const [about, setAbout] = useState("");
+  const [speciality, setSpeciality] = useState("");
+  const [degree, setDegree] = useState("");
+  const [address1, setAddress1] = useState("");
+  const [address2, setAddress2] = useState("");
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    try {
+      const formData = new FormData();
+
+      // the current photo is kept unless a new one is picked
+      if (docImg) formData.append("image", docImg);
+      // an empty password keeps the current one
+      if (password) formData.append("password", password);
+      formData.append("docId", docId);
+      formData.append("name", name);
+      formData.append("email", email);
+      formData.append("experience", experience);
+      formData.append("fees", Number(fees));
+      formData.append("about", about);
+      formData.append("speciality", speciality);
+      formData.append("degree", degree);
+      formData.append(
+        "address",
+        JSON.stringify({ line1: address1, line2: address2 })
+      );
+
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/update-doctor",
+        formData,
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        setDocImg(false);
+        setPassword("");
+        getAllDoctors();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.message);
+      console.log(error);
+    }
+  };
+
+  const onStatusChange = () => {
+    const active = doctor.active === false;
+    if (
+      !active &&
+      !window.confirm(
+        `Deactivate ${doctor.name}? Patients will no longer see or book them.`
+      )
+    ) {
+      return;
+    }
+    changeDoctorStatus(docId, active);
+  };
+
+  useEffect(() => {
+    if (aToken) {
+      getAllDoctors();
+    }
+  }, [aToken]);
+
+  useEffect(() => {
+    if (doctor) {
+      setName(doctor.name);
+      setEmail(doctor.email);
+      setExperience(doctor.experience);
+      setFees(doctor.fees);
+      setAbout(doctor.about);
+      setSpeciality(doctor.speciality);
+      setDegree(doctor.degree);
+      setAddress1(doctor.address?.line1 || "");
+      setAddress2(doctor.address?.line2 || "");
+    }
+  }, [doctor?._id]);
+
+  if (!doctor) {
+    return <p className="m-5 text-gray-500">Loading doctor...</p>;
+  }
+
+  return (
+    <form onSubmit={onSubmitHandler} className="m-5 w-full">
+      <div className="flex items-center gap-4 mb-3">
+        <p className="text-lg font-medium">Edit Doctor</p>
+        {doctor.active === false && (
+          <p className="text-xs text-red-400 border border-red-300 rounded-full px-3 py-0.5">
+            Deactivated
+          </p>
+        )}
+      </div>
+      <div className="bg-white px-8 py-8 border rounded w-full max-w-4xl max-h-[80vh] overflow-y-scroll">
+        <div className="flex items-center gap-4 mb-8 text-gray-500">
+          <label htmlFor="doc-img">
+            <img
+              className="w-16 bg-gray-100 rounded-full cursor-pointer"
+              src={docImg ? URL.createObjectURL(docImg) : doctor.image}
+              alt=""
+            />
+          </label>
+          <input
+            onChange={(e) => setDocImg(e.target.files[0])}
+            type="file"
+            id="doc-img"
+            hidden
+          />
+          <p>
+            Replace doctor <br />
+            picture
+          </p>
+        </div>
+        <div className="flex flex-col lg:flex-row items-start gap-10 text-gray-600">
+          <div className="w-full lg:flex-1 flex-col gap-4">
+            <div className="flex-1 flex flex-col gap-1">
+              <p>Doctor name</p>
+              <input
+                onChange={(e) => setName(e.target.value)}
+                value={name}
+                className="border rounded px-3 py-2"
+                type="text"
+                placeholder="Name"
+                required
+              />
+            </div>
+
+            <div className="flex-1 flex flex-col gap-1">
+              <p>Doctor email</p>
+              <input
+                onChange={(e) => setEmail(e.target.value)}
+                value={email}
+                className="border rounded px-3 py-2"
+                type="text"
+                placeholder="Email"
+                required
+              />
+            </div>
+
+            <div className="flex-1 flex flex-col gap-1">
+              <p>New password</p>
+              <input
+                onChange={(e) => setPassword(e.target.value)}
+                value={password}
+                className="border rounded px-3 py-2"
+                type="password"
+                placeholder="Leave empty to keep the current one"
+              />
+            </div>
+            <div className="flex-1 flex flex-col gap-1">
+              <p>Experience</p>
+              <input
+                onChange={(e) => setExperience(e.target.value)}
+                value={experience}
+                className="border rounded px-3 py-2"
+                type="text"
+                placeholder="Experience"
+                required
+              />
+            </div>
+
+            <div className="flex-1 flex flex-col gap-1">
+              <p>Fees</p>
+              <input
+                onChange={(e) => setFees(e.target.value)}
+                value={fees}
+                className="border rounded px-3 py-2"
+                type="number"
+                placeholder="Fee"
+                required
+              />
+            </div>
+          </div>
+
+          <div className="w-full lg:flex-1 flex flex-col gap-4">
+            <div className="flex-1 flex flex-col gap-1">
+              <p>Speciality</p>
+              <select
+                onChange={(e) => setSpeciality(e.target.value)}
+                value={speciality}
+                className="border rounded px-3 py-2"
+              >
+                <option value="General physician">General physician</option>
+                <option value="Gynecologist">Gynecologist</option>
+                <option value="Dermatologist">Dermatologist</option>
+                <option value="Pediatricians">Pediatricians</option>
+                <option value="Neurologist">Neurologist</option>
+                <option value="Gastroenterologist">Gastroenterologist</option>
+              </select>
+            </div>
+
+            <div className="flex-1 flex flex-col gap-1">
+              <p>Education</p>
+              <input
+                onChange={(e) => setDegree(e.target.value)}
+                value={degree}
+                className="border rounded px-3 py-2"
+                type="text"
+                placeholder="Education"
+                required
+              />
+            </div>
+
+            <div className="flex-1 flex flex-col gap-1">
+              <p>Address</p>
+              <input
+                onChange={(e) => setAddress1(e.target.value)}
+                value={address1}
+                className="border rounded px-3 py-2"
+                type="text"
+                placeholder="address 1"
+                required
+              />
+              <input
+                onChange={(e) => setAddress2(e.target.value)}
+                value={address2}
+                className="border rounded px-3 py-2"
+                type="text"
+                placeholder="address 2"
+                required
+              />
+            </div>
+          </div>
+        </div>
+        <div>
+          <p className="mt-4 mb-2">About Doctor</p>
+          <textarea
+            onChange={(e) => setAbout(e.target.value)}
+            value={about}
+            className="w-full px-4 pt-2 border rounded"
+            placeholder="write about doctor"
+            rows={5}
+            required
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mt-4">
+          <button
+            type="submit"
+            className="bg-primary px-10 py-3 text-white rounded-full"
+          >
+            Save changes
+          </button>
+          <button
+            type="button"
+            onClick={onStatusChange}
+            className={`px-10 py-3 rounded-full border ${
+              doctor.active === false
+                ? "border-primary text-primary"
+                : "border-red-400 text-red-400"
+            }`}
+          >
+            {doctor.active === false ? "Reactivate doctor" : "Deactivate doctor"}
+          </button>
+          <button
+            type="button"
+            onClick={() => navigate("/doctor-list")}
+            className="text-gray-500"
+          >
+            Back to list
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default EditDoctor;
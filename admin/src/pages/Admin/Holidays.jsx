@@ -0,0 +1,201 @@
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+
+const Holidays = () => {
+  const { aToken, backendUrl } = useContext(AdminContext);
+
+  const [holidays, setHolidays] = useState([]);
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [wholeDay, setWholeDay] = useState(true);
+  const [startTime, setStartTime] = useState("10:00");
+  const [endTime, setEndTime] = useState("13:00");
+  const [reason, setReason] = useState("");
+
+  const getHolidays = async () => {
+    try {
+      const { data } = await axios.get(backendUrl + "/api/admin/holidays", {
+        headers: { aToken },
+      });
+      if (data.success) {
+        setHolidays(data.holidays);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/add-holiday",
+        {
+          fromDate,
+          toDate: toDate || fromDate,
+          startTime: wholeDay ? "" : startTime,
+          endTime: wholeDay ? "" : endTime,
+          reason,
+        },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        setFromDate("");
+        setToDate("");
+        setReason("");
+        getHolidays();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const removeHoliday = async (holidayId) => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/remove-holiday",
+        { holidayId },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        getHolidays();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (aToken) {
+      getHolidays();
+    }
+  }, [aToken]);
+
+  return (
+    <div className="m-5 w-full max-w-4xl">
+      <p className="mb-3 text-lg font-medium">Clinic Holidays</p>
+
+      <form
+        onSubmit={onSubmitHandler}
+        className="bg-white px-8 py-6 border rounded flex flex-wrap items-end gap-4 text-sm text-gray-600"
+      >
+        <div className="flex flex-col gap-1">
+          <p>From</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            required
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>To</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            value={toDate}
+            min={fromDate}
+            onChange={(e) => setToDate(e.target.value)}
+          />
+        </div>
+        <label className="flex items-center gap-2 py-2">
+          <input
+            type="checkbox"
+            checked={wholeDay}
+            onChange={() => setWholeDay((prev) => !prev)}
+          />
+          Whole day
+        </label>
+        {!wholeDay && (
+          <div className="flex items-center gap-2">
+            <input
+              className="border rounded px-3 py-2"
+              type="time"
+              value={startTime}
+              onChange={(e) => setStartTime(e.target.value)}
+              required
+            />
+            <span>to</span>
+            <input
+              className="border rounded px-3 py-2"
+              type="time"
+              value={endTime}
+              onChange={(e) => setEndTime(e.target.value)}
+              required
+            />
+          </div>
+        )}
+        <div className="flex flex-col gap-1 flex-1 min-w-40">
+          <p>Reason</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            placeholder="Optional"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </div>
+        <button
+          type="submit"
+          className="bg-primary px-8 py-2 text-white rounded-full"
+        >
+          Add Holiday
+        </button>
+      </form>
+
+      <div className="bg-white border rounded text-sm mt-5 max-h-[60vh] overflow-y-scroll">
+        <div className="grid grid-cols-[2fr_2fr_3fr_1fr] py-3 px-6 border-b">
+          <p>Dates</p>
+          <p>Time</p>
+          <p>Reason</p>
+          <p>Action</p>
+        </div>
+        {holidays.length === 0 && (
+          <p className="py-3 px-6 text-gray-400">No upcoming holidays</p>
+        )}
+        {holidays.map((item) => (
+          <div
+            className="grid grid-cols-[2fr_2fr_3fr_1fr] items-center text-gray-500 py-3 px-6 border-b hover:bg-gray-50"
+            key={item._id}
+          >
+            <p>
+              {item.fromDate}
+              {item.toDate !== item.fromDate && ` - ${item.toDate}`}
+            </p>
+            <p>
+              {item.startTime
+                ? `${item.startTime} - ${item.endTime}`
+                : "Whole day"}
+            </p>
+            <p>{item.reason}</p>
+            <p
+              onClick={() => removeHoliday(item._id)}
+              className="text-red-400 text-xs font-medium cursor-pointer"
+            >
+              Remove
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Holidays;
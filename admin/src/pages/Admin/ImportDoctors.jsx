@@ -0,0 +1,140 @@
+import { useContext, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+
+const COLUMNS =
+  "name, email, password, speciality, degree, experience, about, fees, address, image";
+
+const ImportDoctors = () => {
+  const { backendUrl, aToken } = useContext(AdminContext);
+
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // dry runs only check the file, the real run adds the valid rows
+  const sendFile = async (dryRun) => {
+    if (!file) {
+      return toast.error("Choose a CSV or JSON file first");
+    }
+
+    setLoading(true);
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+      formData.append("dryRun", dryRun);
+
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/import-doctors",
+        formData,
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        setReport(data);
+        if (!dryRun) {
+          toast.success(data.message);
+        }
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setReport(null);
+  };
+
+  return (
+    <div className="m-5 w-full max-w-4xl">
+      <p className="mb-3 text-lg font-medium">Import Doctors</p>
+
+      <div className="bg-white px-8 py-6 border rounded text-sm text-gray-600 flex flex-col gap-4">
+        <div>
+          <p>
+            Upload a <b>.csv</b> file with a header row, or a <b>.json</b> file
+            holding an array of doctors, with the columns:
+          </p>
+          <p className="mt-1 font-mono text-xs text-gray-500">{COLUMNS}</p>
+          <p className="mt-1 text-xs text-gray-400">
+            Address is a JSON object like{" "}
+            <span className="font-mono">
+              {'{"line1":"...","line2":"..."}'}
+            </span>
+            . Image is an optional URL, doctors without one get a placeholder
+            picture.
+          </p>
+        </div>
+
+        <input
+          type="file"
+          accept=".csv,.json"
+          onChange={onFileChange}
+          className="text-sm"
+        />
+
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={() => sendFile(true)}
+            disabled={loading || !file}
+            className="px-8 py-2 border border-primary text-primary rounded-full disabled:opacity-40"
+          >
+            Check file
+          </button>
+          <button
+            onClick={() => sendFile(false)}
+            disabled={loading || !report || !report.dryRun || !report.valid}
+            className="bg-primary px-8 py-2 text-white rounded-full disabled:opacity-40"
+          >
+            Import {report && report.dryRun ? report.valid : ""} doctors
+          </button>
+        </div>
+      </div>
+
+      {report && (
+        <div className="bg-white border rounded text-sm mt-5">
+          <p className="py-3 px-6 border-b font-medium text-gray-700">
+            {report.dryRun ? "Dry run: " : ""}
+            {report.message}
+            {report.total > report.valid &&
+              `, ${report.total - report.valid} with errors`}
+          </p>
+          <div className="max-h-[50vh] overflow-y-scroll">
+            <div className="hidden sm:grid grid-cols-[0.5fr_2fr_3fr_4fr] py-3 px-6 border-b">
+              <p>Row</p>
+              <p>Name</p>
+              <p>Email</p>
+              <p>Result</p>
+            </div>
+            {report.rows.map((item) => (
+              <div
+                className="flex flex-wrap justify-between max-sm:gap-2 sm:grid sm:grid-cols-[0.5fr_2fr_3fr_4fr] items-center text-gray-500 py-2 px-6 border-b"
+                key={item.row}
+              >
+                <p>{item.row}</p>
+                <p>{item.name}</p>
+                <p className="break-all">{item.email}</p>
+                {item.error ? (
+                  <p className="text-red-400">{item.error}</p>
+                ) : (
+                  <p className="text-green-500">
+                    {report.dryRun ? "Ready to import" : "Imported"}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportDoctors;
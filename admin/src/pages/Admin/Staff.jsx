@@ -0,0 +1,229 @@
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+
+const roleOptions = [
+  { value: "super-admin", label: "Super admin" },
+  { value: "receptionist", label: "Receptionist" },
+  { value: "billing", label: "Billing" },
+];
+
+const Staff = () => {
+  const { aToken, backendUrl, adminProfile } = useContext(AdminContext);
+
+  const [staff, setStaff] = useState([]);
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [role, setRole] = useState("receptionist");
+
+  const getStaff = async () => {
+    try {
+      const { data } = await axios.get(backendUrl + "/api/admin/staff", {
+        headers: { aToken },
+      });
+      if (data.success) {
+        setStaff(data.staff);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/add-staff",
+        { name, email, password, role },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        setName("");
+        setEmail("");
+        setPassword("");
+        getStaff();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const updateStaff = async (staffId, updates) => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/admin/update-staff",
+        { staffId, ...updates },
+        { headers: { aToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+      getStaff();
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const resetPassword = (staffId) => {
+    const newPassword = window.prompt("New password (at least 8 characters)");
+    if (newPassword) {
+      updateStaff(staffId, { password: newPassword });
+    }
+  };
+
+  const resetTwoFactor = (staffId) => {
+    if (
+      window.confirm(
+        "Turn off two-factor authentication for this account? They can set it up again after logging in."
+      )
+    ) {
+      updateStaff(staffId, { resetTwoFactor: true });
+    }
+  };
+
+  useEffect(() => {
+    if (aToken) {
+      getStaff();
+    }
+  }, [aToken]);
+
+  return (
+    <div className="m-5 w-full max-w-5xl">
+      <p className="mb-3 text-lg font-medium">Staff</p>
+
+      <form
+        onSubmit={onSubmitHandler}
+        className="bg-white px-8 py-6 border rounded flex flex-wrap items-end gap-4 text-sm text-gray-600"
+      >
+        <div className="flex flex-col gap-1">
+          <p>Name</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            required
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Email</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Password</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="password"
+            minLength={8}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Role</p>
+          <select
+            className="border rounded px-3 py-2"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+          >
+            {roleOptions.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          className="bg-primary px-8 py-2 text-white rounded-full"
+        >
+          Add Staff
+        </button>
+      </form>
+
+      <div className="bg-white border rounded text-sm mt-5 max-h-[60vh] overflow-y-scroll">
+        <div className="grid grid-cols-[2fr_3fr_2fr_1fr_2fr] py-3 px-6 border-b">
+          <p>Name</p>
+          <p>Email</p>
+          <p>Role</p>
+          <p>Status</p>
+          <p>Actions</p>
+        </div>
+        {staff.map((item) => (
+          <div
+            className={`grid grid-cols-[2fr_3fr_2fr_1fr_2fr] items-center py-3 px-6 border-b hover:bg-gray-50 ${
+              item.active ? "text-gray-500" : "text-gray-300"
+            }`}
+            key={item._id}
+          >
+            <p>
+              {item.name}
+              {adminProfile && adminProfile.id === item._id && " (you)"}
+            </p>
+            <p>{item.email}</p>
+            <select
+              className="border rounded px-2 py-1 w-fit"
+              value={item.role}
+              onChange={(e) => updateStaff(item._id, { role: e.target.value })}
+            >
+              {roleOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p>{item.active ? "Active" : "Disabled"}</p>
+            <div className="flex flex-wrap gap-3 text-xs font-medium">
+              <p
+                onClick={() => updateStaff(item._id, { active: !item.active })}
+                className={`cursor-pointer ${
+                  item.active ? "text-red-400" : "text-primary"
+                }`}
+              >
+                {item.active ? "Disable" : "Enable"}
+              </p>
+              <p
+                onClick={() => resetPassword(item._id)}
+                className="cursor-pointer text-primary"
+              >
+                Reset password
+              </p>
+              {item.twoFactor && item.twoFactor.enabled && (
+                <p
+                  onClick={() => resetTwoFactor(item._id)}
+                  className="cursor-pointer text-primary"
+                >
+                  Reset 2FA
+                </p>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Staff;
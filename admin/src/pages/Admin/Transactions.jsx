@@ -0,0 +1,196 @@
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../../context/AdminContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+import ExportButtons from "../../components/ExportButtons";
+
+const Transactions = () => {
+  const { aToken, backendUrl, downloadExport } = useContext(AdminContext);
+
+  const [transactions, setTransactions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState({
+    type: "",
+    status: "",
+    from: "",
+    to: "",
+  });
+
+  const statusColors = {
+    succeeded: "text-green-500",
+    pending: "text-yellow-500",
+    failed: "text-red-400",
+  };
+
+  const getTransactions = async () => {
+    try {
+      // drop empty filters so the backend only sees the ones in use
+      const params = Object.fromEntries(
+        Object.entries({ ...filters, page }).filter(([, value]) => value)
+      );
+      const { data } = await axios.get(backendUrl + "/api/admin/transactions", {
+        headers: { aToken },
+        params,
+      });
+      if (data.success) {
+        setTransactions(data.transactions);
+        setPages(Math.max(data.pages, 1));
+        setTotal(data.total);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const onFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  useEffect(() => {
+    if (aToken) {
+      getTransactions();
+    }
+  }, [aToken, filters, page]);
+
+  return (
+    <div className="m-5 w-full max-w-6xl">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-3">
+        <p className="text-lg font-medium">Transactions</p>
+        {/* earnings per doctor over the chosen days */}
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <p>Earnings:</p>
+          <ExportButtons
+            onExport={(format) =>
+              downloadExport("earnings", format, {
+                from: filters.from,
+                to: filters.to,
+              })
+            }
+          />
+        </div>
+      </div>
+
+      <div className="bg-white px-8 py-5 border rounded flex flex-wrap items-end gap-4 text-sm text-gray-600">
+        <div className="flex flex-col gap-1">
+          <p>Type</p>
+          <select
+            className="border rounded px-3 py-2"
+            name="type"
+            value={filters.type}
+            onChange={onFilterChange}
+          >
+            <option value="">All</option>
+            <option value="charge">Charge</option>
+            <option value="refund">Refund</option>
+            <option value="failure">Failure</option>
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>Status</p>
+          <select
+            className="border rounded px-3 py-2"
+            name="status"
+            value={filters.status}
+            onChange={onFilterChange}
+          >
+            <option value="">All</option>
+            <option value="succeeded">Succeeded</option>
+            <option value="pending">Pending</option>
+            <option value="failed">Failed</option>
+          </select>
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>From</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={onFilterChange}
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>To</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            name="to"
+            min={filters.from}
+            value={filters.to}
+            onChange={onFilterChange}
+          />
+        </div>
+        <p className="py-2 ml-auto">{total} transactions</p>
+      </div>
+
+      <div className="bg-white border rounded text-sm mt-5 max-h-[70vh] overflow-y-scroll">
+        <div className="hidden sm:grid grid-cols-[2fr_1fr_1fr_2fr_2fr_1fr_3fr] py-3 px-6 border-b">
+          <p>Date</p>
+          <p>Type</p>
+          <p>Status</p>
+          <p>Patient</p>
+          <p>Doctor</p>
+          <p>Amount</p>
+          <p>Reference</p>
+        </div>
+        {transactions.length === 0 && (
+          <p className="py-3 px-6 text-gray-400">No transactions found</p>
+        )}
+        {transactions.map((item) => (
+          <div
+            className="flex flex-wrap justify-between max-sm:gap-2 sm:grid sm:grid-cols-[2fr_1fr_1fr_2fr_2fr_1fr_3fr] items-center text-gray-500 py-3 px-6 border-b hover:bg-gray-50"
+            key={item._id}
+          >
+            <p>{new Date(item.date).toLocaleString()}</p>
+            <p className="capitalize">{item.type}</p>
+            <p className={`capitalize ${statusColors[item.status]}`}>
+              {item.status}
+            </p>
+            <p>{item.patientName}</p>
+            <p>{item.doctorName}</p>
+            <p>
+              {item.type === "refund" && "-"}
+              {item.amount} {item.currency.toUpperCase()}
+            </p>
+            <p className="text-xs break-all" title={item.message}>
+              <span className="capitalize">{item.provider}</span>
+              {item.providerRef && ` · ${item.providerRef}`}
+              {item.message && (
+                <span className="block text-red-400">{item.message}</span>
+              )}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end gap-3 mt-4 text-sm text-gray-600">
+        <button
+          onClick={() => setPage((prev) => prev - 1)}
+          disabled={page <= 1}
+          className="px-4 py-1 border rounded disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <p>
+          Page {page} of {pages}
+        </p>
+        <button
+          onClick={() => setPage((prev) => prev + 1)}
+          disabled={page >= pages}
+          className="px-4 py-1 border rounded disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Transactions;
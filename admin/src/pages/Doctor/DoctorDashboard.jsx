@@ -3,9 +3,17 @@ import { useContext, useEffect } from "react";
 import { DoctorContext } from "../../context/DoctorContext";
 import { assets } from "../../assets/assets";
 import { AppContext } from "../../context/AppContext";
+import ExportButtons from "../../components/ExportButtons";
 const DoctorDashboard = () => {
-  const { dashData, setDashData, getDashData, dToken,cancelAppointment,completeAppointment } =
-    useContext(DoctorContext);
+  const {
+    dashData,
+    setDashData,
+    getDashData,
+    dToken,
+    cancelAppointment,
+    completeAppointment,
+    downloadExport,
+  } = useContext(DoctorContext);
   const { currency, slotDateFormat } = useContext(AppContext);
   useEffect(() => {
     if (dToken) {
@@ -47,6 +55,13 @@ const DoctorDashboard = () => {
             </div>
           </div>
         </div>
+
+        <div className="flex items-center gap-2 mt-4 text-sm text-gray-600">
+          <p>Earnings ledger:</p>
+          <ExportButtons
+            onExport={(format) => downloadExport("earnings", format)}
+          />
+        </div>
         <div className="bg-white">
           <div className="flex items-center gap-2.5 px-4 py-4 mt-10 rounded-t border">
             <img src={assets.list_icon} alt="" />
@@ -10,6 +10,49 @@ const DoctorProfile = () => {
   const { currency } = useContext(AppContext);
 
   const [isEdit, setIsEdit] = useState(false);
+  const [isEditSchedule, setIsEditSchedule] = useState(false);
+  const [schedule, setSchedule] = useState(null);
+
+  const daysOfWeek = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+  const updateDay = (day, changes) => {
+    setSchedule((prev) => ({
+      ...prev,
+      days: prev.days.map((item) =>
+        item.day === day ? { ...item, ...changes } : item
+      ),
+    }));
+  };
+
+  const updateBreak = (day, breakIndex, changes) => {
+    const dayConfig = schedule.days.find((item) => item.day === day);
+    updateDay(day, {
+      breaks: dayConfig.breaks.map((item, index) =>
+        index === breakIndex ? { ...item, ...changes } : item
+      ),
+    });
+  };
+
+  const updateSchedule = async () => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/update-schedule",
+        { schedule },
+        { headers: { dToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        setIsEditSchedule(false);
+        getProfileData();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.message);
+      console.log(error);
+    }
+  };
 
   const updateProfile = async () => {
     try {
@@ -44,6 +87,12 @@ const DoctorProfile = () => {
     }
   }, [dToken]);
 
+  useEffect(() => {
+    if (profileData && profileData.schedule) {
+      setSchedule(profileData.schedule);
+    }
+  }, [profileData]);
+
   return (
     profileData && (
       <div className="flex flex-col gap-4 m-5">
@@ -171,6 +220,169 @@ const DoctorProfile = () => {
               </button>
             )}
           </div>
+
+          {/* ---------Working Hours ----------------- */}
+          {schedule && (
+            <div className="border border-stone-100 rounded-lg p-8 py-7 bg-white mt-4 text-sm text-gray-600">
+              <p className="text-lg font-medium text-gray-700">Working Hours</p>
+              <div className="flex flex-wrap gap-6 mt-3">
+                <label className="flex items-center gap-2">
+                  Slot length (min):
+                  <input
+                    className="border rounded px-2 py-1 w-20"
+                    type="number"
+                    min={5}
+                    disabled={!isEditSchedule}
+                    value={schedule.slotDuration}
+                    onChange={(e) =>
+                      setSchedule((prev) => ({
+                        ...prev,
+                        slotDuration: e.target.value,
+                      }))
+                    }
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  Bookable days ahead:
+                  <input
+                    className="border rounded px-2 py-1 w-20"
+                    type="number"
+                    min={1}
+                    disabled={!isEditSchedule}
+                    value={schedule.bookingWindowDays}
+                    onChange={(e) =>
+                      setSchedule((prev) => ({
+                        ...prev,
+                        bookingWindowDays: e.target.value,
+                      }))
+                    }
+                  />
+                </label>
+              </div>
+
+              <div className="flex flex-col gap-3 mt-4">
+                {schedule.days.map((dayConfig) => (
+                  <div
+                    className="flex flex-wrap items-center gap-3 border-b pb-3"
+                    key={dayConfig.day}
+                  >
+                    <label className="flex items-center gap-2 w-20">
+                      <input
+                        type="checkbox"
+                        disabled={!isEditSchedule}
+                        checked={dayConfig.enabled}
+                        onChange={() =>
+                          updateDay(dayConfig.day, {
+                            enabled: !dayConfig.enabled,
+                          })
+                        }
+                      />
+                      {daysOfWeek[dayConfig.day]}
+                    </label>
+                    {dayConfig.enabled ? (
+                      <>
+                        <input
+                          className="border rounded px-2 py-1"
+                          type="time"
+                          disabled={!isEditSchedule}
+                          value={dayConfig.start}
+                          onChange={(e) =>
+                            updateDay(dayConfig.day, { start: e.target.value })
+                          }
+                        />
+                        <span>to</span>
+                        <input
+                          className="border rounded px-2 py-1"
+                          type="time"
+                          disabled={!isEditSchedule}
+                          value={dayConfig.end}
+                          onChange={(e) =>
+                            updateDay(dayConfig.day, { end: e.target.value })
+                          }
+                        />
+                        {dayConfig.breaks.map((item, index) => (
+                          <span
+                            className="flex items-center gap-1 bg-gray-50 rounded px-2 py-1"
+                            key={index}
+                          >
+                            Break
+                            <input
+                              type="time"
+                              disabled={!isEditSchedule}
+                              value={item.start}
+                              onChange={(e) =>
+                                updateBreak(dayConfig.day, index, {
+                                  start: e.target.value,
+                                })
+                              }
+                            />
+                            -
+                            <input
+                              type="time"
+                              disabled={!isEditSchedule}
+                              value={item.end}
+                              onChange={(e) =>
+                                updateBreak(dayConfig.day, index, {
+                                  end: e.target.value,
+                                })
+                              }
+                            />
+                            {isEditSchedule && (
+                              <span
+                                className="text-red-400 cursor-pointer"
+                                onClick={() =>
+                                  updateDay(dayConfig.day, {
+                                    breaks: dayConfig.breaks.filter(
+                                      (_, i) => i !== index
+                                    ),
+                                  })
+                                }
+                              >
+                                x
+                              </span>
+                            )}
+                          </span>
+                        ))}
+                        {isEditSchedule && (
+                          <span
+                            className="text-primary cursor-pointer"
+                            onClick={() =>
+                              updateDay(dayConfig.day, {
+                                breaks: [
+                                  ...dayConfig.breaks,
+                                  { start: "13:00", end: "14:00" },
+                                ],
+                              })
+                            }
+                          >
+                            + Add break
+                          </span>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-gray-400">Not working</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {isEditSchedule ? (
+                <button
+                  onClick={updateSchedule}
+                  className="px-4 py-1 border border-primary text-sm rounded-full mt-5 hover:bg-primary hover:text-white transition-all"
+                >
+                  Save
+                </button>
+              ) : (
+                <button
+                  onClick={() => setIsEditSchedule(true)}
+                  className="px-4 py-1 border border-primary text-sm rounded-full mt-5 hover:bg-primary hover:text-white transition-all"
+                >
+                  Edit
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </div>
     )
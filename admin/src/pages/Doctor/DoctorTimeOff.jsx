@@ -0,0 +1,205 @@
+import { useContext, useEffect, useState } from "react";
+import { DoctorContext } from "../../context/DoctorContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+
+const DoctorTimeOff = () => {
+  const { dToken, backendUrl } = useContext(DoctorContext);
+
+  const [timeOffs, setTimeOffs] = useState([]);
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [wholeDay, setWholeDay] = useState(true);
+  const [startTime, setStartTime] = useState("10:00");
+  const [endTime, setEndTime] = useState("13:00");
+  const [reason, setReason] = useState("");
+
+  const getTimeOffs = async () => {
+    try {
+      const { data } = await axios.get(backendUrl + "/api/doctor/time-off", {
+        headers: { dToken },
+      });
+      if (data.success) {
+        setTimeOffs(data.timeOffs);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/add-time-off",
+        {
+          fromDate,
+          toDate: toDate || fromDate,
+          startTime: wholeDay ? "" : startTime,
+          endTime: wholeDay ? "" : endTime,
+          reason,
+        },
+        { headers: { dToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        setFromDate("");
+        setToDate("");
+        setReason("");
+        getTimeOffs();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const removeTimeOff = async (timeOffId) => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/remove-time-off",
+        { timeOffId },
+        { headers: { dToken } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        getTimeOffs();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (dToken) {
+      getTimeOffs();
+    }
+  }, [dToken]);
+
+  return (
+    <div className="m-5 w-full max-w-4xl">
+      <p className="mb-3 text-lg font-medium">Time Off</p>
+
+      <form
+        onSubmit={onSubmitHandler}
+        className="bg-white px-8 py-6 border rounded flex flex-wrap items-end gap-4 text-sm text-gray-600"
+      >
+        <div className="flex flex-col gap-1">
+          <p>From</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            required
+          />
+        </div>
+        <div className="flex flex-col gap-1">
+          <p>To</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="date"
+            value={toDate}
+            min={fromDate}
+            onChange={(e) => setToDate(e.target.value)}
+          />
+        </div>
+        <label className="flex items-center gap-2 py-2">
+          <input
+            type="checkbox"
+            checked={wholeDay}
+            onChange={() => setWholeDay((prev) => !prev)}
+          />
+          Whole day
+        </label>
+        {!wholeDay && (
+          <div className="flex items-center gap-2">
+            <input
+              className="border rounded px-3 py-2"
+              type="time"
+              value={startTime}
+              onChange={(e) => setStartTime(e.target.value)}
+              required
+            />
+            <span>to</span>
+            <input
+              className="border rounded px-3 py-2"
+              type="time"
+              value={endTime}
+              onChange={(e) => setEndTime(e.target.value)}
+              required
+            />
+          </div>
+        )}
+        <div className="flex flex-col gap-1 flex-1 min-w-40">
+          <p>Reason</p>
+          <input
+            className="border rounded px-3 py-2"
+            type="text"
+            placeholder="Optional"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </div>
+        <button
+          type="submit"
+          className="bg-primary px-8 py-2 text-white rounded-full"
+        >
+          Block
+        </button>
+      </form>
+
+      <div className="bg-white border rounded text-sm mt-5 max-h-[60vh] overflow-y-scroll">
+        <div className="grid grid-cols-[2fr_2fr_3fr_1fr] py-3 px-6 border-b">
+          <p>Dates</p>
+          <p>Time</p>
+          <p>Reason</p>
+          <p>Action</p>
+        </div>
+        {timeOffs.length === 0 && (
+          <p className="py-3 px-6 text-gray-400">No upcoming time off</p>
+        )}
+        {timeOffs.map((item) => (
+          <div
+            className="grid grid-cols-[2fr_2fr_3fr_1fr] items-center text-gray-500 py-3 px-6 border-b hover:bg-gray-50"
+            key={item._id}
+          >
+            <p>
+              {item.fromDate}
+              {item.toDate !== item.fromDate && ` - ${item.toDate}`}
+            </p>
+            <p>
+              {item.startTime
+                ? `${item.startTime} - ${item.endTime}`
+                : "Whole day"}
+            </p>
+            <p>{item.reason}</p>
+            {item.docId ? (
+              <p
+                onClick={() => removeTimeOff(item._id)}
+                className="text-red-400 text-xs font-medium cursor-pointer"
+              >
+                Remove
+              </p>
+            ) : (
+              <p className="text-xs font-medium">Clinic holiday</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DoctorTimeOff;
@@ -0,0 +1,75 @@
+import { useContext, useState } from "react";
+import { AdminContext } from "../context/AdminContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { useNavigate } from "react-router-dom";
+
+// Password recovery for doctors. Admin staff are reset by a super-admin.
+const ForgotPassword = () => {
+  const { backendUrl } = useContext(AdminContext);
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/forgot-password",
+        { email }
+      );
+      if (data.success) {
+        setSent(true);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  return (
+    <form onSubmit={onSubmitHandler} className="min-h-[80vh] flex items-center">
+      <div className="flex flex-col gap-3 m-auto items-start p-8 min-w-[340px] sm:min-96 border rounded-xl text-[#5E5E5E] text-sm shadow-lg">
+        <p className="text-2xl font-semibold m-auto">
+          <span className="text-primary">Doctor</span> Password Reset
+        </p>
+        {sent ? (
+          <p>
+            If a doctor account exists for {email}, we have emailed a link to
+            reset the password.
+          </p>
+        ) : (
+          <>
+            <div className="w-full">
+              <p>Email</p>
+              <input
+                onChange={(e) => setEmail(e.target.value)}
+                value={email}
+                className="border border-[#DADADA] rounded w-full p-2 mt-1"
+                type="email"
+                required
+              />
+            </div>
+            <button className="bg-primary text-white w-full p-2 rounded-md text-base">
+              Send Reset Link
+            </button>
+          </>
+        )}
+        <p>
+          Back to{" "}
+          <span
+            className="text-primary underline cursor-pointer"
+            onClick={() => navigate("/", { state: { login: "Doctor" } })}
+          >
+            Doctor Login
+          </span>
+        </p>
+      </div>
+    </form>
+  );
+};
+
+export default ForgotPassword;
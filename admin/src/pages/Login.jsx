@@ -5,41 +5,107 @@ import { AdminContext } from "../context/AdminContext";
 import axios from "axios";
 import { toast } from "react-toastify";
 import { DoctorContext } from "../context/DoctorContext";
+import { useLocation, useNavigate } from "react-router-dom";
+import RecoveryCodes from "../components/RecoveryCodes";
 
 const Login = () => {
-  const [state, setState] = useState("Admin");
+  const location = useLocation();
+  const navigate = useNavigate();
+  // reset pages send doctors back here with the doctor form selected
+  const [state, setState] = useState(
+    (location.state && location.state.login) || "Admin"
+  );
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
-  const { setAToken, backendUrl } = useContext(AdminContext);
-  const {setDToken} = useContext(DoctorContext)
+  const { saveAdminSession, backendUrl } = useContext(AdminContext);
+  const { saveDoctorSession } = useContext(DoctorContext);
+
+  // "password", then "verify" for enrolled accounts, or "setup" and
+  // "recovery" when two-factor authentication has to be set up first
+  const [step, setStep] = useState("password");
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
+  const [enrollment, setEnrollment] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [pendingSession, setPendingSession] = useState(false);
+
+  const apiPath = state === "Admin" ? "/api/admin" : "/api/doctor";
+
+  const saveSession = (session) =>
+    state === "Admin" ? saveAdminSession(session) : saveDoctorSession(session);
+
+  const resetSteps = () => {
+    setStep("password");
+    setChallengeToken("");
+    setCode("");
+    setEnrollment(false);
+    setRecoveryCodes([]);
+    setPendingSession(false);
+  };
+
+  // the password was right, a second step may still be needed
+  const onPasswordAccepted = async (data) => {
+    if (data.twoFactorRequired) {
+      setChallengeToken(data.challengeToken);
+      setStep("verify");
+    } else if (data.twoFactorSetupRequired) {
+      setChallengeToken(data.challengeToken);
+      const setup = await axios.post(backendUrl + apiPath + "/login/setup-2fa", {
+        challengeToken: data.challengeToken,
+      });
+      if (setup.data.success) {
+        setEnrollment(setup.data);
+        setStep("setup");
+      } else {
+        toast.error(setup.data.message);
+      }
+    } else {
+      saveSession(data);
+    }
+  };
 
   const onSubmitHandler = async (event) => {
     event.preventDefault();
 
     try {
-      if (state === "Admin") {
-        const { data } = await axios.post(backendUrl + "/api/admin/login", {
+      if (step === "password") {
+        const { data } = await axios.post(backendUrl + apiPath + "/login", {
           email,
           password,
         });
         if (data.success) {
-          localStorage.setItem("aToken", data.token);
-          setAToken(data.token);
+          await onPasswordAccepted(data);
         } else {
           toast.error(data.message);
         }
-      } else {
-        const {data} = await axios.post(backendUrl + '/api/doctor/login',{email, password})
+      } else if (step === "verify") {
+        const { data } = await axios.post(
+          backendUrl + apiPath + "/login/verify-2fa",
+          { challengeToken, code }
+        );
         if (data.success) {
-          localStorage.setItem("dToken", data.token);
-          setDToken(data.token);
-          console.log(data.token);
-          
+          saveSession(data);
         } else {
           toast.error(data.message);
         }
+      } else if (step === "setup") {
+        const { data } = await axios.post(
+          backendUrl + apiPath + "/login/enable-2fa",
+          { challengeToken, code }
+        );
+        if (data.success) {
+          setRecoveryCodes(data.recoveryCodes);
+          setPendingSession(data);
+          setStep("recovery");
+        } else {
+          toast.error(data.message);
+        }
+      } else {
+        saveSession(pendingSession);
       }
-    } catch (error) {}
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
   };
 
   return (
@@ -48,30 +114,107 @@ const Login = () => {
         <p className="text-2xl font-semibold m-auto">
           <span className="text-primary">{state}</span> Login
         </p>
-        <div className="w-full">
-          <p>Email</p>
-          <input
-            onChange={(e) => setEmail(e.target.value)}
-            value={email}
-            className="border border-[#DADADA] rounded w-full p-2 mt-1"
-            type="email"
-            required
-          />
-        </div>
-        <div className="w-full">
-          <p>Password</p>
-          <input
-            onChange={(e) => setPassword(e.target.value)}
-            value={password}
-            className="border border-[#DADADA] rounded w-full p-2 mt-1"
-            type="password"
-            required
-          />
-        </div>
-        <button className="bg-primary text-white w-full p-2 rounded-md text-base">
-          Login
-        </button>
-        {state === "Admin" ? (
+        {step === "password" && (
+          <>
+          <div className="w-full">
+            <p>Email</p>
+            <input
+              onChange={(e) => setEmail(e.target.value)}
+              value={email}
+              className="border border-[#DADADA] rounded w-full p-2 mt-1"
+              type="email"
+              required
+            />
+          </div>
+          <div className="w-full">
+            <p>Password</p>
+            <input
+              onChange={(e) => setPassword(e.target.value)}
+              value={password}
+              className="border border-[#DADADA] rounded w-full p-2 mt-1"
+              type="password"
+              required
+            />
+          </div>
+          {state === "Doctor" && (
+            <p
+              className="text-primary underline cursor-pointer"
+              onClick={() => navigate("/forgot-password")}
+            >
+              Forgot password?
+            </p>
+          )}
+          <button className="bg-primary text-white w-full p-2 rounded-md text-base">
+            Login
+          </button>
+          </>
+        )}
+        {step === "verify" && (
+          <>
+            <p>
+              Enter the 6-digit code from your authenticator app, or one of
+              your recovery codes.
+            </p>
+            <div className="w-full">
+              <p>Code</p>
+              <input
+                onChange={(e) => setCode(e.target.value)}
+                value={code}
+                className="border border-[#DADADA] rounded w-full p-2 mt-1"
+                type="text"
+                autoComplete="one-time-code"
+                required
+              />
+            </div>
+            <button className="bg-primary text-white w-full p-2 rounded-md text-base">
+              Verify
+            </button>
+          </>
+        )}
+        {step === "setup" && enrollment && (
+          <>
+            <p>
+              Two-factor authentication is required for your account. Scan this
+              code with an authenticator app, then enter the code it shows.
+            </p>
+            <img className="w-44 m-auto" src={enrollment.qrCode} alt="" />
+            <p className="text-xs break-all">
+              Or enter this key manually:{" "}
+              <span className="font-mono">{enrollment.secret}</span>
+            </p>
+            <div className="w-full">
+              <p>Code</p>
+              <input
+                onChange={(e) => setCode(e.target.value)}
+                value={code}
+                className="border border-[#DADADA] rounded w-full p-2 mt-1"
+                type="text"
+                autoComplete="one-time-code"
+                required
+              />
+            </div>
+            <button className="bg-primary text-white w-full p-2 rounded-md text-base">
+              Turn On
+            </button>
+          </>
+        )}
+        {step === "recovery" && (
+          <>
+            <RecoveryCodes codes={recoveryCodes} />
+            <button className="bg-primary text-white w-full p-2 rounded-md text-base">
+              Continue
+            </button>
+          </>
+        )}
+        {step !== "password" && step !== "recovery" && (
+          <p
+            className="text-primary underline cursor-pointer"
+            onClick={resetSteps}
+          >
+            Back to login
+          </p>
+        )}
+        {step === "password" && state === "Admin" && (
           <p>
             Doctor Login?{" "}
             <span
@@ -81,7 +224,8 @@ const Login = () => {
               click here
             </span>
           </p>
-        ) : (
+        )}
+        {step === "password" && state === "Doctor" && (
           <p>
             Admin Login?{" "}
             <span
@@ -0,0 +1,89 @@
+import { useContext, useState } from "react";
+import { AdminContext } from "../context/AdminContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { useNavigate, useSearchParams } from "react-router-dom";
+
+const ResetPassword = () => {
+  const { backendUrl } = useContext(AdminContext);
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    if (password !== confirmPassword) {
+      return toast.error("Passwords do not match");
+    }
+
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/doctor/reset-password",
+        { token, password }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        navigate("/", { state: { login: "Doctor" } });
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <form onSubmit={onSubmitHandler} className="min-h-[80vh] flex items-center">
+      <div className="flex flex-col gap-3 m-auto items-start p-8 min-w-[340px] sm:min-96 border rounded-xl text-[#5E5E5E] text-sm shadow-lg">
+        <p className="text-2xl font-semibold m-auto">
+          <span className="text-primary">New</span> Password
+        </p>
+        {token ? (
+          <>
+            <div className="w-full">
+              <p>New Password</p>
+              <input
+                onChange={(e) => setPassword(e.target.value)}
+                value={password}
+                className="border border-[#DADADA] rounded w-full p-2 mt-1"
+                type="password"
+                minLength={8}
+                required
+              />
+            </div>
+            <div className="w-full">
+              <p>Confirm Password</p>
+              <input
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                value={confirmPassword}
+                className="border border-[#DADADA] rounded w-full p-2 mt-1"
+                type="password"
+                minLength={8}
+                required
+              />
+            </div>
+            <button className="bg-primary text-white w-full p-2 rounded-md text-base">
+              Update Password
+            </button>
+          </>
+        ) : (
+          <p>
+            This reset link is incomplete.{" "}
+            <span
+              className="text-primary underline cursor-pointer"
+              onClick={() => navigate("/forgot-password")}
+            >
+              Request a new one
+            </span>
+          </p>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,194 @@
+import { useContext, useEffect, useState } from "react";
+import { AdminContext } from "../context/AdminContext";
+import { DoctorContext } from "../context/DoctorContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+import RecoveryCodes from "../components/RecoveryCodes";
+
+// Two-factor settings for whoever is signed in, admin staff or a doctor
+const Security = () => {
+  const { aToken, backendUrl } = useContext(AdminContext);
+  const { dToken } = useContext(DoctorContext);
+
+  const apiPath = aToken ? "/api/admin" : "/api/doctor";
+  const headers = aToken ? { aToken } : { dToken };
+
+  const [twoFactor, setTwoFactor] = useState(false);
+  const [enrollment, setEnrollment] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState("");
+
+  const getStatus = async () => {
+    try {
+      const { data } = await axios.get(backendUrl + apiPath + "/2fa", {
+        headers,
+      });
+      if (data.success) {
+        setTwoFactor(data.twoFactor);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  // posts to one of the 2fa endpoints and refreshes the status afterwards
+  const postTwoFactor = async (path, body = {}) => {
+    try {
+      const { data } = await axios.post(backendUrl + apiPath + path, body, {
+        headers,
+      });
+      if (!data.success) {
+        toast.error(data.message);
+        return null;
+      }
+      if (data.message) {
+        toast.success(data.message);
+      }
+      setCode("");
+      getStatus();
+      return data;
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+      return null;
+    }
+  };
+
+  const startSetup = async () => {
+    setRecoveryCodes([]);
+    const data = await postTwoFactor("/2fa/setup");
+    if (data) {
+      setEnrollment(data);
+    }
+  };
+
+  const confirmSetup = async (event) => {
+    event.preventDefault();
+    const data = await postTwoFactor("/2fa/enable", { code });
+    if (data) {
+      setEnrollment(false);
+      setRecoveryCodes(data.recoveryCodes);
+    }
+  };
+
+  const regenerateCodes = async () => {
+    const data = await postTwoFactor("/2fa/recovery-codes", { code });
+    if (data) {
+      setRecoveryCodes(data.recoveryCodes);
+    }
+  };
+
+  const disableTwoFactor = async () => {
+    if (await postTwoFactor("/2fa/disable", { code })) {
+      setRecoveryCodes([]);
+    }
+  };
+
+  useEffect(() => {
+    if (aToken || dToken) {
+      getStatus();
+    }
+  }, [aToken, dToken]);
+
+  return (
+    twoFactor && (
+      <div className="m-5 w-full max-w-2xl">
+        <p className="mb-3 text-lg font-medium">Security</p>
+
+        <div className="bg-white px-8 py-6 border rounded flex flex-col gap-4 text-sm text-gray-600">
+          <div>
+            <p className="text-base font-medium text-gray-700">
+              Two-factor authentication
+            </p>
+            <p className="mt-1">
+              {twoFactor.enabled
+                ? `On. ${twoFactor.recoveryCodesLeft} recovery codes left.`
+                : "Off. Add a code from an authenticator app to every login."}
+              {twoFactor.required && " Required for your account."}
+            </p>
+          </div>
+
+          {!twoFactor.enabled && !enrollment && (
+            <button
+              onClick={startSetup}
+              className="bg-primary px-8 py-2 text-white rounded-full w-fit"
+            >
+              Set up
+            </button>
+          )}
+
+          {!twoFactor.enabled && enrollment && (
+            <form onSubmit={confirmSetup} className="flex flex-col gap-3">
+              <p>
+                Scan this code with an authenticator app, then enter the code
+                it shows.
+              </p>
+              <img className="w-44" src={enrollment.qrCode} alt="" />
+              <p className="text-xs break-all">
+                Or enter this key manually:{" "}
+                <span className="font-mono">{enrollment.secret}</span>
+              </p>
+              <div className="flex gap-3">
+                <input
+                  onChange={(e) => setCode(e.target.value)}
+                  value={code}
+                  className="border rounded px-3 py-2"
+                  type="text"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                  required
+                />
+                <button
+                  type="submit"
+                  className="bg-primary px-8 py-2 text-white rounded-full"
+                >
+                  Turn On
+                </button>
+              </div>
+            </form>
+          )}
+
+          {twoFactor.enabled && (
+            <div className="flex flex-col gap-3">
+              <p>
+                Enter a current code from your app to replace your recovery
+                codes{!twoFactor.required && " or turn two-factor off"}.
+              </p>
+              <div className="flex flex-wrap gap-3">
+                <input
+                  onChange={(e) => setCode(e.target.value)}
+                  value={code}
+                  className="border rounded px-3 py-2"
+                  type="text"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                />
+                <button
+                  onClick={regenerateCodes}
+                  className="border border-primary text-primary px-6 py-2 rounded-full"
+                >
+                  New Recovery Codes
+                </button>
+                {!twoFactor.required && (
+                  <button
+                    onClick={disableTwoFactor}
+                    className="border border-red-400 text-red-400 px-6 py-2 rounded-full"
+                  >
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {recoveryCodes.length > 0 && <RecoveryCodes codes={recoveryCodes} />}
+        </div>
+      </div>
+    )
+  );
+};
+
+export default Security;
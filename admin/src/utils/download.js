@@ -0,0 +1,22 @@
+import { toast } from "react-toastify";
+
+// Hands a file fetched with responseType "blob" to the browser. Files need
+// the auth header, so they can't be plain links. Errors still come back as
+// JSON and are shown as a toast instead.
+export const saveDownload = async (response, fallbackName) => {
+  if (response.data.type === "application/json") {
+    const data = JSON.parse(await response.data.text());
+    toast.error(data.message);
+    return;
+  }
+
+  const disposition = response.headers["content-disposition"] || "";
+  const fileName = /filename="(.+)"/.exec(disposition)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
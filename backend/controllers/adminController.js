@@ -6,9 +6,38 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import fs from "fs";
-import jwt from "jsonwebtoken";
 import appointmentModel from "../models/appointmentModel.js";
 import userModel from "../models/userModel.js";
+import timeOffModel from "../models/timeOffModel.js";
+import transactionModel from "../models/transactionModel.js";
+import auditLogModel from "../models/auditLogModel.js";
+import { toIsoDate } from "../utils/schedule.js";
+import { validateTimeOff } from "../utils/timeOff.js";
+import { cancelWithPolicy } from "../utils/cancellation.js";
+import {
+  recordOfflinePayment,
+  settleOfflineRefund,
+} from "../utils/offlinePayments.js";
+import { sendInvoice } from "../utils/invoices.js";
+import couponModel from "../models/couponModel.js";
+import adminModel from "../models/adminModel.js";
+import { ROLES, permissionsForRole } from "../middlewares/permissions.js";
+import { normalizeCode, validateCoupon } from "../utils/coupons.js";
+import { parseAddress, validateDoctor } from "../utils/doctors.js";
+import { parseImportFile, validateImportRows } from "../utils/doctorImport.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { timestampRange } from "../utils/dateRange.js";
+import {
+  buildAppointmentFilter,
+  buildAppointmentSort,
+} from "../utils/appointmentFilters.js";
+import { passwordLoginResult, turnOffTwoFactor } from "../utils/twoFactor.js";
+import {
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginLockout.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,6 +48,23 @@ const cleanQuotes = (str) => {
   return str.replace(/^"|"$/g, "").trim();
 };
 
+// Uploads a doctor photo saved by multer to cloudinary, returns its URL
+const uploadDoctorImage = async (file) => {
+  const uploadsDir = path.join(__dirname, "..", "uploads");
+  const imagePath = path.join(uploadsDir, file.filename);
+
+  const imageUpload = await cloudinary.uploader.upload(imagePath, {
+    resource_type: "image",
+  });
+
+  // Clean up the local file after upload to cloudinary
+  fs.unlink(imagePath, (err) => {
+    if (err) console.error("Error deleting local file:", err);
+  });
+
+  return imageUpload.secure_url;
+};
+
 const addDoctor = async (req, res) => {
   try {
     // Clean quotes from all form fields
@@ -51,50 +97,21 @@ const addDoctor = async (req, res) => {
         .json({ success: false, message: "Image file is required" });
     }
 
-    // checking for all required fields
-    if (
-      !name ||
-      !email ||
-      !password ||
-      !speciality ||
-      !degree ||
-      !experience ||
-      !about ||
-      !fees ||
-      !address
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing Details",
-        received: {
-          name: !!name,
-          email: !!email,
-          password: !!password,
-          speciality: !!speciality,
-          degree: !!degree,
-          experience: !!experience,
-          about: !!about,
-          fees: !!fees,
-          address: !!address,
-        },
-      });
-    }
-
-    // validating email format
-    if (!validator.isEmail(email)) {
-      return res.status(400).json({
-        success: false,
-        message: "Please enter a valid email",
-        receivedEmail: email,
-      });
-    }
-
-    // validating strong password
-    if (password.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: "Password must be at least 8 characters long",
-      });
+    // required fields, email, password, fees and address, same rules as
+    // the bulk import
+    const errorMessage = validateDoctor({
+      name,
+      email,
+      password,
+      speciality,
+      degree,
+      experience,
+      about,
+      fees,
+      address,
+    });
+    if (errorMessage) {
+      return res.status(400).json({ success: false, message: errorMessage });
     }
 
     // Check if doctor with email already exists
@@ -111,31 +128,7 @@ const addDoctor = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // upload image to cloudinary
-    const uploadsDir = path.join(__dirname, "..", "uploads");
-    const imagePath = path.join(uploadsDir, req.file.filename);
-
-    const imageUpload = await cloudinary.uploader.upload(imagePath, {
-      resource_type: "image",
-    });
-    const imageUrl = imageUpload.secure_url;
-
-    // Clean up the local file after upload to cloudinary
-    fs.unlink(imagePath, (err) => {
-      if (err) console.error("Error deleting local file:", err);
-    });
-
-    // Parse address
-    let parsedAddress;
-    try {
-      parsedAddress =
-        typeof address === "string" ? JSON.parse(address) : address;
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid address format. Please provide a valid JSON object",
-        receivedAddress: address,
-      });
-    }
+    const imageUrl = await uploadDoctorImage(req.file);
 
     const doctorData = {
       name,
@@ -147,13 +140,20 @@ const addDoctor = async (req, res) => {
       experience,
       about,
       fees: Number(fees),
-      address: parsedAddress,
+      address: parseAddress(address),
       date: Date.now(),
     };
 
     const newDoctor = new doctorModel(doctorData);
     await newDoctor.save();
 
+    await recordAudit(req, {
+      action: "doctor.create",
+      entity: "doctor",
+      entityId: newDoctor._id,
+      after: newDoctor,
+    });
+
     res.status(201).json({
       success: true,
       message: "Doctor added successfully",
@@ -174,21 +174,306 @@ const addDoctor = async (req, res) => {
   }
 };
 
+// API to edit a doctor's details, photo or password
+
+const updateDoctor = async (req, res) => {
+  try {
+    const docId = cleanQuotes(req.body.docId);
+    const password = cleanQuotes(req.body.password);
+
+    const updates = {};
+    for (const field of [
+      "name",
+      "email",
+      "speciality",
+      "degree",
+      "experience",
+      "about",
+      "fees",
+    ]) {
+      const value = cleanQuotes(req.body[field]);
+      if (value === undefined) continue;
+      if (!value) {
+        return res.json({ success: false, message: "Missing Details" });
+      }
+      updates[field] = value;
+    }
+
+    const doctor = await doctorModel.findById(docId);
+    if (!doctor) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
+
+    if (updates.email && updates.email !== doctor.email) {
+      if (!validator.isEmail(updates.email)) {
+        return res.json({
+          success: false,
+          message: "Please enter a valid email",
+        });
+      }
+      if (await doctorModel.exists({ email: updates.email })) {
+        return res.json({
+          success: false,
+          message: "Doctor with this email already exists",
+        });
+      }
+    }
+
+    if (updates.fees !== undefined) {
+      updates.fees = Number(updates.fees);
+      if (!Number.isFinite(updates.fees) || updates.fees < 0) {
+        return res.json({
+          success: false,
+          message: "Fees must be a positive number",
+        });
+      }
+    }
+
+    if (req.body.address !== undefined) {
+      updates.address = parseAddress(req.body.address);
+      if (!updates.address) {
+        return res.json({ success: false, message: "Invalid address format" });
+      }
+    }
+
+    if (password) {
+      if (password.length < 8) {
+        return res.json({
+          success: false,
+          message: "Password must be at least 8 characters long",
+        });
+      }
+      const salt = await bcrypt.genSalt(10);
+      updates.password = await bcrypt.hash(password, salt);
+    }
+
+    // a new photo replaces the old one, otherwise it is kept
+    if (req.file) {
+      updates.image = await uploadDoctorImage(req.file);
+    }
+
+    const updated = await doctorModel.findByIdAndUpdate(docId, updates, {
+      new: true,
+    });
+
+    // a replaced password signs the doctor out everywhere
+    if (updates.password) {
+      await revokeAllSessions("doctor", docId);
+    }
+
+    await recordAudit(req, {
+      action: "doctor.update",
+      entity: "doctor",
+      entityId: docId,
+      before: { ...doctor.toObject(), passwordChanged: false },
+      after: { ...updated.toObject(), passwordChanged: Boolean(password) },
+    });
+
+    res.json({ success: true, message: "Doctor Updated" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// Shared by deactivateDoctor and reactivateDoctor
+const setDoctorActive = async (req, res, active) => {
+  const { docId } = req.body;
+
+  const doctor = await doctorModel.findById(docId);
+  if (!doctor) {
+    return res.json({ success: false, message: "Doctor not found" });
+  }
+  if (doctor.active === active) {
+    return res.json({
+      success: false,
+      message: active
+        ? "Doctor is already active"
+        : "Doctor is already inactive",
+    });
+  }
+
+  await doctorModel.findByIdAndUpdate(docId, { active });
+
+  if (!active) {
+    await revokeAllSessions("doctor", docId);
+  }
+
+  await recordAudit(req, {
+    action: active ? "doctor.reactivate" : "doctor.deactivate",
+    entity: "doctor",
+    entityId: docId,
+    before: { active: !active },
+    after: { active },
+  });
+
+  res.json({
+    success: true,
+    message: active ? "Doctor Reactivated" : "Doctor Deactivated",
+  });
+};
+
+// API to deactivate a doctor who left. Their appointments and payments stay,
+// they just can't sign in or be booked any more.
+
+const deactivateDoctor = async (req, res) => {
+  try {
+    await setDoctorActive(req, res, false);
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to bring a deactivated doctor back
+
+const reactivateDoctor = async (req, res) => {
+  try {
+    await setDoctorActive(req, res, true);
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to add many doctors at once from a CSV or JSON file. With dryRun it
+// only reports the rows that would fail, otherwise the valid rows are added
+// and the invalid ones reported.
+
+const importDoctors = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.json({ success: false, message: "Import file is required" });
+    }
+
+    const { rows, message } = parseImportFile(req.file);
+    if (message) {
+      return res.json({ success: false, message });
+    }
+
+    const emails = rows
+      .map((item) => item && item.email)
+      .filter((email) => typeof email === "string")
+      .map((email) => email.trim());
+    const existing = await doctorModel
+      .find({ email: { $in: emails } })
+      .select("email");
+
+    const report = validateImportRows(
+      rows,
+      existing.map((item) => item.email)
+    );
+    const dryRun = String(req.body.dryRun) === "true";
+
+    let imported = 0;
+    if (!dryRun) {
+      for (const entry of report) {
+        if (entry.error) continue;
+        try {
+          const salt = await bcrypt.genSalt(10);
+          const newDoctor = await doctorModel.create({
+            ...entry.doctor,
+            password: await bcrypt.hash(entry.doctor.password, salt),
+            date: Date.now(),
+          });
+          imported++;
+
+          await recordAudit(req, {
+            action: "doctor.create",
+            entity: "doctor",
+            entityId: newDoctor._id,
+            after: newDoctor,
+          });
+        } catch (error) {
+          // e.g. the email was taken between the check and the insert
+          entry.error = error.message;
+        }
+      }
+    }
+
+    const valid = report.filter((entry) => !entry.error).length;
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${valid} of ${report.length} doctors can be imported`
+        : `${imported} doctors imported`,
+      dryRun,
+      total: report.length,
+      valid,
+      imported,
+      rows: report.map(({ doctor, ...entry }) => entry),
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
 // API For admin Login
 const loginAdmin = async (req, res) => {
   console.log("🔒 Admin login attempt from:", req.headers.origin);
   try {
     const { email, password } = req.body;
 
+    const lockout = await checkLoginLockout("admin", email);
+    if (lockout) {
+      return res.status(429).json({ success: false, message: lockout });
+    }
+
+    // The env credentials only bootstrap the first super-admin account
     if (
+      (await adminModel.countDocuments()) === 0 &&
       email === process.env.ADMIN_EMAIL &&
       password === process.env.ADMIN_PASSWORD
     ) {
-      const token = jwt.sign(email + password, process.env.JWT_SECRET);
-      res.json({ success: true, token });
-    } else {
-      res.json({ success: false, message: "Invalid credentials" });
+      const salt = await bcrypt.genSalt(10);
+      await adminModel.create({
+        name: "Super Admin",
+        email,
+        password: await bcrypt.hash(password, salt),
+        role: "super-admin",
+        date: Date.now(),
+      });
+    }
+
+    const admin = await adminModel.findOne({ email });
+
+    if (
+      !admin ||
+      !admin.active ||
+      !(await bcrypt.compare(password, admin.password))
+    ) {
+      await recordLoginFailure("admin", email);
+      return res.json({ success: false, message: "Invalid credentials" });
+    }
+
+    // a session, or the two-factor step that has to come first
+    const result = await passwordLoginResult("admin", admin, req);
+
+    // failures only reset once the whole login, code included, succeeds
+    if (result.token) {
+      await clearLoginFailures("admin", email);
     }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to get the logged in admin account and what it may do
+
+const adminProfile = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profile: {
+        ...req.admin,
+        permissions: permissionsForRole(req.admin.role),
+      },
+    });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: error.message });
@@ -206,12 +491,35 @@ const allDoctors = async (req, res) => {
   }
 };
 
-// API to get all appointments list
+// API to get a page of the appointments list, with the same optional
+// filters as the appointment export and a sort order
 
 const appointmentsAdmin = async (req, res) => {
   try {
-    const appointments = await appointmentModel.find({});
-    res.json({ success: true, appointments });
+    const { filter, message } = buildAppointmentFilter(req.query);
+    const { sort, message: sortMessage } = buildAppointmentSort(req.query);
+    if (message || sortMessage) {
+      return res.json({ success: false, message: message || sortMessage });
+    }
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    const [appointments, total] = await Promise.all([
+      appointmentModel
+        .find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      appointmentModel.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      appointments,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: error.message });
@@ -247,28 +555,20 @@ const appointmentCancel = async (req, res) => {
       return res.status(403).json({ success: false, message: "Unauthorized Action" });
     }
 
-    await appointmentModel.findByIdAndUpdate(appointmentId, {
-      cancelled: true,
-    });
-
-    // Releasing doctor's time slot
-    const { docId, slotDate, slotTime } = appointmentData;
-    const doctorData = await doctorModel.findById(docId);
-
-    if (!doctorData) {
-      return res.status(404).json({ success: false, message: "Doctor not found" });
-    }
-
-    let slots_booked = doctorData.slots_booked || {};
-    if (slots_booked[slotDate]) {
-      slots_booked[slotDate] = slots_booked[slotDate].filter(
-        (e) => e !== slotTime
-      );
+    const result = await cancelWithPolicy(appointmentData, "admin");
+    if (result.success) {
+      await recordAudit(req, {
+        action: "appointment.cancel",
+        entity: "appointment",
+        entityId: appointmentId,
+        before: appointmentData,
+        after: await appointmentModel.findById(appointmentId),
+      });
     }
-
-    await doctorModel.findByIdAndUpdate(docId, { slots_booked });
-
-    res.json({ success: true, message: "Appointment Cancelled" });
+    res.status(result.success ? 200 : 400).json({
+      success: result.success,
+      message: result.message,
+    });
   } catch (error) {
     console.error("Error in appointmentCancel:", error);
     res.status(500).json({ success: false, message: error.message });
@@ -297,11 +597,578 @@ const adminDashboard = async (req, res) => {
   }
 };
 
+// API to record a payment taken at the front desk
+
+const recordPayment = async (req, res) => {
+  try {
+    const { appointmentId } = req.body;
+
+    const appointmentData = await appointmentModel.findById(appointmentId);
+
+    if (!appointmentData) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    const result = await recordOfflinePayment(
+      appointmentData,
+      { ...req.body, staffName: req.body.staffName || req.admin.name },
+      "admin"
+    );
+    if (result.success) {
+      await recordAudit(req, {
+        action: "appointment.payment",
+        entity: "appointment",
+        entityId: appointmentId,
+        before: appointmentData,
+        after: await appointmentModel.findById(appointmentId),
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to mark the refund of a cancelled clinic payment as handed back
+
+const settleRefund = async (req, res) => {
+  try {
+    const { appointmentId } = req.body;
+
+    const appointmentData = await appointmentModel.findById(appointmentId);
+
+    if (!appointmentData) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    const result = await settleOfflineRefund(
+      appointmentData,
+      req.body.staffName || req.admin.name
+    );
+    if (result.success) {
+      await recordAudit(req, {
+        action: "appointment.refund",
+        entity: "appointment",
+        entityId: appointmentId,
+        before: { refundStatus: appointmentData.refundStatus },
+        after: { refundStatus: "refunded" },
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to download the PDF invoice of a paid appointment
+
+const appointmentInvoice = async (req, res) => {
+  try {
+    const appointmentData = await appointmentModel.findById(req.params.id);
+
+    if (!appointmentData) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    if (!appointmentData.payment) {
+      return res.json({
+        success: false,
+        message: "Invoices are only available for paid appointments",
+      });
+    }
+
+    await sendInvoice(appointmentData, res);
+  } catch (error) {
+    console.log(error);
+    if (res.headersSent) return res.end();
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to list upcoming clinic-wide holidays
+
+const allHolidays = async (req, res) => {
+  try {
+    const holidays = await timeOffModel
+      .find({ docId: null, toDate: { $gte: toIsoDate(new Date()) } })
+      .sort({ fromDate: 1 });
+
+    res.json({ success: true, holidays });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to add a clinic-wide holiday that blocks every doctor
+
+const addHoliday = async (req, res) => {
+  try {
+    const { fromDate, toDate, startTime, endTime, reason } = req.body;
+
+    const errorMessage = validateTimeOff({
+      fromDate,
+      toDate,
+      startTime,
+      endTime,
+    });
+    if (errorMessage) {
+      return res.json({ success: false, message: errorMessage });
+    }
+
+    const holiday = new timeOffModel({
+      docId: null,
+      fromDate,
+      toDate,
+      startTime: startTime || "",
+      endTime: endTime || "",
+      reason: reason || "",
+      date: Date.now(),
+    });
+    await holiday.save();
+
+    await recordAudit(req, {
+      action: "holiday.create",
+      entity: "holiday",
+      entityId: holiday._id,
+      after: holiday,
+    });
+
+    res.json({ success: true, message: "Holiday Added" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to remove a clinic-wide holiday
+
+const removeHoliday = async (req, res) => {
+  try {
+    const { holidayId } = req.body;
+
+    const holiday = await timeOffModel.findOneAndDelete({
+      _id: holidayId,
+      docId: null,
+    });
+
+    if (!holiday) {
+      return res.json({ success: false, message: "Holiday not found" });
+    }
+
+    await recordAudit(req, {
+      action: "holiday.delete",
+      entity: "holiday",
+      entityId: holidayId,
+      before: holiday,
+    });
+
+    res.json({ success: true, message: "Holiday Removed" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to list all coupons
+
+const allCoupons = async (req, res) => {
+  try {
+    const coupons = await couponModel
+      .find({})
+      .select("-userUses")
+      .sort({ date: -1 });
+    res.json({ success: true, coupons });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to create a coupon code
+
+const addCoupon = async (req, res) => {
+  try {
+    const {
+      type,
+      value,
+      expiryDate,
+      maxUses,
+      maxUsesPerUser,
+      docIds,
+      specialities,
+    } = req.body;
+    const code = normalizeCode(req.body.code);
+
+    const errorMessage = validateCoupon({ ...req.body, code });
+    if (errorMessage) {
+      return res.json({ success: false, message: errorMessage });
+    }
+
+    if (await couponModel.exists({ code })) {
+      return res.json({
+        success: false,
+        message: "Coupon code already exists",
+      });
+    }
+
+    const coupon = await couponModel.create({
+      code,
+      type,
+      value: Number(value),
+      expiryDate: expiryDate || "",
+      maxUses: Number(maxUses) || 0,
+      maxUsesPerUser: Number(maxUsesPerUser) || 0,
+      docIds: Array.isArray(docIds) ? docIds : [],
+      specialities: Array.isArray(specialities) ? specialities : [],
+      date: Date.now(),
+    });
+
+    await recordAudit(req, {
+      action: "coupon.create",
+      entity: "coupon",
+      entityId: coupon._id,
+      after: coupon,
+    });
+
+    res.json({ success: true, message: "Coupon Added" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to enable or disable a coupon
+
+const toggleCoupon = async (req, res) => {
+  try {
+    const { couponId } = req.body;
+
+    const coupon = await couponModel.findById(couponId);
+    if (!coupon) {
+      return res.json({ success: false, message: "Coupon not found" });
+    }
+
+    await couponModel.findByIdAndUpdate(couponId, { active: !coupon.active });
+    await recordAudit(req, {
+      action: "coupon.update",
+      entity: "coupon",
+      entityId: couponId,
+      before: { active: coupon.active },
+      after: { active: !coupon.active },
+    });
+    res.json({
+      success: true,
+      message: coupon.active ? "Coupon Disabled" : "Coupon Enabled",
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to list admin panel staff accounts
+
+const allStaff = async (req, res) => {
+  try {
+    const staff = await adminModel
+      .find({})
+      .select("-password")
+      .sort({ date: 1 });
+    res.json({ success: true, staff });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to create a staff account
+
+const addStaff = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    if (!name || !email || !password || !role) {
+      return res.json({ success: false, message: "Missing Details" });
+    }
+
+    if (!validator.isEmail(email)) {
+      return res.json({ success: false, message: "Invalid email format" });
+    }
+
+    if (password.length < 8) {
+      return res.json({
+        success: false,
+        message: "Password must be at least 8 characters",
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.json({ success: false, message: "Invalid role" });
+    }
+
+    if (await adminModel.exists({ email })) {
+      return res.json({ success: false, message: "Email already in use" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const staff = await adminModel.create({
+      name,
+      email,
+      password: await bcrypt.hash(password, salt),
+      role,
+      date: Date.now(),
+    });
+
+    await recordAudit(req, {
+      action: "staff.create",
+      entity: "staff",
+      entityId: staff._id,
+      after: staff,
+    });
+
+    res.json({ success: true, message: "Staff Added" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to change a staff account's role, status or password
+
+const updateStaff = async (req, res) => {
+  try {
+    const { staffId, role, active, password, resetTwoFactor } = req.body;
+
+    const staff = await adminModel.findById(staffId);
+    if (!staff) {
+      return res.json({ success: false, message: "Staff not found" });
+    }
+
+    const updates = {};
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.json({ success: false, message: "Invalid role" });
+      }
+      updates.role = role;
+    }
+    if (active !== undefined) {
+      if (typeof active !== "boolean") {
+        return res.json({ success: false, message: "Invalid active flag" });
+      }
+      updates.active = active;
+    }
+    if (resetTwoFactor !== undefined && typeof resetTwoFactor !== "boolean") {
+      return res.json({ success: false, message: "Invalid 2FA reset flag" });
+    }
+    if (password) {
+      if (password.length < 8) {
+        return res.json({
+          success: false,
+          message: "Password must be at least 8 characters",
+        });
+      }
+      const salt = await bcrypt.genSalt(10);
+      updates.password = await bcrypt.hash(password, salt);
+    }
+
+    // there must always be someone left who can manage staff
+    const losesSuperAdmin =
+      staff.role === "super-admin" &&
+      staff.active &&
+      ((updates.role && updates.role !== "super-admin") ||
+        updates.active === false);
+    if (losesSuperAdmin) {
+      const superAdmins = await adminModel.countDocuments({
+        role: "super-admin",
+        active: true,
+      });
+      if (superAdmins <= 1) {
+        return res.json({
+          success: false,
+          message: "At least one active super-admin is required",
+        });
+      }
+    }
+
+    await adminModel.findByIdAndUpdate(staffId, updates);
+
+    // for staff who lost both their phone and their recovery codes
+    if (resetTwoFactor) {
+      await turnOffTwoFactor("admin", staffId);
+    }
+
+    // disabled accounts and replaced passwords end existing sessions
+    if (updates.active === false || updates.password) {
+      await revokeAllSessions("admin", staffId);
+    }
+
+    // the log drops password hashes, so only record that it changed
+    const before = { role: staff.role, active: staff.active };
+    const after = { role: staff.role, active: staff.active, ...updates };
+    if (updates.password) {
+      before.passwordChanged = false;
+      after.passwordChanged = true;
+    }
+    if (resetTwoFactor) {
+      before.twoFactorEnabled = Boolean(staff.twoFactor?.enabled);
+      after.twoFactorEnabled = false;
+    }
+    await recordAudit(req, {
+      action: "staff.update",
+      entity: "staff",
+      entityId: staffId,
+      before,
+      after,
+    });
+
+    res.json({ success: true, message: "Staff Updated" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to browse the payment ledger with optional filters
+
+const allTransactions = async (req, res) => {
+  try {
+    const { type, status, provider, docId, userId, appointmentId, from, to } =
+      req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    // query values can be arrays or objects, only ever match them as text
+    const filter = {};
+    if (type) filter.type = String(type);
+    if (status) filter.status = String(status);
+    if (provider) filter.provider = String(provider);
+    if (docId) filter.docId = String(docId);
+    if (userId) filter.userId = String(userId);
+    if (appointmentId) filter.appointmentId = String(appointmentId);
+
+    const date = timestampRange({ from, to });
+    if (date) filter.date = date;
+
+    const [transactions, total] = await Promise.all([
+      transactionModel
+        .find(filter)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      transactionModel.countDocuments(filter),
+    ]);
+
+    const [doctors, users] = await Promise.all([
+      doctorModel
+        .find({ _id: { $in: transactions.map((item) => item.docId) } })
+        .select("name"),
+      userModel
+        .find({ _id: { $in: transactions.map((item) => item.userId) } })
+        .select("name"),
+    ]);
+    const doctorNames = Object.fromEntries(
+      doctors.map((item) => [item._id.toString(), item.name])
+    );
+    const userNames = Object.fromEntries(
+      users.map((item) => [item._id.toString(), item.name])
+    );
+
+    res.json({
+      success: true,
+      transactions: transactions.map((item) => ({
+        ...item,
+        doctorName: doctorNames[item.docId] || "",
+        patientName: userNames[item.userId] || "",
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to browse the audit log with optional filters
+
+const allAuditLogs = async (req, res) => {
+  try {
+    const { actorType, actor, entity, entityId, action, from, to } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    // query values can be arrays or objects, only ever match them as text
+    const filter = {};
+    if (actorType) filter.actorType = String(actorType);
+    if (entity) filter.entity = String(entity);
+    if (entityId) filter.entityId = String(entityId);
+    if (action) filter.action = String(action);
+
+    // actor is either an account id or part of a name
+    if (actor) {
+      const actorText = String(actor).trim();
+      const escaped = actorText.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [
+        { actorId: actorText },
+        { actorName: { $regex: escaped, $options: "i" } },
+      ];
+    }
+
+    const date = timestampRange({ from, to });
+    if (date) filter.date = date;
+
+    const [entries, total] = await Promise.all([
+      auditLogModel
+        .find(filter)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      auditLogModel.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
 export {
   addDoctor,
+  importDoctors,
+  updateDoctor,
+  deactivateDoctor,
+  reactivateDoctor,
   loginAdmin,
+  adminProfile,
   allDoctors,
   appointmentsAdmin,
   appointmentCancel,
+  recordPayment,
+  settleRefund,
+  appointmentInvoice,
   adminDashboard,
+  allHolidays,
+  addHoliday,
+  removeHoliday,
+  allTransactions,
+  allCoupons,
+  addCoupon,
+  toggleCoupon,
+  allStaff,
+  addStaff,
+  updateStaff,
+  allAuditLogs,
 };
@@ -1,7 +1,32 @@
 import appointmentModel from "../models/appointmentModel.js";
 import doctorModel from "../models/doctorModel.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import validator from "validator";
+import timeOffModel from "../models/timeOffModel.js";
+import { getBookableSlots, validateSchedule } from "../utils/schedule.js";
+import { getActiveTimeOffs, validateTimeOff } from "../utils/timeOff.js";
+import { expireWaitlistOffers } from "../utils/waitlist.js";
+import { cancelWithPolicy } from "../utils/cancellation.js";
+import { settledEarnings } from "../utils/transactions.js";
+import {
+  recordOfflinePayment,
+  settleOfflineRefund,
+} from "../utils/offlinePayments.js";
+import {
+  requestPasswordReset,
+  completePasswordReset,
+} from "../utils/passwordReset.js";
+import { passwordLoginResult } from "../utils/twoFactor.js";
+import {
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginLockout.js";
+import { recordAudit } from "../utils/auditLog.js";
+import {
+  buildAppointmentFilter,
+  buildAppointmentSort,
+} from "../utils/appointmentFilters.js";
 
 const changeAvailability = async (req, res) => {
   try {
@@ -11,6 +36,13 @@ const changeAvailability = async (req, res) => {
     await doctorModel.findByIdAndUpdate(docId, {
       available: !docData.available,
     });
+    await recordAudit(req, {
+      action: "doctor.availability",
+      entity: "doctor",
+      entityId: docId,
+      before: { available: docData.available },
+      after: { available: !docData.available },
+    });
     res.json({ success: true, message: "Availability Changed" });
   } catch (error) {
     console.log(error);
@@ -20,7 +52,10 @@ const changeAvailability = async (req, res) => {
 
 const doctorList = async (req, res) => {
   try {
-    const doctors = await doctorModel.find({}).select(["-password", "-email"]);
+    // doctors created before deactivation existed have no active field
+    const doctors = await doctorModel
+      .find({ active: { $ne: false } })
+      .select(["-password", "-email", "-twoFactor"]);
 
     res.json({
       success: true,
@@ -37,19 +72,33 @@ const doctorList = async (req, res) => {
 const loginDoctor = async (req, res) => {
   try {
     const { email, password } = req.body;
+
+    const lockout = await checkLoginLockout("doctor", email);
+    if (lockout) {
+      return res.status(429).json({ success: false, message: lockout });
+    }
+
     const doctor = await doctorModel.findOne({ email });
 
-    if (!doctor) {
+    if (!doctor || !doctor.active) {
+      await recordLoginFailure("doctor", email);
       return res.json({ success: false, message: "Invalid credentials" });
     }
 
     const isMatch = await bcrypt.compare(password, doctor.password);
 
     if (isMatch) {
-      const token = jwt.sign({ id: doctor._id }, process.env.JWT_SECRET);
+      // a session, or the two-factor step that has to come first
+      const result = await passwordLoginResult("doctor", doctor, req);
 
-      res.json({ success: true, token });
+      // failures only reset once the whole login, code included, succeeds
+      if (result.token) {
+        await clearLoginFailures("doctor", email);
+      }
+
+      res.json({ success: true, ...result });
     } else {
+      await recordLoginFailure("doctor", email);
       res.json({ success: false, message: "Invalid credentials" });
     }
   } catch (error) {
@@ -58,13 +107,77 @@ const loginDoctor = async (req, res) => {
   }
 };
 
-//  API to get doctor appointments for doctor panel
+// API to email a password reset link to a doctor
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validator.isEmail(email)) {
+      return res.json({ success: false, message: "Enter a valid email" });
+    }
+
+    await requestPasswordReset("doctor", email);
+
+    res.json({
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to set a new doctor password from a reset link
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const error = await completePasswordReset("doctor", token, password);
+    if (error) {
+      return res.json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: "Password updated, please log in" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+//  API to get a page of doctor appointments for doctor panel, with the
+//  same filters and sort options as the admin list
 const appointmentsDoctor = async (req, res) => {
   try {
     const { docId } = req.body;
-    const appointments = await appointmentModel.find({ docId });
 
-    res.json({ success: true, appointments });
+    const { filter, message } = buildAppointmentFilter(req.query);
+    const { sort, message: sortMessage } = buildAppointmentSort(req.query);
+    if (message || sortMessage) {
+      return res.json({ success: false, message: message || sortMessage });
+    }
+    filter.docId = docId;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    const [appointments, total] = await Promise.all([
+      appointmentModel
+        .find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      appointmentModel.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      appointments,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: error.message });
@@ -83,6 +196,13 @@ const appointmentComplete = async (req, res) => {
       await appointmentModel.findByIdAndUpdate(appointmentId, {
         isCompleted: true,
       });
+      await recordAudit(req, {
+        action: "appointment.complete",
+        entity: "appointment",
+        entityId: appointmentId,
+        before: { isCompleted: appointmentData.isCompleted },
+        after: { isCompleted: true },
+      });
 
       return res.json({ success: true, message: "Appointment Completed" });
     } else {
@@ -103,11 +223,17 @@ const appointmentCancel = async (req, res) => {
     const appointmentData = await appointmentModel.findById(appointmentId);
 
     if (appointmentData && appointmentData.docId === docId) {
-      await appointmentModel.findByIdAndUpdate(appointmentId, {
-        cancelled: true,
-      });
-
-      return res.json({ success: true, message: "Appointment Canceled" });
+      const result = await cancelWithPolicy(appointmentData, "doctor");
+      if (result.success) {
+        await recordAudit(req, {
+          action: "appointment.cancel",
+          entity: "appointment",
+          entityId: appointmentId,
+          before: appointmentData,
+          after: await appointmentModel.findById(appointmentId),
+        });
+      }
+      return res.json({ success: result.success, message: result.message });
     } else {
       return res.json({ success: false, message: "Cancellation Failed" });
     }
@@ -117,6 +243,71 @@ const appointmentCancel = async (req, res) => {
   }
 };
 
+// API to record a payment taken at the clinic for doctor panel
+
+const recordPayment = async (req, res) => {
+  try {
+    const { docId, appointmentId } = req.body;
+
+    const appointmentData = await appointmentModel.findById(appointmentId);
+
+    if (!appointmentData || appointmentData.docId !== docId) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    const result = await recordOfflinePayment(
+      appointmentData,
+      req.body,
+      "doctor"
+    );
+    if (result.success) {
+      await recordAudit(req, {
+        action: "appointment.payment",
+        entity: "appointment",
+        entityId: appointmentId,
+        before: appointmentData,
+        after: await appointmentModel.findById(appointmentId),
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to mark the refund of a cancelled clinic payment as handed back
+
+const settleRefund = async (req, res) => {
+  try {
+    const { docId, appointmentId, staffName } = req.body;
+
+    const appointmentData = await appointmentModel.findById(appointmentId);
+
+    if (!appointmentData || appointmentData.docId !== docId) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    const result = await settleOfflineRefund(
+      appointmentData,
+      staffName || appointmentData.docData.name
+    );
+    if (result.success) {
+      await recordAudit(req, {
+        action: "appointment.refund",
+        entity: "appointment",
+        entityId: appointmentId,
+        before: { refundStatus: appointmentData.refundStatus },
+        after: { refundStatus: "refunded" },
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
 // API to get dashboard data for doctor panel
 
 const doctorDashboard = async (req, res) => {
@@ -125,13 +316,8 @@ const doctorDashboard = async (req, res) => {
 
     const appointments = await appointmentModel.find({ docId });
 
-    let earnings = 0;
-
-    appointments.map((item) => {
-      if (item.isCompleted || item.payment) {
-        earnings += item.amount;
-      }
-    });
+    // only money that actually settled counts, net of refunds
+    const earnings = await settledEarnings(docId);
 
     let patients = [];
 
@@ -176,7 +362,22 @@ const updateDoctorProfile = async (req, res) => {
   try {
     const { docId, fees, address, available } = req.body;
 
-    await doctorModel.findByIdAndUpdate(docId, { fees, address, available });
+    const before = await doctorModel.findByIdAndUpdate(docId, {
+      fees,
+      address,
+      available,
+    });
+    await recordAudit(req, {
+      action: "doctor.update",
+      entity: "doctor",
+      entityId: docId,
+      before: {
+        fees: before.fees,
+        address: before.address,
+        available: before.available,
+      },
+      after: { fees, address, available },
+    });
     res.json({ success: true, message: "Profile Updated" });
   } catch (error) {
     console.log(error);
@@ -184,14 +385,174 @@ const updateDoctorProfile = async (req, res) => {
   }
 };
 
+// API to get bookable slots of a doctor for the booking page
+
+const doctorSlots = async (req, res) => {
+  try {
+    const { docId } = req.params;
+
+    // slots held for waitlisted patients come back once their offer expires
+    await expireWaitlistOffers({ docId });
+
+    const doctor = await doctorModel
+      .findById(docId)
+      .select(["available", "active", "schedule", "slots_booked"]);
+
+    if (!doctor) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
+
+    const timeOffs = await getActiveTimeOffs(docId);
+    const slots =
+      doctor.available && doctor.active
+        ? getBookableSlots(doctor, timeOffs)
+        : [];
+
+    res.json({ success: true, schedule: doctor.schedule, slots });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to update doctor weekly working hours from Doctor Panel
+
+const updateDoctorSchedule = async (req, res) => {
+  try {
+    const { docId, schedule } = req.body;
+
+    const errorMessage = validateSchedule(schedule);
+    if (errorMessage) {
+      return res.json({ success: false, message: errorMessage });
+    }
+
+    const newSchedule = {
+      slotDuration: Number(schedule.slotDuration),
+      bookingWindowDays: Number(schedule.bookingWindowDays),
+      days: schedule.days,
+    };
+    const before = await doctorModel.findByIdAndUpdate(
+      docId,
+      { schedule: newSchedule },
+      { runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: "doctor.schedule",
+      entity: "doctor",
+      entityId: docId,
+      before: { schedule: before.schedule },
+      after: { schedule: newSchedule },
+    });
+
+    res.json({ success: true, message: "Schedule Updated" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to list doctor time off and clinic holidays for Doctor Panel
+
+const doctorTimeOff = async (req, res) => {
+  try {
+    const { docId } = req.body;
+
+    const timeOffs = await getActiveTimeOffs(docId);
+
+    res.json({ success: true, timeOffs });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to block a day or time range from Doctor Panel
+
+const addTimeOff = async (req, res) => {
+  try {
+    const { docId, fromDate, toDate, startTime, endTime, reason } = req.body;
+
+    const errorMessage = validateTimeOff({
+      fromDate,
+      toDate,
+      startTime,
+      endTime,
+    });
+    if (errorMessage) {
+      return res.json({ success: false, message: errorMessage });
+    }
+
+    const timeOff = new timeOffModel({
+      docId,
+      fromDate,
+      toDate,
+      startTime: startTime || "",
+      endTime: endTime || "",
+      reason: reason || "",
+      date: Date.now(),
+    });
+    await timeOff.save();
+
+    await recordAudit(req, {
+      action: "timeOff.create",
+      entity: "timeOff",
+      entityId: timeOff._id,
+      after: timeOff,
+    });
+
+    res.json({ success: true, message: "Time Off Added" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to remove a time off entry from Doctor Panel
+
+const removeTimeOff = async (req, res) => {
+  try {
+    const { docId, timeOffId } = req.body;
+
+    const timeOff = await timeOffModel.findById(timeOffId);
+
+    // clinic holidays can only be removed by the admin
+    if (!timeOff || timeOff.docId !== docId) {
+      return res.json({ success: false, message: "Time off not found" });
+    }
+
+    await timeOffModel.findByIdAndDelete(timeOffId);
+    await recordAudit(req, {
+      action: "timeOff.delete",
+      entity: "timeOff",
+      entityId: timeOffId,
+      before: timeOff,
+    });
+
+    res.json({ success: true, message: "Time Off Removed" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
 export {
   changeAvailability,
   doctorList,
   loginDoctor,
+  forgotPassword,
+  resetPassword,
   appointmentsDoctor,
   appointmentComplete,
   appointmentCancel,
+  recordPayment,
+  settleRefund,
   doctorDashboard,
   updateDoctorProfile,
   doctorProfile,
+  doctorSlots,
+  updateDoctorSchedule,
+  doctorTimeOff,
+  addTimeOff,
+  removeTimeOff,
 };
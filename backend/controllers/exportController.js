@@ -0,0 +1,338 @@
+import appointmentModel from "../models/appointmentModel.js";
+import userModel from "../models/userModel.js";
+import doctorModel from "../models/doctorModel.js";
+import transactionModel from "../models/transactionModel.js";
+import {
+  buildAppointmentFilter,
+  buildAppointmentSort,
+} from "../utils/appointmentFilters.js";
+import { parseSlotDate, toIsoDate } from "../utils/schedule.js";
+import { mapCursor, sendExport } from "../utils/exports.js";
+import { timestampRange } from "../utils/dateRange.js";
+
+// CSV / XLSX downloads for the admin and doctor panels. Rows are streamed
+// from a database cursor straight into the response. The appointment and
+// earnings exports are built per panel like the session endpoints; the
+// doctor panel only ever sees its own records.
+
+// 1728160349054 -> "2024-10-05 20:32:29" (UTC)
+const formatDate = (timestamp) =>
+  timestamp
+    ? new Date(timestamp).toISOString().replace("T", " ").slice(0, 19)
+    : "";
+
+const formatSlotDay = (slotDate) => {
+  const date = parseSlotDate(slotDate);
+  return date ? toIsoDate(date) : slotDate;
+};
+
+// ledger entries in the from / to days, like the transactions page
+const dateRange = (query) => {
+  const date = timestampRange(query);
+  return date ? { date } : {};
+};
+
+const appointmentColumns = [
+  { header: "Appointment ID", key: "id", width: 26 },
+  { header: "Date", key: "slotDate", width: 12 },
+  { header: "Time", key: "slotTime", width: 10 },
+  { header: "Patient", key: "patient", width: 22 },
+  { header: "Patient email", key: "patientEmail", width: 28 },
+  { header: "Patient phone", key: "patientPhone", width: 16 },
+  { header: "Doctor", key: "doctor", width: 22 },
+  { header: "Speciality", key: "speciality" },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Cancelled by", key: "cancelledBy", width: 12 },
+  { header: "Fee", key: "originalAmount", width: 10 },
+  { header: "Discount", key: "discount", width: 10 },
+  { header: "Coupon", key: "couponCode", width: 12 },
+  { header: "Amount", key: "amount", width: 10 },
+  { header: "Paid", key: "payment", width: 8 },
+  { header: "Payment method", key: "paymentProvider", width: 14 },
+  { header: "Invoice", key: "invoiceNumber", width: 16 },
+  { header: "Cancellation fee", key: "cancellationFee", width: 14 },
+  { header: "Refund status", key: "refundStatus", width: 14 },
+  { header: "Refund amount", key: "refundAmount", width: 14 },
+  { header: "Booked at", key: "bookedAt", width: 20 },
+];
+
+const appointmentStatus = (item) => {
+  if (item.cancelled) return "Cancelled";
+  if (item.isCompleted) return "Completed";
+  return "Upcoming";
+};
+
+const appointmentRow = (item) => ({
+  id: item._id.toString(),
+  slotDate: formatSlotDay(item.slotDate),
+  slotTime: item.slotTime,
+  patient: item.userData?.name,
+  patientEmail: item.userData?.email,
+  patientPhone: item.userData?.phone,
+  doctor: item.docData?.name,
+  speciality: item.docData?.speciality,
+  status: appointmentStatus(item),
+  cancelledBy: item.cancelledBy,
+  originalAmount: item.originalAmount ?? item.amount,
+  discount: item.discount || 0,
+  couponCode: item.couponCode,
+  amount: item.amount,
+  payment: item.payment ? "Yes" : "No",
+  paymentProvider: item.paymentProvider,
+  invoiceNumber: item.invoiceNumber,
+  cancellationFee: item.cancellationFee || 0,
+  refundStatus: item.refundStatus,
+  refundAmount: item.refundAmount || 0,
+  bookedAt: formatDate(item.date),
+});
+
+// API to export appointments, with the same filters and sort as the
+// appointment list
+
+const exportAppointments = (panel) => async (req, res) => {
+  try {
+    const { filter, message } = buildAppointmentFilter(req.query);
+    const { sort, message: sortMessage } = buildAppointmentSort(req.query);
+    if (message || sortMessage) {
+      return res.json({ success: false, message: message || sortMessage });
+    }
+    if (panel === "doctor") {
+      filter.docId = req.body.docId;
+    }
+
+    const cursor = appointmentModel
+      .find(filter)
+      // leaves out the photos and profile text in the patient and doctor
+      // snapshots, which would be most of every document
+      .select([
+        "slotDate",
+        "slotTime",
+        "userData.name",
+        "userData.email",
+        "userData.phone",
+        "docData.name",
+        "docData.speciality",
+        "cancelled",
+        "isCompleted",
+        "cancelledBy",
+        "originalAmount",
+        "discount",
+        "couponCode",
+        "amount",
+        "payment",
+        "paymentProvider",
+        "invoiceNumber",
+        "cancellationFee",
+        "refundStatus",
+        "refundAmount",
+        "date",
+      ])
+      .sort(sort)
+      .lean()
+      .cursor();
+
+    await sendExport(res, {
+      format: req.query.format,
+      fileName: "appointments",
+      columns: appointmentColumns,
+      rows: mapCursor(cursor, appointmentRow),
+    });
+  } catch (error) {
+    console.log(error);
+    if (res.headersSent) return res.end();
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to export every patient account for the admin panel
+
+const exportPatients = async (req, res) => {
+  try {
+    const cursor = userModel
+      .find({})
+      .select([
+        "name",
+        "email",
+        "phone",
+        "gender",
+        "dob",
+        "address",
+        "emailVerified",
+      ])
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    await sendExport(res, {
+      format: req.query.format,
+      fileName: "patients",
+      columns: [
+        { header: "Patient ID", key: "id", width: 26 },
+        { header: "Name", key: "name", width: 22 },
+        { header: "Email", key: "email", width: 28 },
+        { header: "Email verified", key: "emailVerified", width: 14 },
+        { header: "Phone", key: "phone", width: 16 },
+        { header: "Gender", key: "gender", width: 12 },
+        { header: "Date of birth", key: "dob", width: 14 },
+        { header: "Address line 1", key: "line1", width: 28 },
+        { header: "Address line 2", key: "line2", width: 28 },
+        { header: "Signed up", key: "signedUp", width: 20 },
+      ],
+      rows: mapCursor(cursor, (item) => ({
+        id: item._id.toString(),
+        name: item.name,
+        email: item.email,
+        // accounts from before verification existed count as verified
+        emailVerified: item.emailVerified === false ? "No" : "Yes",
+        phone: item.phone,
+        gender: item.gender,
+        dob: item.dob,
+        line1: item.address?.line1,
+        line2: item.address?.line2,
+        signedUp: formatDate(item._id.getTimestamp().getTime()),
+      })),
+    });
+  } catch (error) {
+    console.log(error);
+    if (res.headersSent) return res.end();
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// Settled charges and refunds of the signed in doctor with the patient's
+// name joined in
+const exportDoctorLedger = async (req, res) => {
+  const cursor = transactionModel
+    .aggregate([
+      {
+        // pending and failed entries were never earned, same as the admin
+        // totals and the earnings on the dashboard
+        $match: {
+          docId: req.body.docId,
+          status: "succeeded",
+          type: { $in: ["charge", "refund"] },
+          ...dateRange(req.query),
+        },
+      },
+      { $sort: { date: -1 } },
+      {
+        $lookup: {
+          from: userModel.collection.name,
+          let: {
+            userId: {
+              $convert: { input: "$userId", to: "objectId", onError: null },
+            },
+          },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$userId"] } } },
+            { $project: { name: 1 } },
+          ],
+          as: "patient",
+        },
+      },
+    ])
+    .cursor();
+
+  await sendExport(res, {
+    format: req.query.format,
+    fileName: "earnings",
+    columns: [
+      { header: "Date", key: "date", width: 20 },
+      { header: "Type", key: "type", width: 10 },
+      { header: "Status", key: "status", width: 12 },
+      { header: "Patient", key: "patient", width: 22 },
+      { header: "Appointment ID", key: "appointmentId", width: 26 },
+      { header: "Payment method", key: "provider", width: 14 },
+      { header: "Reference", key: "providerRef", width: 28 },
+      { header: "Amount", key: "amount", width: 10 },
+      { header: "Currency", key: "currency", width: 10 },
+    ],
+    rows: mapCursor(cursor, (item) => ({
+      date: formatDate(item.date),
+      type: item.type,
+      status: item.status,
+      patient: item.patient[0]?.name,
+      appointmentId: item.appointmentId,
+      provider: item.provider,
+      providerRef: item.providerRef,
+      // refunds count against earnings
+      amount: item.type === "refund" ? -item.amount : item.amount,
+      currency: item.currency.toUpperCase(),
+    })),
+  });
+};
+
+// API to export earnings. The admin panel gets one row per doctor and
+// currency with settled charges and refunds, the doctor panel each of its
+// own settled charges and refunds.
+
+const exportEarnings = (panel) => async (req, res) => {
+  try {
+    if (panel === "doctor") {
+      return await exportDoctorLedger(req, res);
+    }
+
+    const match = {
+      status: "succeeded",
+      type: { $in: ["charge", "refund"] },
+      ...dateRange(req.query),
+    };
+    if (req.query.docId) match.docId = String(req.query.docId);
+
+    // one entry per doctor, so loading the names up front stays small
+    const doctors = await doctorModel.find({}).select(["name", "speciality"]);
+    const doctorInfo = Object.fromEntries(
+      doctors.map((item) => [item._id.toString(), item])
+    );
+
+    const cursor = transactionModel
+      .aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { docId: "$docId", currency: "$currency" },
+            payments: {
+              $sum: { $cond: [{ $eq: ["$type", "charge"] }, 1, 0] },
+            },
+            charged: {
+              $sum: { $cond: [{ $eq: ["$type", "charge"] }, "$amount", 0] },
+            },
+            refunded: {
+              $sum: { $cond: [{ $eq: ["$type", "refund"] }, "$amount", 0] },
+            },
+          },
+        },
+        { $sort: { "_id.docId": 1, "_id.currency": 1 } },
+      ])
+      .cursor();
+
+    await sendExport(res, {
+      format: req.query.format,
+      fileName: "earnings",
+      columns: [
+        { header: "Doctor", key: "doctor", width: 22 },
+        { header: "Speciality", key: "speciality" },
+        { header: "Currency", key: "currency", width: 10 },
+        { header: "Payments", key: "payments", width: 10 },
+        { header: "Charged", key: "charged", width: 12 },
+        { header: "Refunded", key: "refunded", width: 12 },
+        { header: "Net earnings", key: "net", width: 14 },
+      ],
+      rows: mapCursor(cursor, (item) => ({
+        doctor: doctorInfo[item._id.docId]?.name || item._id.docId,
+        speciality: doctorInfo[item._id.docId]?.speciality,
+        currency: item._id.currency.toUpperCase(),
+        payments: item.payments,
+        charged: item.charged,
+        refunded: item.refunded,
+        net: item.charged - item.refunded,
+      })),
+    });
+  } catch (error) {
+    console.log(error);
+    if (res.headersSent) return res.end();
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export { exportAppointments, exportPatients, exportEarnings };
@@ -0,0 +1,60 @@
+import {
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js";
+
+// Session endpoints shared by patients, doctors and admin staff. Each one is
+// built for an account type and mounted on that account's router.
+
+// where each auth middleware leaves the signed-in account
+const currentAccountId = {
+  user: (req) => req.body.userId,
+  doctor: (req) => req.body.docId,
+  admin: (req) => req.admin.id,
+};
+
+// API to get a new access token with a refresh token
+
+const refreshToken = (accountType) => async (req, res) => {
+  try {
+    const session = await refreshSession(accountType, req.body.refreshToken);
+    if (!session) {
+      return res.json({
+        success: false,
+        message: "Session expired, please log in again",
+      });
+    }
+
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to log out of the current device
+
+const logout = (accountType) => async (req, res) => {
+  try {
+    await revokeSession(accountType, req.body.refreshToken);
+    res.json({ success: true, message: "Logged out" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to log out of every device
+
+const logoutAll = (accountType) => async (req, res) => {
+  try {
+    await revokeAllSessions(accountType, currentAccountId[accountType](req));
+    res.json({ success: true, message: "Logged out of all devices" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export { currentAccountId, refreshToken, logout, logoutAll };
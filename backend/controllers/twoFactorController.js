@@ -0,0 +1,242 @@
+import { createSession } from "../utils/sessions.js";
+import {
+  isTwoFactorRequired,
+  readChallenge,
+  loadAccount,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  resetRecoveryCodes,
+  turnOffTwoFactor,
+} from "../utils/twoFactor.js";
+import { currentAccountId } from "./sessionController.js";
+import {
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginLockout.js";
+
+// Two-factor endpoints shared by doctors and admin staff. Like the session
+// endpoints, each one is built for an account type.
+
+const expiredLogin = {
+  success: false,
+  message: "Login expired, please sign in again",
+};
+
+// API to finish a login with an authenticator or recovery code
+
+const verifyLogin = (accountType) => async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const account = await readChallenge(accountType, challengeToken, "verify");
+    if (!account) {
+      return res.json(expiredLogin);
+    }
+
+    // wrong codes count towards the same lockout as wrong passwords
+    const lockout = await checkLoginLockout(accountType, account.email);
+    if (lockout) {
+      return res.status(429).json({ success: false, message: lockout });
+    }
+
+    if (!(await verifySecondFactor(accountType, account, code))) {
+      await recordLoginFailure(accountType, account.email);
+      return res.json({ success: false, message: "Invalid code" });
+    }
+
+    await clearLoginFailures(accountType, account.email);
+    const session = await createSession(accountType, account, req);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to start the enrolment a login requires before it can finish
+
+const setupLogin = (accountType) => async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+
+    const account = await readChallenge(accountType, challengeToken, "setup");
+    if (!account) {
+      return res.json(expiredLogin);
+    }
+
+    const enrollment = await beginEnrollment(accountType, account);
+    res.json({ success: true, ...enrollment });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to confirm enrolment during login, returns recovery codes and tokens
+
+const enableLogin = (accountType) => async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const account = await readChallenge(accountType, challengeToken, "setup");
+    if (!account) {
+      return res.json(expiredLogin);
+    }
+
+    const lockout = await checkLoginLockout(accountType, account.email);
+    if (lockout) {
+      return res.status(429).json({ success: false, message: lockout });
+    }
+
+    const recoveryCodes = await completeEnrollment(accountType, account, code);
+    if (!recoveryCodes) {
+      await recordLoginFailure(accountType, account.email);
+      return res.json({ success: false, message: "Invalid code" });
+    }
+
+    await clearLoginFailures(accountType, account.email);
+    const session = await createSession(accountType, account, req);
+    res.json({ success: true, recoveryCodes, ...session });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to get the signed in account's two-factor status
+
+const twoFactorStatus = (accountType) => async (req, res) => {
+  try {
+    const account = await loadAccount(
+      accountType,
+      currentAccountId[accountType](req)
+    );
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: account.twoFactor.enabled,
+        required: isTwoFactorRequired(accountType),
+        recoveryCodesLeft: account.twoFactor.recoveryCodes.length,
+      },
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to start enrolment from the panel
+
+const setupTwoFactor = (accountType) => async (req, res) => {
+  try {
+    const account = await loadAccount(
+      accountType,
+      currentAccountId[accountType](req)
+    );
+
+    if (account.twoFactor.enabled) {
+      return res.json({
+        success: false,
+        message: "Two-factor authentication is already on",
+      });
+    }
+
+    const enrollment = await beginEnrollment(accountType, account);
+    res.json({ success: true, ...enrollment });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to confirm enrolment from the panel, returns the recovery codes
+
+const enableTwoFactor = (accountType) => async (req, res) => {
+  try {
+    const account = await loadAccount(
+      accountType,
+      currentAccountId[accountType](req)
+    );
+
+    const recoveryCodes = await completeEnrollment(
+      accountType,
+      account,
+      req.body.code
+    );
+    if (!recoveryCodes) {
+      return res.json({ success: false, message: "Invalid code" });
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication turned on",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to turn two-factor authentication off, needs a current code
+
+const disableTwoFactor = (accountType) => async (req, res) => {
+  try {
+    if (isTwoFactorRequired(accountType)) {
+      return res.json({
+        success: false,
+        message: "Two-factor authentication is required for your account",
+      });
+    }
+
+    const account = await loadAccount(
+      accountType,
+      currentAccountId[accountType](req)
+    );
+
+    if (!(await verifySecondFactor(accountType, account, req.body.code))) {
+      return res.json({ success: false, message: "Invalid code" });
+    }
+
+    await turnOffTwoFactor(accountType, account._id);
+    res.json({ success: true, message: "Two-factor authentication turned off" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to replace the recovery codes, needs a current code
+
+const regenerateRecoveryCodes = (accountType) => async (req, res) => {
+  try {
+    const account = await loadAccount(
+      accountType,
+      currentAccountId[accountType](req)
+    );
+
+    if (!(await verifySecondFactor(accountType, account, req.body.code))) {
+      return res.json({ success: false, message: "Invalid code" });
+    }
+
+    const recoveryCodes = await resetRecoveryCodes(accountType, account);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export {
+  verifyLogin,
+  setupLogin,
+  enableLogin,
+  twoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
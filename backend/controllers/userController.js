@@ -1,11 +1,65 @@
 import validator from "validator";
 import bcrypt from "bcryptjs";
 import userModel from "../models/userModel.js";
-import jwt from "jsonwebtoken";
 import { v2 as cloudinary } from "cloudinary";
 import doctorModel from "../models/doctorModel.js";
 import appointmentModel from "../models/appointmentModel.js";
-import Stripe from 'stripe'
+import {
+  isSlotInSchedule,
+  normalizeSlotTime,
+  toIsoDate,
+} from "../utils/schedule.js";
+import { getActiveTimeOffs, validateTimeOff } from "../utils/timeOff.js";
+import {
+  reserveSlot,
+  releaseSlot,
+  slotStartTime,
+} from "../utils/slots.js";
+import {
+  releaseSlotToWaitlist,
+  expireWaitlistOffers,
+} from "../utils/waitlist.js";
+import waitlistModel from "../models/waitlistModel.js";
+import {
+  getCancellationPolicy,
+  getCancellationCutoff,
+  evaluateCancellation,
+  cancelWithPolicy,
+} from "../utils/cancellation.js";
+import {
+  enabledProviders,
+  getEnabledProvider,
+  markAppointmentPaid,
+} from "../utils/paymentProviders.js";
+import { sendInvoice } from "../utils/invoices.js";
+import { recordTransaction } from "../utils/transactions.js";
+import {
+  requestPasswordReset,
+  completePasswordReset,
+} from "../utils/passwordReset.js";
+import {
+  isEmailVerified,
+  sendVerificationEmail,
+  verifyEmailToken,
+} from "../utils/emailVerification.js";
+import { createSession } from "../utils/sessions.js";
+import { recordAudit } from "../utils/auditLog.js";
+import {
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginLockout.js";
+import couponModel from "../models/couponModel.js";
+import {
+  normalizeCode,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} from "../utils/coupons.js";
+import {
+  buildAppointmentFilter,
+  buildAppointmentSort,
+} from "../utils/appointmentFilters.js";
 // API to register user
 
 const registerUser = async (req, res) => {
@@ -34,14 +88,30 @@ const registerUser = async (req, res) => {
       name,
       email,
       password: hashedPassword,
+      emailVerified: false,
     };
 
     const newUser = new userModel(userData);
     const user = await newUser.save();
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    await recordAudit(req, {
+      action: "user.create",
+      entity: "user",
+      entityId: user._id,
+      after: user,
+      actor: { type: "user", id: user._id },
+    });
+
+    // a failed email shouldn't fail the sign up, the link can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.log(error);
+    }
 
-    res.json({ success: true, token });
+    const session = await createSession("user", user, req);
+
+    res.json({ success: true, ...session });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: error.message });
@@ -61,11 +131,18 @@ const loginUser = async (req, res) => {
         .json({ success: false, message: "Missing email or password" });
     }
 
+    // Refuse attempts while the account is locked out
+    const lockout = await checkLoginLockout("user", email);
+    if (lockout) {
+      return res.status(429).json({ success: false, message: lockout });
+    }
+
     // Find the user by email
     const user = await userModel.findOne({ email });
 
     // If user is not found, return an error response
     if (!user) {
+      await recordLoginFailure("user", email);
       return res
         .status(404)
         .json({ success: false, message: "User not found" });
@@ -74,18 +151,18 @@ const loginUser = async (req, res) => {
     // Compare the provided password with the hashed password in the database
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordLoginFailure("user", email);
       return res
         .status(401)
         .json({ success: false, message: "Invalid password" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
+    // Start a session with an access and refresh token
+    await clearLoginFailures("user", email);
+    const session = await createSession("user", user, req);
 
-    // Send the response with the token
-    res.json({ success: true, token });
+    // Send the response with the tokens
+    res.json({ success: true, ...session });
   } catch (error) {
     console.log(error);
     // Send a generic error response
@@ -93,6 +170,88 @@ const loginUser = async (req, res) => {
   }
 };
 
+// API to confirm a user's email address from the emailed link
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const error = await verifyEmailToken(token);
+    if (error) {
+      return res.json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: "Email verified" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to send the email verification link again
+
+const resendVerification = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const user = await userModel.findById(userId);
+
+    if (!user) {
+      return res.json({ success: false, message: "User not found" });
+    }
+
+    if (isEmailVerified(user)) {
+      return res.json({ success: false, message: "Email already verified" });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to email a password reset link to a user
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !validator.isEmail(email)) {
+      return res.json({ success: false, message: "Enter a valid email" });
+    }
+
+    await requestPasswordReset("user", email);
+
+    res.json({
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to set a new user password from a reset link
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const error = await completePasswordReset("user", token, password);
+    if (error) {
+      return res.json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: "Password updated, please log in" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
 // API to get user profile data
 
 const getProfile = async (req, res) => {
@@ -118,7 +277,7 @@ const updateProfile = async (req, res) => {
       return res.json({ success: false, message: "Data Missing" });
     }
 
-    await userModel.findByIdAndUpdate(userId, {
+    const before = await userModel.findByIdAndUpdate(userId, {
       name,
       phone,
       address: JSON.parse(address),
@@ -136,6 +295,14 @@ const updateProfile = async (req, res) => {
       await userModel.findByIdAndUpdate(userId, { image: imageURL });
     }
 
+    await recordAudit(req, {
+      action: "user.update",
+      entity: "user",
+      entityId: userId,
+      before,
+      after: await userModel.findById(userId),
+    });
+
     res.json({ success: true, message: "Profile Updated" });
   } catch (error) {
     console.log(error);
@@ -143,54 +310,167 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// Saves the appointment for a slot the caller has already reserved
+
+// pricing is { couponCode, discount, amount } when a coupon was applied
+const createAppointment = async (
+  userId,
+  docData,
+  slotDate,
+  slotTime,
+  pricing = null
+) => {
+  const docId = docData._id.toString();
+  const userData = await userModel.findById(userId).select("-password");
+
+  delete docData.slots_booked;
+
+  const appointmentData = {
+    userId,
+    docId,
+    userData,
+    docData,
+    amount: pricing ? pricing.amount : docData.fees,
+    originalAmount: docData.fees,
+    slotTime,
+    slotDate,
+    slotStart: slotStartTime(slotDate, slotTime),
+    date: Date.now(),
+  };
+
+  if (pricing) {
+    appointmentData.couponCode = pricing.couponCode;
+    appointmentData.discount = pricing.discount;
+
+    // nothing left to pay online when the coupon covers the whole fee
+    if (pricing.amount === 0) {
+      appointmentData.payment = true;
+      appointmentData.paymentProvider = "coupon";
+    }
+  }
+
+  const newAppointment = new appointmentModel(appointmentData);
+
+  try {
+    await newAppointment.save();
+  } catch (error) {
+    // don't leave the slot blocked when the appointment wasn't created
+    await releaseSlot(docId, slotDate, slotTime);
+    throw error;
+  }
+
+  // a covered fee is still a paid appointment, the ledger keeps it at zero
+  if (newAppointment.paymentProvider === "coupon") {
+    await recordTransaction(newAppointment, {
+      type: "charge",
+      provider: "coupon",
+      status: "succeeded",
+      amount: 0,
+      providerRef: newAppointment.couponCode,
+      message: `Fee of ${docData.fees} covered by the coupon`,
+    });
+  }
+
+  return newAppointment;
+};
+
+// Unpaid bookings a patient may hold at once, so slots can't be hoarded.
+// Returns an error message when the patient is at the limit.
+const checkUnpaidBookings = async (userId) => {
+  const limit = Number(process.env.MAX_UNPAID_BOOKINGS) || 3;
+  const unpaid = await appointmentModel.countDocuments({
+    userId,
+    payment: false,
+    cancelled: false,
+    isCompleted: false,
+  });
+
+  if (unpaid >= limit) {
+    return `You have ${unpaid} unpaid appointments, please pay for or cancel one before booking another`;
+  }
+  return null;
+};
+
 // API to book appointment
 const bookAppointment = async (req, res) => {
   try {
-    const { userId, docId, slotDate, slotTime } = req.body;
+    const { userId, docId, slotDate } = req.body;
+    const slotTime = normalizeSlotTime(req.body.slotTime);
 
     const docData = await doctorModel.findById(docId).select("-password");
 
-    if (!docData.available) {
+    if (!docData) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
+
+    if (!docData.available || !docData.active) {
       return res.json({ success: false, message: "Doctor not available" });
     }
 
-    let slots_booked = docData.slots_booked;
+    const unpaidMessage = await checkUnpaidBookings(userId);
+    if (unpaidMessage) {
+      return res.json({ success: false, message: unpaidMessage });
+    }
+
+    // slots held for waitlisted patients come back once their offer expires
+    await expireWaitlistOffers({ docId });
 
-    // checking for slot availability
+    // checking the slot against the doctor's published schedule and time off
+    const timeOffs = await getActiveTimeOffs(docId);
+    if (!slotTime || !isSlotInSchedule(docData, slotDate, slotTime, timeOffs)) {
+      return res.json({
+        success: false,
+        message: "Slot is not available for booking",
+      });
+    }
 
-    if (slots_booked[slotDate]) {
-      if (slots_booked[slotDate].includes(slotTime)) {
-        return res.json({ success: false, message: "slot not available" });
-      } else {
-        slots_booked[slotDate].push(slotTime);
+    // pricing the coupon before the slot is claimed, so a bad code
+    // doesn't hold the slot
+    const couponCode = normalizeCode(req.body.couponCode);
+    let coupon = null;
+    let pricing = null;
+    if (couponCode) {
+      coupon = await couponModel.findOne({ code: couponCode });
+      pricing = await evaluateCoupon(coupon, docData, userId);
+      if (pricing.message) {
+        return res.json({ success: false, message: pricing.message });
       }
-    } else {
-      slots_booked[slotDate] = [];
-      slots_booked[slotDate].push(slotTime);
     }
 
-    const userData = await userModel.findById(userId).select("-password");
-
-    delete docData.slots_booked;
-
-    const appointmentData = {
-      userId,
-      docId,
-      userData,
-      docData,
-      amount: docData.fees,
-      slotTime,
-      slotDate,
-      date: Date.now(),
-    };
+    // claiming the slot atomically, concurrent bookings of it will fail here
+    const reserved = await reserveSlot(docId, slotDate, slotTime);
+    if (!reserved) {
+      return res.json({ success: false, message: "slot not available" });
+    }
 
-    const newAppointment = new appointmentModel(appointmentData);
+    if (coupon && !(await redeemCoupon(coupon, userId))) {
+      await releaseSlot(docId, slotDate, slotTime);
+      return res.json({
+        success: false,
+        message: "Coupon usage limit reached",
+      });
+    }
 
-    await newAppointment.save();
+    let appointment;
+    try {
+      appointment = await createAppointment(
+        userId,
+        docData,
+        slotDate,
+        slotTime,
+        coupon && { couponCode, ...pricing }
+      );
+    } catch (error) {
+      if (coupon) await releaseCoupon(couponCode, userId);
+      throw error;
+    }
 
-    // save new slots data in docData
-    
-    await doctorModel.findByIdAndUpdate(docId,{slots_booked})
+    await recordAudit(req, {
+      action: "appointment.create",
+      entity: "appointment",
+      entityId: appointment._id,
+      after: appointment,
+    });
 
     res.json({success:true,message:'Appointment booked'})
 
@@ -202,16 +482,80 @@ const bookAppointment = async (req, res) => {
   }
 };
 
-// API to get user appointments for frontend my-appointments page
+// API to check a coupon code and preview the discounted fee
+
+const applyCoupon = async (req, res) => {
+  try {
+    const { userId, docId } = req.body;
+    const couponCode = normalizeCode(req.body.couponCode);
+
+    const docData = await doctorModel.findById(docId).select("-password");
+    if (!docData) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
+
+    const coupon = await couponModel.findOne({ code: couponCode });
+    const pricing = await evaluateCoupon(coupon, docData, userId);
+    if (pricing.message) {
+      return res.json({ success: false, message: pricing.message });
+    }
+
+    res.json({
+      success: true,
+      couponCode,
+      fee: docData.fees,
+      discount: pricing.discount,
+      amount: pricing.amount,
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to get a page of user appointments for frontend my-appointments
+// page, with the same filters and sort options as the panel lists
 
 const listAppointment = async (req,res) => {
 
     try {
         
         const {userId} = req.body
-        const appointments = await appointmentModel.find({userId})
 
-        res.json({success:true,appointments})
+        const { filter, message } = buildAppointmentFilter(req.query)
+        const { sort, message: sortMessage } = buildAppointmentSort(req.query)
+        if (message || sortMessage) {
+          return res.json({ success: false, message: message || sortMessage })
+        }
+        filter.userId = userId
+
+        const page = Math.max(Number(req.query.page) || 1, 1)
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100)
+
+        const [found, total] = await Promise.all([
+          appointmentModel
+            .find(filter)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit),
+          appointmentModel.countDocuments(filter),
+        ])
+
+        const cancellationPolicy = getCancellationPolicy()
+        const appointments = found.map((item) => ({
+          ...item.toObject(),
+          // last moment the patient can cancel without a fee
+          cancellationCutoff: getCancellationCutoff(item, cancellationPolicy),
+        }))
+
+        res.json({
+          success: true,
+          appointments,
+          total,
+          page,
+          pages: Math.ceil(total / limit),
+          cancellationPolicy,
+        })
 
 
 
@@ -239,18 +583,18 @@ const cancelAppointment = async (req, res) => {
         return res.json({ success: false, message: "Unauthorized Action" });
       }
   
-      await appointmentModel.findByIdAndUpdate(appointmentId, { cancelled: true });
-  
-      // Releasing doctor's time slot
-      const { docId, slotDate, slotTime } = appointmentData;
-      const doctorData = await doctorModel.findById(docId);
-  
-      let slots_booked = doctorData.slots_booked;
-      slots_booked[slotDate] = slots_booked[slotDate].filter(e => e !== slotTime);
-  
-      await doctorModel.findByIdAndUpdate(docId, { slots_booked });
-  
-      res.json({ success: true, message: "Appointment Cancelled" });
+      // cancellation policy, slot release and waitlist handled in one place
+      const result = await cancelWithPolicy(appointmentData, "user");
+      if (result.success) {
+        await recordAudit(req, {
+          action: "appointment.cancel",
+          entity: "appointment",
+          entityId: appointmentId,
+          before: appointmentData,
+          after: await appointmentModel.findById(appointmentId),
+        });
+      }
+      res.json({ success: result.success, message: result.message });
   
     } catch (error) {
       console.log(error);
@@ -259,42 +603,471 @@ const cancelAppointment = async (req, res) => {
   };
 
 
-//  gateway initialize
+// API to move an appointment to another free slot of the same doctor
+
+const rescheduleAppointment = async (req, res) => {
+  try {
+    const { userId, appointmentId, slotDate } = req.body;
+    const slotTime = normalizeSlotTime(req.body.slotTime);
+
+    const appointmentData = await appointmentModel.findById(appointmentId);
+
+    if (!appointmentData) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    if (appointmentData.userId.toString() !== userId.toString()) {
+      return res.json({ success: false, message: "Unauthorized Action" });
+    }
+
+    if (appointmentData.cancelled || appointmentData.isCompleted) {
+      return res.json({
+        success: false,
+        message: "Appointment can no longer be rescheduled",
+      });
+    }
+
+    // moving frees the old slot like a cancellation does, so it is only
+    // allowed while the patient could still cancel without a fee
+    const decision = evaluateCancellation(appointmentData, "user");
+    if (!decision.allowed || decision.late) {
+      return res.json({
+        success: false,
+        message: `Appointments can only be rescheduled up to ${
+          getCancellationPolicy().noticeHours
+        } hours in advance`,
+      });
+    }
+
+    const { docId } = appointmentData;
+
+    if (
+      slotDate === appointmentData.slotDate &&
+      slotTime === normalizeSlotTime(appointmentData.slotTime)
+    ) {
+      return res.json({ success: false, message: "Please select a new slot" });
+    }
+
+    // unreadable slots are turned away by the schedule check below
+    const slotStart = slotStartTime(slotDate, slotTime);
+    if (slotStart !== null && slotStart <= Date.now()) {
+      return res.json({
+        success: false,
+        message: "Please select a future slot",
+      });
+    }
+
+    const docData = await doctorModel.findById(docId).select("-password");
+
+    if (!docData || !docData.available || !docData.active) {
+      return res.json({ success: false, message: "Doctor not available" });
+    }
+
+    const timeOffs = await getActiveTimeOffs(docId);
+    if (!slotTime || !isSlotInSchedule(docData, slotDate, slotTime, timeOffs)) {
+      return res.json({
+        success: false,
+        message: "Slot is not available for booking",
+      });
+    }
+
+    const reserved = await reserveSlot(docId, slotDate, slotTime);
+    if (!reserved) {
+      return res.json({ success: false, message: "slot not available" });
+    }
+
+    // moving the appointment only if nobody changed it in the meantime,
+    // payment and the rest of the record stay as they are
+    const moved = await appointmentModel.findOneAndUpdate(
+      {
+        _id: appointmentId,
+        cancelled: false,
+        isCompleted: false,
+        slotDate: appointmentData.slotDate,
+        slotTime: appointmentData.slotTime,
+      },
+      { slotDate, slotTime, slotStart }
+    );
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+    if (!moved) {
+      await releaseSlot(docId, slotDate, slotTime);
+      return res.json({
+        success: false,
+        message: "Appointment was changed, please try again",
+      });
+    }
 
-const placeOrderStripe = async (req, res) => {
+    // Releasing the old time slot, waitlisted patients get it first
+    await releaseSlotToWaitlist(
+      docId,
+      appointmentData.slotDate,
+      appointmentData.slotTime
+    );
+
+    await recordAudit(req, {
+      action: "appointment.reschedule",
+      entity: "appointment",
+      entityId: appointmentId,
+      before: {
+        slotDate: appointmentData.slotDate,
+        slotTime: appointmentData.slotTime,
+      },
+      after: { slotDate, slotTime },
+    });
+
+    res.json({ success: true, message: "Appointment Rescheduled" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to join the waitlist of a doctor for a date range
+
+const joinWaitlist = async (req, res) => {
   try {
-    const { appointmentId } = req.body;
+    const { userId, docId, fromDate, toDate } = req.body;
+
+    // same date rules as time off ranges
+    const errorMessage = validateTimeOff({ fromDate, toDate });
+    if (errorMessage) {
+      return res.json({ success: false, message: errorMessage });
+    }
+
+    if (toDate < toIsoDate(new Date())) {
+      return res.json({ success: false, message: "Please select future dates" });
+    }
+
+    const docData = await doctorModel.findById(docId).select("-password");
+    if (!docData) {
+      return res.json({ success: false, message: "Doctor not found" });
+    }
+    if (!docData.active) {
+      return res.json({ success: false, message: "Doctor not available" });
+    }
+
+    const existing = await waitlistModel.findOne({
+      userId,
+      docId,
+      status: { $in: ["waiting", "offered"] },
+    });
+    if (existing) {
+      return res.json({
+        success: false,
+        message: "You are already on this doctor's waitlist",
+      });
+    }
+
+    const entry = new waitlistModel({
+      userId,
+      docId,
+      fromDate,
+      toDate,
+      date: Date.now(),
+    });
+    await entry.save();
+
+    await recordAudit(req, {
+      action: "waitlist.create",
+      entity: "waitlist",
+      entityId: entry._id,
+      after: entry,
+    });
+
+    res.json({ success: true, message: "Added to waitlist" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to get the waitlist entries of the user
+
+const listWaitlist = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    await expireWaitlistOffers({ userId });
+
+    const entries = await waitlistModel
+      .find({
+        userId,
+        status: { $in: ["waiting", "offered"] },
+        toDate: { $gte: toIsoDate(new Date()) },
+      })
+      .sort({ date: -1 })
+      .lean();
+
+    const doctors = await doctorModel
+      .find({ _id: { $in: entries.map((item) => item.docId) } })
+      .select(["name", "image", "speciality"])
+      .lean();
+
+    const waitlist = entries.map((item) => ({
+      ...item,
+      docData: doctors.find((doc) => doc._id.toString() === item.docId),
+    }));
+
+    res.json({ success: true, waitlist });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to book the slot a waitlist offer holds
+
+const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const { userId, waitlistId } = req.body;
+
+    const unpaidMessage = await checkUnpaidBookings(userId);
+    if (unpaidMessage) {
+      return res.json({ success: false, message: unpaidMessage });
+    }
+
+    const openOffer = {
+      _id: waitlistId,
+      userId,
+      status: "offered",
+      "offer.expiresAt": { $gt: Date.now() },
+    };
+
+    const offer = await waitlistModel.findOne(openOffer);
+    if (!offer) {
+      return res.json({ success: false, message: "Offer expired or not found" });
+    }
+
+    // the doctor may have been removed, deactivated or stopped taking
+    // bookings since the slot was offered
+    const docData = await doctorModel
+      .findById(offer.docId)
+      .select("-password");
+    if (!docData || !docData.available || !docData.active) {
+      return res.json({ success: false, message: "Doctor not available" });
+    }
+
+    // flipping the status first so the offer can't be taken twice
+    const entry = await waitlistModel.findOneAndUpdate(openOffer, {
+      status: "booked",
+    });
+
+    if (!entry) {
+      return res.json({ success: false, message: "Offer expired or not found" });
+    }
+
+    const { slotDate, slotTime } = entry.offer;
+
+    // the slot is still held in slots_booked, so no reservation is needed
+    let appointment;
+    try {
+      appointment = await createAppointment(
+        userId,
+        docData,
+        slotDate,
+        slotTime
+      );
+    } catch (error) {
+      // createAppointment gave the slot back. Hold it again so the offer
+      // can be retried until it expires, unless someone booked it already.
+      const held = await reserveSlot(offer.docId, slotDate, slotTime);
+      await waitlistModel.updateOne(
+        { _id: entry._id, status: "booked" },
+        { status: held ? "offered" : "expired" }
+      );
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: "appointment.create",
+      entity: "appointment",
+      entityId: appointment._id,
+      after: appointment,
+    });
+
+    res.json({ success: true, message: "Appointment booked" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to leave the waitlist or decline an offer
+
+const leaveWaitlist = async (req, res) => {
+  try {
+    const { userId, waitlistId } = req.body;
+
+    const entry = await waitlistModel.findOneAndUpdate(
+      { _id: waitlistId, userId, status: { $in: ["waiting", "offered"] } },
+      { status: "cancelled" }
+    );
+
+    if (!entry) {
+      return res.json({ success: false, message: "Waitlist entry not found" });
+    }
+
+    // a declined offer goes to the next patient in line
+    if (entry.status === "offered") {
+      await releaseSlotToWaitlist(
+        entry.docId,
+        entry.offer.slotDate,
+        entry.offer.slotTime
+      );
+    }
+
+    await recordAudit(req, {
+      action: "waitlist.cancel",
+      entity: "waitlist",
+      entityId: waitlistId,
+      before: { status: entry.status },
+      after: { status: "cancelled" },
+    });
+
+    res.json({ success: true, message: "Removed from waitlist" });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to list the payment providers this deployment accepts
+
+const paymentProviders = async (req, res) => {
+  try {
+    const providers = enabledProviders().map((provider) => ({
+      name: provider.name,
+      label: provider.label,
+    }));
+
+    res.json({ success: true, providers });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to start the online payment of an appointment with a provider
+
+const createPayment = async (req, res) => {
+  try {
+    const { userId, appointmentId, provider: providerName } = req.body;
+
+    const provider = getEnabledProvider(providerName);
+    if (!provider) {
+      return res.json({
+        success: false,
+        message: "Payment method not available",
+      });
+    }
+
     const appointmentData = await appointmentModel.findById(appointmentId);
 
-    if (!appointmentData || appointmentData.cancelled) {
-      return res.json({ success: false, message: "Appointment Cancelled or not found" });
+    if (!appointmentData) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
+
+    if (appointmentData.userId.toString() !== userId.toString()) {
+      return res.json({ success: false, message: "Unauthorized Action" });
+    }
+
+    if (appointmentData.cancelled) {
+      return res.json({ success: false, message: "Appointment is cancelled" });
+    }
+
+    if (appointmentData.payment) {
+      return res.json({
+        success: false,
+        message: "Appointment is already paid",
+      });
     }
 
-    // Create a PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: appointmentData.amount * 100, // in cents
-      currency: process.env.CURRENCY,
-      receipt_email: req.user.email, // or fetch from user model
-      metadata: { appointmentId }
+    const order = await provider.createOrder(appointmentData, {
+      origin: req.headers.origin,
     });
 
-    res.json({ success: true, clientSecret: paymentIntent.client_secret });
+    res.json({ success: true, provider: provider.name, order });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// API to confirm a completed online payment
+
+const verifyPayment = async (req, res) => {
+  try {
+    const { userId, provider: providerName } = req.body;
+
+    const provider = getEnabledProvider(providerName);
+    if (!provider) {
+      return res.json({
+        success: false,
+        message: "Payment method not available",
+      });
+    }
+
+    const payment = await provider.verifyPayment(req.body);
+    if (!payment) {
+      return res.json({ success: false, message: "Payment not completed" });
+    }
+
+    const appointmentData = await appointmentModel.findById(
+      payment.appointmentId
+    );
+
+    if (
+      !appointmentData ||
+      appointmentData.userId.toString() !== userId.toString()
+    ) {
+      return res.json({ success: false, message: "Unauthorized Action" });
+    }
+
+    // already paid when the webhook confirmed it first
+    const paid = await markAppointmentPaid(provider.name, payment);
+
+    if (appointmentData.cancelled || paid?.cancelled) {
+      return res.json({
+        success: false,
+        message: "Appointment was cancelled, your payment will be refunded",
+      });
+    }
+
+    res.json({ success: true, message: "Payment Successful" });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: error.message });
   }
 };
 
+// API to download the PDF invoice of a paid appointment
+
+const downloadInvoice = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const appointmentData = await appointmentModel.findById(req.params.id);
+
+    if (
+      !appointmentData ||
+      appointmentData.userId.toString() !== userId.toString()
+    ) {
+      return res.json({ success: false, message: "Appointment not found" });
+    }
 
-  // const razorpayInstance = new razorpay({
-  //   key_id:'',
-  //   key_secret:'',
-  // })
-  // // API to make payment of appointment using razorpay
-  // const paymentRazorpay = async (req,res) => {
+    if (!appointmentData.payment) {
+      return res.json({
+        success: false,
+        message: "Invoices are only available for paid appointments",
+      });
+    }
 
-  // }
+    await sendInvoice(appointmentData, res);
+  } catch (error) {
+    console.log(error);
+    if (res.headersSent) return res.end();
+    res.json({ success: false, message: error.message });
+  }
+};
 
-export { registerUser, loginUser, getProfile, updateProfile, bookAppointment, listAppointment, cancelAppointment };
+export { registerUser, loginUser, verifyEmail, resendVerification, forgotPassword, resetPassword, getProfile, updateProfile, bookAppointment, listAppointment, cancelAppointment, rescheduleAppointment, joinWaitlist, listWaitlist, acceptWaitlistOffer, leaveWaitlist, paymentProviders, createPayment, verifyPayment, downloadInvoice, applyCoupon };
@@ -0,0 +1,217 @@
+import appointmentModel from "../models/appointmentModel.js";
+import transactionModel from "../models/transactionModel.js";
+import webhookEventModel from "../models/webhookEventModel.js";
+import { fromMinorUnits } from "../utils/currency.js";
+import { recordTransaction } from "../utils/transactions.js";
+import { markAppointmentPaid } from "../utils/paymentProviders.js";
+import { getStripe, paidSession } from "../utils/stripeProvider.js";
+
+// Stores the event id; false when the event was already processed
+const claimEvent = async (event) => {
+  try {
+    await webhookEventModel.create({
+      _id: event.id,
+      type: event.type,
+      date: Date.now(),
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const sessionCompleted = async (session) => {
+  const appointmentId = session.metadata?.appointmentId;
+  console.log("🏥 Appointment ID from metadata:", appointmentId);
+
+  if (!appointmentId) {
+    throw new Error("No appointmentId found in session metadata");
+  }
+
+  const appointment = await appointmentModel.findById(appointmentId);
+
+  if (!appointment) {
+    throw new Error(`Appointment ${appointmentId} not found`);
+  }
+
+  // Only an unpaid appointment is flipped so a charge is never recorded twice
+  const updatedAppointment = await markAppointmentPaid(
+    "stripe",
+    paidSession(session)
+  );
+
+  if (!updatedAppointment || updatedAppointment.cancelled) {
+    // already paid by this session, or markAppointmentPaid recorded the
+    // charge and refunded it
+    return;
+  }
+
+  console.log(`✅ Payment successful for appointment:`, {
+    appointmentId: updatedAppointment._id,
+    payment: updatedAppointment.payment,
+  });
+};
+
+const sessionExpired = async (session) => {
+  const appointment = await appointmentModel.findById(
+    session.metadata?.appointmentId
+  );
+
+  if (!appointment) {
+    console.log("⚠️ Expired session without appointment:", session.id);
+    return;
+  }
+
+  await recordTransaction(appointment, {
+    type: "failure",
+    provider: "stripe",
+    status: "failed",
+    amount: fromMinorUnits(session.amount_total, session.currency),
+    currency: session.currency,
+    providerRef: session.id,
+    message: "Checkout session expired",
+  });
+};
+
+const paymentFailed = async (paymentIntent) => {
+  const appointment = await appointmentModel.findById(
+    paymentIntent.metadata?.appointmentId
+  );
+
+  if (!appointment) {
+    console.log("⚠️ Failed payment without appointment:", paymentIntent.id);
+    return;
+  }
+
+  const reason = paymentIntent.last_payment_error?.message || "Unknown error";
+
+  await recordTransaction(appointment, {
+    type: "failure",
+    provider: "stripe",
+    status: "failed",
+    amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+    currency: paymentIntent.currency,
+    providerRef: paymentIntent.id,
+    message: `Payment failed: ${reason}`,
+  });
+};
+
+// Settles refunds started by a cancellation and records refunds issued
+// directly from the Stripe dashboard
+const chargeRefunded = async (charge) => {
+  const appointment = await appointmentModel.findOne({
+    stripePaymentIntentId: charge.payment_intent,
+  });
+
+  if (!appointment) {
+    console.log("⚠️ Refunded charge without appointment:", charge.id);
+    return;
+  }
+
+  const appointmentId = appointment._id.toString();
+  const refunded = fromMinorUnits(charge.amount_refunded, charge.currency);
+
+  await transactionModel.updateMany(
+    { appointmentId, type: "refund", status: "pending" },
+    { status: "succeeded" }
+  );
+
+  const settled = await transactionModel.find({
+    appointmentId,
+    type: "refund",
+    status: "succeeded",
+  });
+  const recorded = settled.reduce((total, item) => total + item.amount, 0);
+  const missing = Math.round((refunded - recorded) * 100) / 100;
+
+  if (missing > 0) {
+    await recordTransaction(appointment, {
+      type: "refund",
+      provider: "stripe",
+      status: "succeeded",
+      amount: missing,
+      currency: charge.currency,
+      providerRef: charge.id,
+      message: "Refunded from the Stripe dashboard",
+    });
+  }
+
+  await appointmentModel.findByIdAndUpdate(appointmentId, {
+    refundStatus: "refunded",
+    refundAmount: refunded,
+  });
+
+  console.log("💸 Refund settled for appointment:", {
+    appointmentId,
+    refunded,
+  });
+};
+
+const eventHandlers = {
+  "checkout.session.completed": sessionCompleted,
+  "checkout.session.expired": sessionExpired,
+  "payment_intent.payment_failed": paymentFailed,
+  "charge.refunded": chargeRefunded,
+};
+
+// Stripe webhook: verifies the signature, skips events that were already
+// processed and answers 500 on failure so Stripe retries the delivery
+
+const stripeWebhook = async (req, res) => {
+  console.log("🔔 Webhook received");
+
+  const sig = req.headers["stripe-signature"];
+  let event;
+
+  try {
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    if (!webhookSecret) {
+      throw new Error("Missing Stripe webhook secret");
+    }
+
+    event = getStripe().webhooks.constructEvent(req.body, sig, webhookSecret);
+    console.log("✅ Webhook verified, event type:", event.type);
+  } catch (err) {
+    console.error(`⚠️ Webhook signature verification failed:`, {
+      error: err.message,
+    });
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  const handler = eventHandlers[event.type];
+
+  if (!handler) {
+    console.log(`⚠️ Unhandled event type ${event.type}`);
+    return res.json({ received: true });
+  }
+
+  try {
+    if (!(await claimEvent(event))) {
+      console.log("🔁 Event already processed:", event.id);
+      return res.json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    console.error(`❌ Error storing webhook event:`, error.message);
+    return res.status(500).json({ received: false, error: error.message });
+  }
+
+  try {
+    await handler(event.data.object);
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`❌ Error processing webhook:`, {
+      message: error.message,
+      stack: error.stack,
+      eventId: event.id,
+      eventType: event.type,
+    });
+
+    // forgetting the event lets Stripe's retry process it again
+    await webhookEventModel.deleteOne({ _id: event.id }).catch(() => {});
+    res.status(500).json({ received: false, error: error.message });
+  }
+};
+
+export { stripeWebhook };
@@ -1,6 +1,8 @@
 import jwt from "jsonwebtoken";
+import adminModel from "../models/adminModel.js";
 
-// admin authentication middleware
+// admin authentication middleware, sets req.admin to the logged in account.
+// req.body isn't used here because multer replaces it on upload routes.
 
 const authAdmin = async (req, res, next) => {
   try {
@@ -18,17 +20,30 @@ const authAdmin = async (req, res, next) => {
     }
     const token_decode = jwt.verify(atoken, process.env.JWT_SECRET);
 
-    if (token_decode !== process.env.ADMIN_EMAIL + process.env.ADMIN_PASSWORD) {
+    const admin = await adminModel
+      .findById(token_decode.id)
+      .select("-password");
+
+    if (!admin || !admin.active) {
       return res.json({
         success: false,
         message: "Not Authorized Login Again",
       });
     }
 
+    req.admin = {
+      id: admin._id.toString(),
+      name: admin.name,
+      role: admin.role,
+    };
+    req.auth = { type: "admin", id: req.admin.id };
+
     next();
   } catch (error) {
     console.log(error);
-    res.json({ success: false, message: error.message });
+    // expired access tokens get a 401 so the apps know to refresh them
+    const status = error instanceof jwt.JsonWebTokenError ? 401 : 200;
+    res.status(status).json({ success: false, message: error.message });
   }
 };
 
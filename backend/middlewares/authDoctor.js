@@ -1,4 +1,5 @@
 import jwt from "jsonwebtoken";
+import doctorModel from "../models/doctorModel.js";
 
 // doctor authentication middleware
 
@@ -13,12 +14,25 @@ const authDoctor = async (req, res, next) => {
     }
     const token_decode = jwt.verify(dtoken, process.env.JWT_SECRET);
 
+    // tokens issued before a doctor was deactivated stop working right away
+    const doctor = await doctorModel.findById(token_decode.id).select("active");
+
+    if (!doctor || doctor.active === false) {
+      return res.json({
+        success: false,
+        message: "Not Authorized Login Again",
+      });
+    }
+
     req.body.docId = token_decode.id;
+    req.auth = { type: "doctor", id: token_decode.id };
 
     next();
   } catch (error) {
     console.log(error);
-    res.json({ success: false, message: error.message });
+    // expired access tokens get a 401 so the apps know to refresh them
+    const status = error instanceof jwt.JsonWebTokenError ? 401 : 200;
+    res.status(status).json({ success: false, message: error.message });
   }
 };
 
@@ -14,11 +14,14 @@ const authUser = async (req, res, next) => {
     const token_decode = jwt.verify(token, process.env.JWT_SECRET);
 
     req.body.userId = token_decode.id;
+    req.auth = { type: "user", id: token_decode.id };
 
     next();
   } catch (error) {
     console.log(error);
-    res.json({ success: false, message: error.message });
+    // expired access tokens get a 401 so the apps know to refresh them
+    const status = error instanceof jwt.JsonWebTokenError ? 401 : 200;
+    res.status(status).json({ success: false, message: error.message });
   }
 };
 
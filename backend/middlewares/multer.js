@@ -41,4 +41,20 @@ const upload = multer({
     }
 });
 
+// Bulk doctor imports are read straight from memory, nothing is kept on disk
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, callback) => {
+        if (/\.(csv|json)$/i.test(file.originalname)) {
+            callback(null, true);
+        } else {
+            callback(new Error('Please upload a .csv or .json file.'), false);
+        }
+    },
+    limits: {
+        fileSize: 1024 * 1024 // 1MB limit
+    }
+});
+
+export { importUpload };
 export default upload;
\ No newline at end of file
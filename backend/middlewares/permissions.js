@@ -0,0 +1,50 @@
+// Permissions of each admin panel role. super-admin can do everything.
+
+const ROLES = ["super-admin", "receptionist", "billing"];
+
+const ROLE_PERMISSIONS = {
+  receptionist: [
+    "dashboard.view",
+    "doctors.view",
+    "appointments.view",
+    "appointments.cancel",
+    "payments.record",
+    "invoices.view",
+    "holidays.manage",
+    "patients.export",
+  ],
+  billing: [
+    "dashboard.view",
+    "doctors.view",
+    "appointments.view",
+    "payments.record",
+    "invoices.view",
+    "transactions.view",
+    "coupons.manage",
+  ],
+};
+
+const ALL_PERMISSIONS = [
+  ...new Set([
+    ...Object.values(ROLE_PERMISSIONS).flat(),
+    "doctors.manage",
+    "staff.manage",
+    "audit.view",
+  ]),
+];
+
+const permissionsForRole = (role) =>
+  role === "super-admin" ? ALL_PERMISSIONS : ROLE_PERMISSIONS[role] || [];
+
+// Route guard used after authAdmin, e.g. requirePermission("coupons.manage")
+const requirePermission = (permission) => (req, res, next) => {
+  if (!permissionsForRole(req.admin?.role).includes(permission)) {
+    return res.json({
+      success: false,
+      message: "You don't have permission for this action",
+    });
+  }
+  next();
+};
+
+export { ROLES, permissionsForRole, requirePermission };
@@ -0,0 +1,108 @@
+import { getRateLimitStore, formatWait } from "../utils/rateLimitStore.js";
+
+// Fixed-window rate limiting. Each limit is read from an env var holding
+// "<requests>/<window>", e.g. RATE_LIMIT_LOGIN="20/15m", so deployments can
+// tune them without code changes.
+
+const units = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// "20/15m" -> { max: 20, windowMs: 900000 }, or null when malformed
+const parseLimit = (spec) => {
+  const match = /^(\d+)\s*\/\s*(\d+)\s*([smhd])$/.exec((spec || "").trim());
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return null;
+  return {
+    max: Number(match[1]),
+    windowMs: Number(match[2]) * units[match[3]],
+  };
+};
+
+const readLimit = (envName, fallback) => {
+  const limit = parseLimit(process.env[envName]);
+  if (!limit && process.env[envName]) {
+    console.log(`Invalid ${envName}, using ${fallback}`);
+  }
+  return limit || parseLimit(fallback);
+};
+
+const ipKey = (req) => req.ip;
+
+// Builds a middleware allowing the configured number of requests per window
+// for every key. `key` picks what is counted, the client IP by default.
+const rateLimit = ({ name, envName, fallback, key = ipKey }) => {
+  return async (req, res, next) => {
+    try {
+      const { max, windowMs } = readLimit(envName, fallback);
+      const id = key(req);
+      if (!id) return next();
+
+      const { count, expiresAt } = await getRateLimitStore().increment(
+        `rate:${name}:${id}`,
+        windowMs
+      );
+
+      if (count > max) {
+        const wait = expiresAt - Date.now();
+        res.set("Retry-After", String(Math.ceil(wait / 1000)));
+        return res.status(429).json({
+          success: false,
+          message: `Too many requests, please try again in ${formatWait(wait)}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      // a broken store shouldn't take logins down with it
+      console.log(error);
+      next();
+    }
+  };
+};
+
+// login attempts per IP, for all three kinds of account
+const loginLimiter = rateLimit({
+  name: "login",
+  envName: "RATE_LIMIT_LOGIN",
+  fallback: "20/15m",
+});
+
+// new patient accounts per IP
+const registerLimiter = rateLimit({
+  name: "register",
+  envName: "RATE_LIMIT_REGISTER",
+  fallback: "5/1h",
+});
+
+// password reset and verification emails per IP
+const emailLimiter = rateLimit({
+  name: "email",
+  envName: "RATE_LIMIT_EMAIL",
+  fallback: "5/1h",
+});
+
+// booking attempts per IP and per patient, runs after authUser
+const bookingIpLimiter = rateLimit({
+  name: "booking-ip",
+  envName: "RATE_LIMIT_BOOKING_IP",
+  fallback: "30/1h",
+});
+
+const bookingAccountLimiter = rateLimit({
+  name: "booking-account",
+  envName: "RATE_LIMIT_BOOKING_ACCOUNT",
+  fallback: "10/1h",
+  key: (req) => req.body.userId,
+});
+
+export {
+  rateLimit,
+  loginLimiter,
+  registerLimiter,
+  emailLimiter,
+  bookingIpLimiter,
+  bookingAccountLimiter,
+};
@@ -0,0 +1,27 @@
+import userModel from "../models/userModel.js";
+import { isEmailVerified } from "../utils/emailVerification.js";
+
+// blocks patients who haven't confirmed their email, runs after authUser
+
+const verifiedUser = async (req, res, next) => {
+  try {
+    const user = await userModel.findById(req.body.userId).select("-password");
+    if (!user) {
+      return res.json({ success: false, message: "User not found" });
+    }
+
+    if (!isEmailVerified(user)) {
+      return res.json({
+        success: false,
+        message: "Please verify your email address before booking",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export default verifiedUser;
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+import twoFactorFields from "./twoFactorFields.js";
+
+// Admin panel accounts; what each role may do is in middlewares/permissions.js
+const adminSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ["super-admin", "receptionist", "billing"],
+    required: true,
+  },
+  active: { type: Boolean, default: true },
+  twoFactor: twoFactorFields,
+  date: { type: Number, required: true },
+});
+
+const adminModel =
+  mongoose.models.admin || mongoose.model("admin", adminSchema);
+
+export default adminModel;
@@ -1,18 +1,68 @@
 import mongoose from "mongoose";
 
+// Payment taken at the front desk and entered by staff
+const offlinePaymentSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: ["cash", "card", "upi", "other"] },
+    amount: { type: Number },
+    receiptNumber: { type: String },
+    staffName: { type: String },
+    recordedBy: { type: String, enum: ["admin", "doctor"] },
+    recordedAt: { type: Number },
+  },
+  { _id: false }
+);
+
 const appointmentSchema = new mongoose.Schema({
   userId: { type: String, required: true },
   docId: { type: String, required: true },
   slotDate: { type: String, required: true },
   slotTime: { type: String, required: true },
+  // start of the slot as a timestamp, so lists can be sorted by it
+  slotStart: { type: Number },
   userData: { type: Object, required: true },
   docData: { type: Object, required: true },
   amount: { type: Number, required: true },
+  // fee before a coupon discount, amount is what the patient pays
+  originalAmount: { type: Number },
+  discount: { type: Number, default: 0 },
+  couponCode: { type: String },
   date: { type: Number, required: true },
   cancelled: { type: Boolean, default: false },
   payment: { type: Boolean, default: false },
   isCompleted: { type: Boolean, default: false },
+  cancelledBy: { type: String, enum: ["user", "doctor", "admin"] },
+  cancelledAt: { type: Number },
+  lateCancellation: { type: Boolean, default: false },
+  cancellationFee: { type: Number, default: 0 },
+  paymentProvider: { type: String, enum: ["stripe", "razorpay", "offline", "coupon"] },
+  stripeSessionId: { type: String },
+  stripePaymentIntentId: { type: String },
+  razorpayOrderId: { type: String },
+  razorpayPaymentId: { type: String },
+  offlinePayment: { type: offlinePaymentSchema },
+  invoiceNumber: { type: String },
+  invoiceDate: { type: Number },
+  // set while a request is taking the next invoice number for it
+  invoiceClaimedAt: { type: Number },
+  refundStatus: {
+    type: String,
+    enum: ["none", "pending", "refunded", "failed"],
+    default: "none",
+  },
+  refundAmount: { type: Number, default: 0 },
+  refundId: { type: String },
 });
 
+// the appointment lists, newest or by slot, for everyone, one doctor or
+// one patient; slotDate backs the date range filter
+appointmentSchema.index({ date: -1, _id: -1 });
+appointmentSchema.index({ slotStart: -1, _id: -1 });
+appointmentSchema.index({ docId: 1, date: -1, _id: -1 });
+appointmentSchema.index({ docId: 1, slotStart: -1, _id: -1 });
+appointmentSchema.index({ userId: 1, date: -1, _id: -1 });
+appointmentSchema.index({ userId: 1, slotStart: -1, _id: -1 });
+appointmentSchema.index({ slotDate: 1 });
+
 const appointmentModel = mongoose.models.appointment || mongoose.model('appointment',appointmentSchema)
 export default appointmentModel
\ No newline at end of file
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Append-only record of who changed what. before / after only hold the
+// fields that changed: before is null for creations, after for deletions.
+const auditLogSchema = new mongoose.Schema({
+  actorType: {
+    type: String,
+    enum: ["user", "doctor", "admin"],
+    required: true,
+  },
+  actorId: { type: String, required: true },
+  actorName: { type: String, default: "" },
+  // staff role for admin panel accounts, otherwise the actor type
+  role: { type: String, default: "" },
+  // "<entity>.<verb>", e.g. "appointment.cancel"
+  action: { type: String, required: true },
+  entity: { type: String, required: true },
+  entityId: { type: String, default: "" },
+  before: { type: Object, default: null },
+  after: { type: Object, default: null },
+  ip: { type: String, default: "" },
+  date: { type: Number, required: true },
+});
+
+auditLogSchema.index({ date: -1 });
+auditLogSchema.index({ actorId: 1, date: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, date: -1 });
+
+// entries can only ever be inserted
+const rejectChange = function (next) {
+  next(new Error("Audit log entries can't be changed or deleted"));
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+auditLogSchema.pre(
+  ["updateOne", "deleteOne"],
+  { document: true, query: false },
+  rejectChange
+);
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+const auditLogModel =
+  mongoose.models.auditLog || mongoose.model("auditLog", auditLogSchema);
+
+export default auditLogModel;
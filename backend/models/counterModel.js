@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// Named sequences, e.g. { _id: "invoice", seq: 42 }
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+const counterModel =
+  mongoose.models.counter || mongoose.model("counter", counterSchema);
+
+export default counterModel;
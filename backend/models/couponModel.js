@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  type: { type: String, enum: ["percent", "fixed"], required: true },
+  value: { type: Number, required: true },
+  // last day the code can be used, "yyyy-mm-dd"; empty for no expiry
+  expiryDate: { type: String, default: "" },
+  // 0 means unlimited
+  maxUses: { type: Number, default: 0 },
+  maxUsesPerUser: { type: Number, default: 0 },
+  usedCount: { type: Number, default: 0 },
+  // uses per patient, keyed by user id, so the per-user limit can be
+  // checked in the same update that counts a use
+  userUses: { type: Map, of: Number, default: {} },
+  // empty lists apply the coupon to every doctor / speciality
+  docIds: { type: [String], default: [] },
+  specialities: { type: [String], default: [] },
+  active: { type: Boolean, default: true },
+  date: { type: Number, required: true },
+});
+
+const couponModel =
+  mongoose.models.coupon || mongoose.model("coupon", couponSchema);
+
+export default couponModel;
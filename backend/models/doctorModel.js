@@ -1,4 +1,37 @@
 import mongoose from "mongoose";
+import { DEFAULT_SCHEDULE } from "../utils/schedule.js";
+import twoFactorFields from "./twoFactorFields.js";
+
+const timeRangeSchema = new mongoose.Schema(
+  {
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const workingDaySchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 0, max: 6 },
+    enabled: { type: Boolean, default: true },
+    start: { type: String, default: "10:00" },
+    end: { type: String, default: "21:00" },
+    breaks: { type: [timeRangeSchema], default: [] },
+  },
+  { _id: false }
+);
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    slotDuration: { type: Number, default: 30 },
+    bookingWindowDays: { type: Number, default: 7 },
+    days: {
+      type: [workingDaySchema],
+      default: () => DEFAULT_SCHEDULE.days,
+    },
+  },
+  { _id: false }
+);
 
 const doctorSchema = new mongoose.Schema(
   {
@@ -11,10 +44,14 @@ const doctorSchema = new mongoose.Schema(
     experience: { type: String, required: true },
     about: { type: String, required: true },
     available: { type: Boolean, default: true },
+    // deactivated doctors are hidden from patients but keep their history
+    active: { type: Boolean, default: true },
     fees: { type: Number, required: true },
     address: { type: Object, required: true },
     date: { type: Number, required: true },
     slots_booked: { type: Object, default: {} },
+    schedule: { type: scheduleSchema, default: () => ({}) },
+    twoFactor: twoFactorFields,
   },
   { minimize: false }
 );
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Links sent to confirm a patient's email address. Like password resets,
+// only a hash of the token is stored.
+const emailVerificationSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Number, required: true },
+  used: { type: Boolean, default: false },
+  date: { type: Number, required: true },
+});
+
+const emailVerificationModel =
+  mongoose.models.emailVerification ||
+  mongoose.model("emailVerification", emailVerificationSchema);
+
+export default emailVerificationModel;
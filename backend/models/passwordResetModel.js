@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Single-use password reset links. Only a hash of the token is stored, the
+// token itself exists in the emailed link alone.
+const passwordResetSchema = new mongoose.Schema({
+  accountType: { type: String, enum: ["user", "doctor"], required: true },
+  accountId: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Number, required: true },
+  used: { type: Boolean, default: false },
+  date: { type: Number, required: true },
+});
+
+passwordResetSchema.index({ accountType: 1, accountId: 1 });
+
+const passwordResetModel =
+  mongoose.models.passwordReset ||
+  mongoose.model("passwordReset", passwordResetSchema);
+
+export default passwordResetModel;
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// One document per signed-in device. Only hashes of the refresh tokens are
+// stored; previousTokenHash keeps the token the last refresh replaced so a
+// replayed copy of it can be recognised.
+const sessionSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ["user", "doctor", "admin"],
+    required: true,
+  },
+  accountId: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  previousTokenHash: { type: String, default: "", index: true },
+  expiresAt: { type: Number, required: true },
+  revoked: { type: Boolean, default: false },
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  lastUsedAt: { type: Number, required: true },
+  date: { type: Number, required: true },
+});
+
+sessionSchema.index({ accountType: 1, accountId: 1 });
+
+const sessionModel =
+  mongoose.models.session || mongoose.model("session", sessionSchema);
+
+export default sessionModel;
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Blocked dates or time ranges. Entries without a docId are clinic-wide
+// holidays that apply to every doctor.
+const timeOffSchema = new mongoose.Schema({
+  docId: { type: String, default: null },
+  fromDate: { type: String, required: true },
+  toDate: { type: String, required: true },
+  startTime: { type: String, default: "" },
+  endTime: { type: String, default: "" },
+  reason: { type: String, default: "" },
+  date: { type: Number, required: true },
+});
+
+timeOffSchema.index({ docId: 1, toDate: 1 });
+
+const timeOffModel =
+  mongoose.models.timeOff || mongoose.model("timeOff", timeOffSchema);
+
+export default timeOffModel;
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Payment ledger: one entry per charge, refund or failed attempt
+const transactionSchema = new mongoose.Schema({
+  appointmentId: { type: String, required: true },
+  userId: { type: String, required: true },
+  docId: { type: String, required: true },
+  type: {
+    type: String,
+    enum: ["charge", "refund", "failure"],
+    required: true,
+  },
+  provider: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed"],
+    required: true,
+  },
+  amount: { type: Number, required: true },
+  currency: { type: String, required: true },
+  providerRef: { type: String, default: "" },
+  message: { type: String, default: "" },
+  date: { type: Number, required: true },
+});
+
+transactionSchema.index({ date: -1 });
+transactionSchema.index({ docId: 1, status: 1 });
+transactionSchema.index({ appointmentId: 1 });
+
+const transactionModel =
+  mongoose.models.transaction ||
+  mongoose.model("transaction", transactionSchema);
+
+export default transactionModel;
@@ -0,0 +1,16 @@
+// Two-factor settings shared by doctor and admin accounts. The secret parts
+// are only loaded when a query asks for them, so profile and list endpoints
+// never return them.
+const twoFactorFields = {
+  enabled: { type: Boolean, default: false },
+  secret: { type: String, default: "", select: false },
+  // secret shown during enrolment, moved to secret once a code confirms it
+  pendingSecret: { type: String, default: "", select: false },
+  // sha256 hashes of the unused recovery codes
+  recoveryCodes: { type: [String], default: [], select: false },
+  // 30 second time step of the last accepted code, so it can't be replayed
+  lastUsedStep: { type: Number, default: 0, select: false },
+  enabledAt: { type: Number, default: 0 },
+};
+
+export default twoFactorFields;
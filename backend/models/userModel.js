@@ -9,6 +9,8 @@ const userSchema = new mongoose.Schema({
   dob: { type: String, default: "Not Selected" },
   phone: { type: String, default: "000000000" },
   address: { type: Object, default: { line1: "", line2: "" } },
+  // false until the emailed link is opened, missing on older accounts
+  emailVerified: { type: Boolean },
 });
 
 const userModel = mongoose.models.user || mongoose.model("user", userSchema);
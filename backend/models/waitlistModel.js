@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// A patient queued for a doctor within a date range. When a matching slot
+// is released the oldest waiting entry gets a time-limited offer on it.
+const waitlistSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  docId: { type: String, required: true },
+  fromDate: { type: String, required: true },
+  toDate: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+    default: "waiting",
+  },
+  offer: {
+    slotDate: { type: String },
+    slotTime: { type: String },
+    expiresAt: { type: Number },
+  },
+  date: { type: Number, required: true },
+});
+
+waitlistSchema.index({ docId: 1, status: 1, date: 1 });
+
+const waitlistModel =
+  mongoose.models.waitlist || mongoose.model("waitlist", waitlistSchema);
+
+export default waitlistModel;
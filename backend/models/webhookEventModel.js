@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// Stripe events that have already been processed. The event id is the
+// document _id, so a replayed event fails to insert instead of re-running.
+const webhookEventSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  type: { type: String, required: true },
+  date: { type: Number, required: true },
+});
+
+const webhookEventModel =
+  mongoose.models.webhookEvent ||
+  mongoose.model("webhookEvent", webhookEventSchema);
+
+export default webhookEventModel;
@@ -1,24 +1,240 @@
 import express from "express";
 import {
   addDoctor,
+  importDoctors,
+  updateDoctor,
+  deactivateDoctor,
+  reactivateDoctor,
   allDoctors,
   loginAdmin,
+  adminProfile,
   appointmentsAdmin,
   appointmentCancel,
+  recordPayment,
+  settleRefund,
+  appointmentInvoice,
   adminDashboard,
+  allHolidays,
+  addHoliday,
+  removeHoliday,
+  allTransactions,
+  allCoupons,
+  addCoupon,
+  toggleCoupon,
+  allStaff,
+  addStaff,
+  updateStaff,
+  allAuditLogs,
 } from "../controllers/adminController.js";
-import upload from "../middlewares/multer.js";
+import upload, { importUpload } from "../middlewares/multer.js";
 import authAdmin from "../middlewares/authAdmin.js";
+import { requirePermission } from "../middlewares/permissions.js";
 import { changeAvailability } from "../controllers/doctorController.js";
+import {
+  refreshToken,
+  logout,
+  logoutAll,
+} from "../controllers/sessionController.js";
+import {
+  verifyLogin,
+  setupLogin,
+  enableLogin,
+  twoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
+import { loginLimiter } from "../middlewares/rateLimit.js";
+import {
+  exportAppointments,
+  exportPatients,
+  exportEarnings,
+} from "../controllers/exportController.js";
 
 const adminRouter = express.Router();
 
-adminRouter.post("/add-doctor", authAdmin, upload.single("image"), addDoctor);
-adminRouter.post("/login", loginAdmin);
-adminRouter.post("/all-doctors", authAdmin, allDoctors);
-adminRouter.post("/change-availability", authAdmin, changeAvailability);
-adminRouter.get("/appointments", authAdmin, appointmentsAdmin);
-adminRouter.post("/cancel-appointment", authAdmin, appointmentCancel);
-adminRouter.get("/dashboard", authAdmin, adminDashboard);
+adminRouter.post(
+  "/add-doctor",
+  authAdmin,
+  requirePermission("doctors.manage"),
+  upload.single("image"),
+  addDoctor
+);
+adminRouter.post(
+  "/import-doctors",
+  authAdmin,
+  requirePermission("doctors.manage"),
+  importUpload.single("file"),
+  importDoctors
+);
+adminRouter.post(
+  "/update-doctor",
+  authAdmin,
+  requirePermission("doctors.manage"),
+  upload.single("image"),
+  updateDoctor
+);
+adminRouter.post(
+  "/deactivate-doctor",
+  authAdmin,
+  requirePermission("doctors.manage"),
+  deactivateDoctor
+);
+adminRouter.post(
+  "/reactivate-doctor",
+  authAdmin,
+  requirePermission("doctors.manage"),
+  reactivateDoctor
+);
+adminRouter.post("/login", loginLimiter, loginAdmin);
+adminRouter.post("/refresh-token", refreshToken("admin"));
+adminRouter.post("/logout", logout("admin"));
+adminRouter.post("/logout-all", authAdmin, logoutAll("admin"));
+adminRouter.post("/login/verify-2fa", loginLimiter, verifyLogin("admin"));
+adminRouter.post("/login/setup-2fa", loginLimiter, setupLogin("admin"));
+adminRouter.post("/login/enable-2fa", loginLimiter, enableLogin("admin"));
+adminRouter.get("/2fa", authAdmin, twoFactorStatus("admin"));
+adminRouter.post("/2fa/setup", authAdmin, setupTwoFactor("admin"));
+adminRouter.post("/2fa/enable", authAdmin, enableTwoFactor("admin"));
+adminRouter.post("/2fa/disable", authAdmin, disableTwoFactor("admin"));
+adminRouter.post(
+  "/2fa/recovery-codes",
+  authAdmin,
+  regenerateRecoveryCodes("admin")
+);
+adminRouter.get("/profile", authAdmin, adminProfile);
+adminRouter.post(
+  "/all-doctors",
+  authAdmin,
+  requirePermission("doctors.view"),
+  allDoctors
+);
+adminRouter.post(
+  "/change-availability",
+  authAdmin,
+  requirePermission("doctors.manage"),
+  changeAvailability
+);
+adminRouter.get(
+  "/appointments",
+  authAdmin,
+  requirePermission("appointments.view"),
+  appointmentsAdmin
+);
+adminRouter.get(
+  "/appointments/:id/invoice",
+  authAdmin,
+  requirePermission("invoices.view"),
+  appointmentInvoice
+);
+adminRouter.post(
+  "/cancel-appointment",
+  authAdmin,
+  requirePermission("appointments.cancel"),
+  appointmentCancel
+);
+adminRouter.post(
+  "/record-payment",
+  authAdmin,
+  requirePermission("payments.record"),
+  recordPayment
+);
+adminRouter.post(
+  "/settle-refund",
+  authAdmin,
+  requirePermission("payments.record"),
+  settleRefund
+);
+adminRouter.get(
+  "/dashboard",
+  authAdmin,
+  requirePermission("dashboard.view"),
+  adminDashboard
+);
+adminRouter.get(
+  "/holidays",
+  authAdmin,
+  requirePermission("holidays.manage"),
+  allHolidays
+);
+adminRouter.post(
+  "/add-holiday",
+  authAdmin,
+  requirePermission("holidays.manage"),
+  addHoliday
+);
+adminRouter.post(
+  "/remove-holiday",
+  authAdmin,
+  requirePermission("holidays.manage"),
+  removeHoliday
+);
+adminRouter.get(
+  "/transactions",
+  authAdmin,
+  requirePermission("transactions.view"),
+  allTransactions
+);
+adminRouter.get(
+  "/coupons",
+  authAdmin,
+  requirePermission("coupons.manage"),
+  allCoupons
+);
+adminRouter.post(
+  "/add-coupon",
+  authAdmin,
+  requirePermission("coupons.manage"),
+  addCoupon
+);
+adminRouter.post(
+  "/toggle-coupon",
+  authAdmin,
+  requirePermission("coupons.manage"),
+  toggleCoupon
+);
+adminRouter.get(
+  "/staff",
+  authAdmin,
+  requirePermission("staff.manage"),
+  allStaff
+);
+adminRouter.post(
+  "/add-staff",
+  authAdmin,
+  requirePermission("staff.manage"),
+  addStaff
+);
+adminRouter.post(
+  "/update-staff",
+  authAdmin,
+  requirePermission("staff.manage"),
+  updateStaff
+);
+adminRouter.get(
+  "/export/appointments",
+  authAdmin,
+  requirePermission("appointments.view"),
+  exportAppointments("admin")
+);
+adminRouter.get(
+  "/export/patients",
+  authAdmin,
+  requirePermission("patients.export"),
+  exportPatients
+);
+adminRouter.get(
+  "/export/earnings",
+  authAdmin,
+  requirePermission("transactions.view"),
+  exportEarnings("admin")
+);
+adminRouter.get(
+  "/audit-logs",
+  authAdmin,
+  requirePermission("audit.view"),
+  allAuditLogs
+);
 
 export default adminRouter;
@@ -2,23 +2,82 @@ import express from "express";
 import {
   doctorList,
   loginDoctor,
+  forgotPassword,
+  resetPassword,
   appointmentsDoctor,
   appointmentCancel,
   appointmentComplete,
+  recordPayment,
+  settleRefund,
   doctorDashboard,
   doctorProfile,
   updateDoctorProfile,
+  doctorSlots,
+  updateDoctorSchedule,
+  doctorTimeOff,
+  addTimeOff,
+  removeTimeOff,
 } from "../controllers/doctorController.js";
+import {
+  refreshToken,
+  logout,
+  logoutAll,
+} from "../controllers/sessionController.js";
+import {
+  verifyLogin,
+  setupLogin,
+  enableLogin,
+  twoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactorController.js";
+import { loginLimiter, emailLimiter } from "../middlewares/rateLimit.js";
 import authDoctor from "../middlewares/authDoctor.js";
+import {
+  exportAppointments,
+  exportEarnings,
+} from "../controllers/exportController.js";
 
 const doctorRouter = express.Router();
 
 doctorRouter.get("/list", doctorList);
-doctorRouter.post("/login", loginDoctor);
+doctorRouter.post("/login", loginLimiter, loginDoctor);
+doctorRouter.post("/refresh-token", refreshToken("doctor"));
+doctorRouter.post("/logout", logout("doctor"));
+doctorRouter.post("/logout-all", authDoctor, logoutAll("doctor"));
+doctorRouter.post("/login/verify-2fa", loginLimiter, verifyLogin("doctor"));
+doctorRouter.post("/login/setup-2fa", loginLimiter, setupLogin("doctor"));
+doctorRouter.post("/login/enable-2fa", loginLimiter, enableLogin("doctor"));
+doctorRouter.get("/2fa", authDoctor, twoFactorStatus("doctor"));
+doctorRouter.post("/2fa/setup", authDoctor, setupTwoFactor("doctor"));
+doctorRouter.post("/2fa/enable", authDoctor, enableTwoFactor("doctor"));
+doctorRouter.post("/2fa/disable", authDoctor, disableTwoFactor("doctor"));
+doctorRouter.post(
+  "/2fa/recovery-codes",
+  authDoctor,
+  regenerateRecoveryCodes("doctor")
+);
+doctorRouter.post("/forgot-password", emailLimiter, forgotPassword);
+doctorRouter.post("/reset-password", resetPassword);
 doctorRouter.get("/appointments", authDoctor, appointmentsDoctor);
 doctorRouter.post("/complete-appointment", authDoctor, appointmentComplete);
 doctorRouter.post("/cancel-appointment", authDoctor, appointmentCancel);
+doctorRouter.post("/record-payment", authDoctor, recordPayment);
+doctorRouter.post("/settle-refund", authDoctor, settleRefund);
 doctorRouter.get("/dashboard", authDoctor, doctorDashboard);
+doctorRouter.get(
+  "/export/appointments",
+  authDoctor,
+  exportAppointments("doctor")
+);
+doctorRouter.get("/export/earnings", authDoctor, exportEarnings("doctor"));
 doctorRouter.get("/profile", authDoctor, doctorProfile);
 doctorRouter.post("/update-profile", authDoctor, updateDoctorProfile);
+doctorRouter.get("/slots/:docId", doctorSlots);
+doctorRouter.post("/update-schedule", authDoctor, updateDoctorSchedule);
+doctorRouter.get("/time-off", authDoctor, doctorTimeOff);
+doctorRouter.post("/add-time-off", authDoctor, addTimeOff);
+doctorRouter.post("/remove-time-off", authDoctor, removeTimeOff);
 export default doctorRouter;
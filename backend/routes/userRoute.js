@@ -2,19 +2,58 @@ import express from "express";
 import {
   getProfile,
   loginUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   registerUser,
   updateProfile,
   bookAppointment,
   listAppointment,
-  cancelAppointment
+  cancelAppointment,
+  rescheduleAppointment,
+  joinWaitlist,
+  listWaitlist,
+  acceptWaitlistOffer,
+  leaveWaitlist,
+  paymentProviders,
+  createPayment,
+  verifyPayment,
+  downloadInvoice,
+  applyCoupon
 } from "../controllers/userController.js";
+import {
+  refreshToken,
+  logout,
+  logoutAll,
+} from "../controllers/sessionController.js";
 import authUser from "../middlewares/authUser.js";
+import verifiedUser from "../middlewares/verifiedUser.js";
+import {
+  loginLimiter,
+  registerLimiter,
+  emailLimiter,
+  bookingIpLimiter,
+  bookingAccountLimiter,
+} from "../middlewares/rateLimit.js";
 import upload from "../middlewares/multer.js";
 
 const userRouter = express.Router();
 
-userRouter.post("/register", registerUser);
-userRouter.post("/login", loginUser);
+userRouter.post("/register", registerLimiter, registerUser);
+userRouter.post("/login", loginLimiter, loginUser);
+userRouter.post("/refresh-token", refreshToken("user"));
+userRouter.post("/logout", logout("user"));
+userRouter.post("/logout-all", authUser, logoutAll("user"));
+userRouter.post("/verify-email", verifyEmail);
+userRouter.post(
+  "/resend-verification",
+  emailLimiter,
+  authUser,
+  resendVerification
+);
+userRouter.post("/forgot-password", emailLimiter, forgotPassword);
+userRouter.post("/reset-password", resetPassword);
 userRouter.get("/get-profile", authUser, getProfile);
 userRouter.post(
   "/update-profile",
@@ -22,9 +61,26 @@ userRouter.post(
   authUser,
   updateProfile
 );
-userRouter.post("/book-appointment", authUser, bookAppointment);
+userRouter.post(
+  "/book-appointment",
+  bookingIpLimiter,
+  authUser,
+  bookingAccountLimiter,
+  verifiedUser,
+  bookAppointment
+);
+userRouter.post("/apply-coupon", authUser, applyCoupon);
 userRouter.get("/appointments", authUser, listAppointment);
+userRouter.get("/appointments/:id/invoice", authUser, downloadInvoice);
 userRouter.post('/cancel-appointment',authUser,cancelAppointment)
+userRouter.post('/reschedule-appointment',authUser,rescheduleAppointment)
+userRouter.post('/join-waitlist',authUser,verifiedUser,joinWaitlist)
+userRouter.get('/waitlist',authUser,listWaitlist)
+userRouter.post('/accept-waitlist-offer',authUser,verifiedUser,acceptWaitlistOffer)
+userRouter.post('/leave-waitlist',authUser,leaveWaitlist)
+userRouter.get('/payment-providers',paymentProviders)
+userRouter.post('/create-payment',authUser,createPayment)
+userRouter.post('/verify-payment',authUser,verifyPayment)
 
 
 export default userRouter;
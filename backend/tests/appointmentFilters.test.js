@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_RANGE_DAYS,
+  buildAppointmentFilter,
+  buildAppointmentSort,
+} from "../utils/appointmentFilters.js";
+
+test("builds status, payment and name filters", () => {
+  assert.deepEqual(buildAppointmentFilter({ status: "unpaid" }).filter, {
+    cancelled: false,
+    payment: false,
+  });
+  assert.deepEqual(buildAppointmentFilter({ payment: "paid" }).filter, {
+    payment: true,
+  });
+
+  const { filter } = buildAppointmentFilter({
+    doctor: " Dr. (Smith) ",
+    patient: "",
+  });
+  assert.deepEqual(filter, {
+    "docData.name": { $regex: "Dr\\. \\(Smith\\)", $options: "i" },
+  });
+
+  // upcoming means the slot hasn't started, not just that it's still open
+  const upcoming = buildAppointmentFilter({ status: "upcoming" }, 1000);
+  assert.deepEqual(upcoming.filter, {
+    cancelled: false,
+    isCompleted: false,
+    slotStart: { $gt: 1000 },
+  });
+
+  assert.equal(
+    buildAppointmentFilter({ status: "missed" }).message,
+    "Invalid status filter"
+  );
+});
+
+test("turns a date range into the slot dates it covers", () => {
+  const { filter } = buildAppointmentFilter({
+    from: "2024-12-30",
+    to: "2025-01-02",
+  });
+  assert.deepEqual(filter.slotDate.$in, [
+    "30_12_2024",
+    "31_12_2024",
+    "1_1_2025",
+    "2_1_2025",
+  ]);
+
+  // an open end covers the longest range allowed
+  const openEnded = buildAppointmentFilter({ from: "2024-01-01" }).filter;
+  assert.equal(openEnded.slotDate.$in.length, MAX_RANGE_DAYS);
+
+  assert.equal(
+    buildAppointmentFilter({ from: "2024-02-01", to: "2024-01-01" }).message,
+    "End date must be after the start date"
+  );
+  assert.match(
+    buildAppointmentFilter({ from: "2023-01-01", to: "2024-12-31" }).message,
+    /at most/
+  );
+});
+
+test("sorts by booking time unless told otherwise", () => {
+  assert.deepEqual(buildAppointmentSort({}).sort, { date: -1, _id: -1 });
+  assert.deepEqual(buildAppointmentSort({ sort: "date", order: "asc" }).sort, {
+    slotStart: 1,
+    _id: 1,
+  });
+  assert.equal(
+    buildAppointmentSort({ sort: "fees" }).message,
+    "Invalid sort option"
+  );
+  assert.equal(
+    buildAppointmentSort({ order: "up" }).message,
+    "Invalid sort order"
+  );
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import auditLogModel from "../models/auditLogModel.js";
+import doctorModel from "../models/doctorModel.js";
+import { diffRecords } from "../utils/auditLog.js";
+
+// the append-only hooks reject before anything is sent, so no database
+// is needed; without buffering nothing waits for a connection either
+mongoose.set("bufferCommands", false);
+
+test("keeps only the fields that changed", () => {
+  const changes = diffRecords(
+    { fees: 50, available: true, address: { line1: "A" } },
+    { fees: 60, available: true, address: { line1: "A" }, about: "New" }
+  );
+
+  assert.deepEqual(changes, {
+    before: { fees: 50, about: null },
+    after: { fees: 60, about: "New" },
+  });
+});
+
+test("creations and deletions keep the whole record without secrets", () => {
+  const doctor = new doctorModel({
+    name: "Dr. A",
+    password: "hash",
+    slots_booked: { "1_1_2030": ["10:00 AM"] },
+  });
+
+  const { before, after } = diffRecords(null, doctor);
+  assert.equal(before, null);
+  assert.equal(after.name, "Dr. A");
+  for (const field of ["_id", "password", "slots_booked"]) {
+    assert.equal(field in after, false);
+  }
+
+  assert.deepEqual(diffRecords({ name: "Dr. A" }, null), {
+    before: { name: "Dr. A" },
+    after: null,
+  });
+});
+
+test("audit entries can't be updated or deleted", async () => {
+  const message = /can't be changed or deleted/;
+
+  await assert.rejects(auditLogModel.updateOne({}, { action: "x" }), message);
+  await assert.rejects(auditLogModel.findOneAndUpdate({}, {}), message);
+  await assert.rejects(auditLogModel.replaceOne({}, {}), message);
+  await assert.rejects(auditLogModel.deleteMany({}), message);
+  await assert.rejects(auditLogModel.findOneAndDelete({}), message);
+
+  const entry = auditLogModel.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    actorType: "admin",
+    actorId: "1",
+    action: "doctor.create",
+    entity: "doctor",
+    date: Date.now(),
+  });
+  entry.action = "doctor.delete";
+  await assert.rejects(entry.save(), message);
+  await assert.rejects(entry.deleteOne(), message);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const { default: authUser } = await import("../middlewares/authUser.js");
+
+// Runs the middleware, resolves "next" when it lets the request through and
+// { status, body } otherwise
+const authenticate = (token) =>
+  new Promise((resolve) => {
+    const req = { headers: { token }, body: {} };
+    let status = 200;
+    const res = {
+      status(code) {
+        status = code;
+        return res;
+      },
+      json: (body) => resolve({ status, body }),
+    };
+    authUser(req, res, () => resolve({ next: true, req }));
+  });
+
+test("a valid access token signs the patient in", async () => {
+  const token = jwt.sign({ id: "user1" }, process.env.JWT_SECRET);
+  const { next, req } = await authenticate(token);
+
+  assert.equal(next, true);
+  assert.equal(req.body.userId, "user1");
+  assert.deepEqual(req.auth, { type: "user", id: "user1" });
+});
+
+test("expired and forged tokens get a 401 so the app refreshes", async () => {
+  const expired = jwt.sign({ id: "user1" }, process.env.JWT_SECRET, {
+    expiresIn: -10,
+  });
+  const forged = jwt.sign({ id: "user1" }, "another-secret");
+
+  assert.equal((await authenticate(expired)).status, 401);
+  assert.equal((await authenticate(forged)).status, 401);
+
+  const missing = await authenticate(undefined);
+  assert.equal(missing.status, 200);
+  assert.equal(missing.body.message, "Not Authorized Login Again");
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  useTestDatabase,
+  call,
+  tomorrow,
+  createDoctor,
+  createUser,
+} from "./helpers.js";
+
+const { bookAppointment } = await import("../controllers/userController.js");
+const { default: doctorModel } = await import("../models/doctorModel.js");
+const { default: appointmentModel } = await import(
+  "../models/appointmentModel.js"
+);
+const { default: couponModel } = await import("../models/couponModel.js");
+const { default: transactionModel } = await import(
+  "../models/transactionModel.js"
+);
+const { formatSlotDate } = await import("../utils/schedule.js");
+
+const book = (body) => call(bookAppointment, { body });
+
+const createUsers = (count) =>
+  Promise.all(
+    Array.from({ length: count }, (_, i) =>
+      createUser({ name: `Patient ${i}`, email: `patient${i}@test.com` })
+    )
+  );
+
+useTestDatabase();
+
+test("parallel bookings of the same slot produce a single appointment", async () => {
+  const doctor = await createDoctor();
+  const users = await createUsers(20);
+  const slotDate = formatSlotDate(tomorrow());
+
+  const results = await Promise.all(
+    users.map((user) =>
+      book({
+        userId: user._id.toString(),
+        docId: doctor._id.toString(),
+        slotDate,
+        slotTime: "10:00 AM",
+      })
+    )
+  );
+
+  assert.equal(results.filter((result) => result.success).length, 1);
+  assert.equal(await appointmentModel.countDocuments({ slotDate }), 1);
+
+  const updated = await doctorModel.findById(doctor._id);
+  assert.deepEqual(updated.slots_booked[slotDate], ["10:00 AM"]);
+});
+
+test("parallel bookings of different slots are all kept", async () => {
+  const doctor = await createDoctor();
+  const users = await createUsers(4);
+  const slotDate = formatSlotDate(tomorrow());
+  const times = ["10:00 AM", "10:30 AM", "11:00 AM", "11:30 AM"];
+
+  const results = await Promise.all(
+    users.map((user, i) =>
+      book({
+        userId: user._id.toString(),
+        docId: doctor._id.toString(),
+        slotDate,
+        slotTime: times[i],
+      })
+    )
+  );
+
+  assert.ok(results.every((result) => result.success));
+
+  const updated = await doctorModel.findById(doctor._id);
+  assert.deepEqual([...updated.slots_booked[slotDate]].sort(), times);
+});
+
+test("a fully covered coupon booking is paid with a zero charge", async () => {
+  const doctor = await createDoctor();
+  const [user] = await createUsers(1);
+  await couponModel.create({
+    code: "FREE",
+    type: "percent",
+    value: 100,
+    date: Date.now(),
+  });
+
+  const result = await book({
+    userId: user._id.toString(),
+    docId: doctor._id.toString(),
+    slotDate: formatSlotDate(tomorrow()),
+    slotTime: "10:00 AM",
+    couponCode: "free",
+  });
+
+  assert.equal(result.success, true);
+  const appointment = await appointmentModel.findOne({});
+  assert.equal(appointment.payment, true);
+  assert.equal(appointment.paymentProvider, "coupon");
+  assert.equal(appointment.amount, 0);
+
+  const charges = await transactionModel.find({
+    appointmentId: appointment._id.toString(),
+  });
+  assert.equal(charges.length, 1);
+  assert.equal(charges[0].type, "charge");
+  assert.equal(charges[0].status, "succeeded");
+  assert.equal(charges[0].amount, 0);
+  assert.equal(charges[0].providerRef, "FREE");
+});
+
+test("parallel coupon bookings respect the per-patient limit", async () => {
+  const doctor = await createDoctor();
+  const [user] = await createUsers(1);
+  await couponModel.create({
+    code: "ONCE",
+    type: "percent",
+    value: 10,
+    maxUsesPerUser: 1,
+    date: Date.now(),
+  });
+  const times = ["10:00 AM", "10:30 AM", "11:00 AM"];
+
+  const results = await Promise.all(
+    times.map((slotTime) =>
+      book({
+        userId: user._id.toString(),
+        docId: doctor._id.toString(),
+        slotDate: formatSlotDate(tomorrow()),
+        slotTime,
+        couponCode: "ONCE",
+      })
+    )
+  );
+
+  assert.equal(results.filter((result) => result.success).length, 1);
+  assert.equal(await appointmentModel.countDocuments({}), 1);
+  const coupon = await couponModel.findOne({ code: "ONCE" });
+  assert.equal(coupon.usedCount, 1);
+  assert.equal(coupon.userUses.get(user._id.toString()), 1);
+});
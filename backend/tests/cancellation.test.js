@@ -0,0 +1,100 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  evaluateCancellation,
+  getCancellationCutoff,
+  getCancellationPolicy,
+} from "../utils/cancellation.js";
+
+// a paid 10:00 appointment on Monday 6 January 2025
+const appointment = {
+  slotDate: "6_1_2025",
+  slotTime: "10:00 AM",
+  amount: 80,
+  payment: true,
+  cancelled: false,
+  isCompleted: false,
+};
+
+const start = new Date(2025, 0, 6, 10, 0).getTime();
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+  delete process.env.CANCELLATION_NOTICE_HOURS;
+  delete process.env.LATE_CANCEL_POLICY;
+  delete process.env.LATE_CANCEL_FEE_PERCENT;
+});
+
+test("reads the policy from env, ignoring unusable values", () => {
+  assert.deepEqual(getCancellationPolicy(), {
+    noticeHours: 24,
+    lateCancelPolicy: "block",
+    lateCancelFeePercent: 100,
+  });
+
+  process.env.CANCELLATION_NOTICE_HOURS = "-1";
+  process.env.LATE_CANCEL_POLICY = "refund";
+  process.env.LATE_CANCEL_FEE_PERCENT = "150";
+  assert.deepEqual(getCancellationPolicy(), {
+    noticeHours: 24,
+    lateCancelPolicy: "block",
+    lateCancelFeePercent: 100,
+  });
+
+  assert.equal(getCancellationCutoff(appointment), start - 24 * HOUR);
+});
+
+test("patients cancel for free until the notice window starts", () => {
+  assert.deepEqual(
+    evaluateCancellation(appointment, "user", start - 25 * HOUR),
+    { allowed: true, late: false, fee: 0 }
+  );
+
+  const late = evaluateCancellation(appointment, "user", start - 2 * HOUR);
+  assert.equal(late.allowed, false);
+  assert.equal(
+    late.message,
+    "Appointments can only be cancelled up to 24 hours in advance"
+  );
+});
+
+test("late cancellations keep a share of a paid fee", () => {
+  process.env.LATE_CANCEL_POLICY = "fee";
+  process.env.LATE_CANCEL_FEE_PERCENT = "25";
+
+  assert.deepEqual(
+    evaluateCancellation(appointment, "user", start - 2 * HOUR),
+    { allowed: true, late: true, fee: 20 }
+  );
+  // nothing was paid, so there is nothing to keep
+  assert.deepEqual(
+    evaluateCancellation(
+      { ...appointment, payment: false },
+      "user",
+      start - 2 * HOUR
+    ),
+    { allowed: true, late: true, fee: 0 }
+  );
+});
+
+test("the clinic can always cancel, but only once", () => {
+  const now = start - HOUR;
+
+  assert.deepEqual(evaluateCancellation(appointment, "doctor", now), {
+    allowed: true,
+    late: false,
+    fee: 0,
+  });
+  assert.equal(evaluateCancellation(appointment, "admin", now).allowed, true);
+
+  assert.equal(
+    evaluateCancellation({ ...appointment, cancelled: true }, "admin", now)
+      .message,
+    "Appointment already cancelled"
+  );
+  assert.equal(
+    evaluateCancellation({ ...appointment, isCompleted: true }, "admin", now)
+      .message,
+    "Completed appointments can't be cancelled"
+  );
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { timestampRange } from "../utils/dateRange.js";
+
+test("covers whole days from the start of from to the end of to", () => {
+  const range = timestampRange({ from: "2024-10-05", to: "2024-10-06" });
+
+  assert.equal(range.$gte, new Date(2024, 9, 5).getTime());
+  assert.equal(range.$lte, new Date(2024, 9, 7).getTime() - 1);
+});
+
+test("leaves out a missing end and returns null without either", () => {
+  assert.deepEqual(Object.keys(timestampRange({ to: "2024-10-06" })), [
+    "$lte",
+  ]);
+  assert.equal(timestampRange({}), null);
+  assert.equal(timestampRange(), null);
+});
+
+test("rejects days that aren't yyyy-mm-dd", () => {
+  const message = /Dates must be given as yyyy-mm-dd/;
+
+  for (const from of ["yesterday", "2024-10-5", "2024-02-30", ["2024-10-05"]]) {
+    assert.throws(() => timestampRange({ from }), message);
+  }
+  assert.throws(() => timestampRange({ to: "10/06/2024" }), message);
+});
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase, call, createDoctor } from "./helpers.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const { updateDoctor, deactivateDoctor, reactivateDoctor } = await import(
+  "../controllers/adminController.js"
+);
+const { doctorList, doctorSlots } = await import(
+  "../controllers/doctorController.js"
+);
+const { createSession, refreshSession } = await import(
+  "../utils/sessions.js"
+);
+const { default: authDoctor } = await import("../middlewares/authDoctor.js");
+const { default: doctorModel } = await import("../models/doctorModel.js");
+
+// Runs a controller as the admin and resolves its JSON body
+const callAsAdmin = (handler, body, params = {}) =>
+  call(handler, {
+    body,
+    params,
+    admin: { id: "admin1", name: "Admin", role: "super-admin" },
+    auth: { type: "admin", id: "admin1" },
+  });
+
+useTestDatabase();
+
+test("edits only the details that were sent", async () => {
+  const doctor = await createDoctor();
+
+  const result = await callAsAdmin(updateDoctor, {
+    docId: doctor._id.toString(),
+    fees: "75",
+    about: "Sees children too",
+  });
+
+  assert.equal(result.success, true);
+  const updated = await doctorModel.findById(doctor._id);
+  assert.equal(updated.fees, 75);
+  assert.equal(updated.about, "Sees children too");
+  assert.equal(updated.name, "Dr. Test");
+  assert.equal(updated.password, "hashed");
+});
+
+test("refuses invalid edits", async () => {
+  const doctor = await createDoctor();
+  await createDoctor({ email: "taken@test.com" });
+  const edit = (changes) =>
+    callAsAdmin(updateDoctor, { docId: doctor._id.toString(), ...changes });
+
+  assert.equal((await edit({ name: "" })).message, "Missing Details");
+  assert.equal(
+    (await edit({ fees: "-5" })).message,
+    "Fees must be a positive number"
+  );
+  assert.equal(
+    (await edit({ email: "taken@test.com" })).message,
+    "Doctor with this email already exists"
+  );
+  assert.equal(
+    (await edit({ address: "line 1" })).message,
+    "Invalid address format"
+  );
+  assert.equal(
+    (await edit({ password: "short" })).message,
+    "Password must be at least 8 characters long"
+  );
+
+  assert.equal((await doctorModel.findById(doctor._id)).fees, 50);
+});
+
+test("a deactivated doctor is signed out and can't be booked", async () => {
+  const doctor = await createDoctor();
+  const docId = doctor._id.toString();
+  const session = await createSession("doctor", doctor, { headers: {} });
+
+  const result = await callAsAdmin(deactivateDoctor, { docId });
+  assert.equal(result.message, "Doctor Deactivated");
+  assert.equal(
+    (await callAsAdmin(deactivateDoctor, { docId })).message,
+    "Doctor is already inactive"
+  );
+
+  assert.equal(await refreshSession("doctor", session.refreshToken), null);
+  assert.equal((await callAsAdmin(doctorList, {})).doctors.length, 0);
+  assert.deepEqual((await callAsAdmin(doctorSlots, {}, { docId })).slots, []);
+
+  assert.equal(
+    (await callAsAdmin(reactivateDoctor, { docId })).message,
+    "Doctor Reactivated"
+  );
+  assert.equal((await callAsAdmin(doctorList, {})).doctors.length, 1);
+  assert.ok((await callAsAdmin(doctorSlots, {}, { docId })).slots.length > 0);
+});
+
+test("a deactivated doctor's access token is refused", async () => {
+  const doctor = await createDoctor();
+  const { token } = await createSession("doctor", doctor, { headers: {} });
+  // resolves "next" when the middleware lets the request through
+  const authenticate = () =>
+    new Promise((resolve) => {
+      authDoctor(
+        { headers: { dtoken: token }, body: {} },
+        { json: resolve },
+        () => resolve("next")
+      );
+    });
+
+  assert.equal(await authenticate(), "next");
+
+  await callAsAdmin(deactivateDoctor, { docId: doctor._id.toString() });
+
+  const result = await authenticate();
+  assert.equal(result.success, false);
+  assert.equal(result.message, "Not Authorized Login Again");
+});
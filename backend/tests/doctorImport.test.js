@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseCsv,
+  parseImportFile,
+  validateImportRows,
+} from "../utils/doctorImport.js";
+
+const file = (originalname, text) => ({
+  originalname,
+  buffer: Buffer.from(text),
+});
+
+const doctor = (overrides = {}) => ({
+  name: "Dr. Jane Doe",
+  email: "jane@clinic.test",
+  password: "secret-password",
+  speciality: "Dermatologist",
+  degree: "MBBS",
+  experience: "4 Years",
+  about: "Skin specialist",
+  fees: "40",
+  address: '{"line1":"1 Main St","line2":"Springfield"}',
+  ...overrides,
+});
+
+test("parses quoted CSV fields with commas, quotes and line breaks", () => {
+  const rows = parseCsv('a,b,c\r\n"1,5","say ""hi""","two\nlines"\n\n');
+
+  assert.deepEqual(rows, [
+    ["a", "b", "c"],
+    ["1,5", 'say "hi"', "two\nlines"],
+  ]);
+});
+
+test("reads CSV rows by header and JSON arrays as they are", () => {
+  const csv = parseImportFile(
+    file(
+      "doctors.csv",
+      '\uFEFFName,Email,Address\nJane,jane@clinic.test,"{""line1"":""A""}"\n'
+    )
+  );
+  assert.deepEqual(csv.rows, [
+    { name: "Jane", email: "jane@clinic.test", address: '{"line1":"A"}' },
+  ]);
+
+  const json = parseImportFile(
+    file("doctors.json", JSON.stringify([doctor()]))
+  );
+  assert.deepEqual(json.rows, [doctor()]);
+});
+
+test("rejects files it can't read", () => {
+  assert.ok(parseImportFile(file("doctors.txt", "")).message);
+  assert.ok(parseImportFile(file("doctors.json", "{}")).message);
+  assert.ok(parseImportFile(file("doctors.json", "[")).message);
+  assert.ok(parseImportFile(file("doctors.csv", "name,email\n")).message);
+});
+
+test("reports each invalid row with the add doctor rules", () => {
+  const report = validateImportRows(
+    [
+      doctor(),
+      doctor({ email: "not-an-email" }),
+      doctor({ email: "b@clinic.test", password: "short" }),
+      doctor({ email: "c@clinic.test", about: "" }),
+      doctor({ email: "d@clinic.test", address: "line 1" }),
+      doctor({ email: "taken@clinic.test" }),
+      doctor({ email: "JANE@clinic.test" }),
+      doctor({ email: "e@clinic.test", image: "not a url" }),
+    ],
+    ["taken@clinic.test"]
+  );
+
+  assert.deepEqual(
+    report.map((entry) => [entry.row, entry.error]),
+    [
+      [1, null],
+      [2, "Please enter a valid email"],
+      [3, "Password must be at least 8 characters long"],
+      [4, "Missing Details: about"],
+      [5, "Invalid address format. Please provide a valid JSON object"],
+      [6, "Doctor with this email already exists"],
+      [7, "Doctor with this email already exists"],
+      [8, "Image must be a http(s) URL"],
+    ]
+  );
+});
+
+test("valid rows are ready to insert, with a placeholder image", () => {
+  const [withoutImage, withImage] = validateImportRows([
+    doctor(),
+    doctor({ email: "b@clinic.test", image: "https://cdn.test/b.png" }),
+  ]);
+
+  assert.equal(withoutImage.doctor.fees, 40);
+  assert.deepEqual(withoutImage.doctor.address, {
+    line1: "1 Main St",
+    line2: "Springfield",
+  });
+  assert.match(withoutImage.doctor.image, /^data:image\//);
+  assert.equal(withImage.doctor.image, "https://cdn.test/b.png");
+});
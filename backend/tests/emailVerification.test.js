@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase, captureMail, createUser } from "./helpers.js";
+
+const { isEmailVerified, sendVerificationEmail, verifyEmailToken } =
+  await import("../utils/emailVerification.js");
+const { default: verifiedUser } = await import(
+  "../middlewares/verifiedUser.js"
+);
+const { default: userModel } = await import("../models/userModel.js");
+
+const sent = captureMail();
+
+const createUnverifiedUser = () => createUser({ emailVerified: false });
+
+// the token in the most recently emailed verification link
+const emailedToken = () =>
+  /verify-email\?token=(\w+)/.exec(sent[sent.length - 1].text)[1];
+
+// Runs the middleware, resolves "next" when it lets the request through and
+// the JSON body otherwise
+const guard = (userId) =>
+  new Promise((resolve) => {
+    verifiedUser(
+      { body: { userId } },
+      { json: resolve },
+      () => resolve("next")
+    );
+  });
+
+useTestDatabase();
+
+test("accounts from before verification count as confirmed", () => {
+  assert.equal(isEmailVerified({}), true);
+  assert.equal(isEmailVerified({ emailVerified: true }), true);
+  assert.equal(isEmailVerified({ emailVerified: false }), false);
+});
+
+test("patients can book once the emailed link is opened", async () => {
+  const user = await createUnverifiedUser();
+  const userId = user._id.toString();
+
+  const blocked = await guard(userId);
+  assert.equal(
+    blocked.message,
+    "Please verify your email address before booking"
+  );
+
+  await sendVerificationEmail(user);
+  assert.equal(sent[0].to, "patient@test.com");
+  const token = emailedToken();
+
+  assert.equal(await verifyEmailToken(token), null);
+  assert.equal((await userModel.findById(user._id)).emailVerified, true);
+  assert.equal(await guard(userId), "next");
+
+  assert.equal(
+    await verifyEmailToken(token),
+    "Invalid or expired verification link"
+  );
+});
+
+test("a resent link replaces the earlier one", async () => {
+  const user = await createUnverifiedUser();
+
+  await sendVerificationEmail(user);
+  const first = emailedToken();
+  await sendVerificationEmail(user);
+  const second = emailedToken();
+
+  assert.equal(
+    await verifyEmailToken(first),
+    "Invalid or expired verification link"
+  );
+  assert.equal(await verifyEmailToken(second), null);
+  assert.equal(
+    await verifyEmailToken(undefined),
+    "Invalid or expired verification link"
+  );
+});
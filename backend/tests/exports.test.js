@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+import ExcelJS from "exceljs";
+import { sendExport } from "../utils/exports.js";
+
+// Response stand-in that records headers and collects the body
+const fakeResponse = () => {
+  const res = new PassThrough();
+  res.headers = {};
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+async function* generateRows() {
+  yield { name: "Jane, MD", note: 'says "hi"', amount: 40 };
+  yield { name: "=HYPERLINK(1)", note: null, amount: -5 };
+}
+
+const columns = [
+  { header: "Name", key: "name" },
+  { header: "Note", key: "note" },
+  { header: "Amount", key: "amount" },
+];
+
+test("streams CSV with quoting and formula-safe text", async () => {
+  const res = fakeResponse();
+  await sendExport(res, {
+    format: "csv",
+    fileName: "report",
+    columns,
+    rows: generateRows(),
+  });
+
+  assert.match(res.headers["content-type"], /^text\/csv/);
+  assert.match(
+    res.headers["content-disposition"],
+    /^attachment; filename="report-\d{4}-\d{2}-\d{2}\.csv"$/
+  );
+  assert.equal(
+    res.body().toString("utf8"),
+    '\uFEFFName,Note,Amount\r\n"Jane, MD","says ""hi""",40\r\n' +
+      "'=HYPERLINK(1),,-5\r\n"
+  );
+});
+
+test("streams an XLSX workbook with a header row", async () => {
+  const res = fakeResponse();
+  await sendExport(res, {
+    format: "xlsx",
+    fileName: "report",
+    columns,
+    rows: generateRows(),
+  });
+
+  assert.match(res.headers["content-disposition"], /\.xlsx"$/);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(res.body());
+  const sheet = workbook.getWorksheet("report");
+
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ["Name", "Note", "Amount"]);
+  assert.deepEqual(sheet.getRow(2).values.slice(1), [
+    "Jane, MD",
+    'says "hi"',
+    40,
+  ]);
+  assert.equal(sheet.getRow(3).getCell(1).value, "'=HYPERLINK(1)");
+  assert.equal(sheet.getRow(3).getCell(3).value, -5);
+});
@@ -0,0 +1,124 @@
+// Shared setup for the tests that need a database: an in-memory MongoDB,
+// a minimal req/res pair for running controllers, captured email and
+// factories for the records most tests start from.
+
+import { before, after, beforeEach } from "node:test";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import doctorModel from "../models/doctorModel.js";
+import userModel from "../models/userModel.js";
+import adminModel from "../models/adminModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { registerTransport } from "../utils/mailer.js";
+
+// Runs the file's tests against an in-memory MongoDB that is emptied before
+// each test
+const useTestDatabase = () => {
+  let mongoServer;
+
+  before(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    // the server is missing when it failed to start in before
+    await mongoServer?.stop();
+  });
+
+  beforeEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+  });
+};
+
+// Collects outgoing mail instead of printing it. The returned list is
+// emptied before each test.
+const captureMail = () => {
+  const sent = [];
+  registerTransport("test", { send: async (message) => sent.push(message) });
+  process.env.MAIL_TRANSPORT = "test";
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  return sent;
+};
+
+// Runs a controller or middleware with a minimal req/res pair and resolves
+// the JSON body it answers with
+const call = (handler, req = {}) =>
+  new Promise((resolve) => {
+    const res = {
+      status() {
+        return res;
+      },
+      json: resolve,
+    };
+    handler({ body: {}, params: {}, headers: {}, ...req }, res);
+  });
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return date;
+};
+
+const createDoctor = (fields = {}) =>
+  doctorModel.create({
+    name: "Dr. Test",
+    email: "doctor@test.com",
+    password: "hashed",
+    image: "image.png",
+    speciality: "General physician",
+    degree: "MBBS",
+    experience: "1 Year",
+    about: "About",
+    fees: 50,
+    address: { line1: "", line2: "" },
+    date: Date.now(),
+    ...fields,
+  });
+
+const createUser = (fields = {}) =>
+  userModel.create({
+    name: "Patient",
+    email: "patient@test.com",
+    password: "hashed",
+    ...fields,
+  });
+
+const createAdmin = (fields = {}) =>
+  adminModel.create({
+    name: "Front desk",
+    email: "desk@test.com",
+    password: "hashed",
+    role: "receptionist",
+    date: Date.now(),
+    ...fields,
+  });
+
+const createAppointment = (fields = {}) =>
+  appointmentModel.create({
+    userId: "user1",
+    docId: "doc1",
+    slotDate: "1_1_2030",
+    slotTime: "10:00 AM",
+    userData: { name: "Patient" },
+    docData: { name: "Dr. Test" },
+    amount: 50,
+    date: Date.now(),
+    ...fields,
+  });
+
+export {
+  useTestDatabase,
+  captureMail,
+  call,
+  tomorrow,
+  createDoctor,
+  createUser,
+  createAdmin,
+  createAppointment,
+};
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase, createAppointment } from "./helpers.js";
+import { assignInvoiceNumber, invoiceAmounts } from "../utils/invoices.js";
+import appointmentModel from "../models/appointmentModel.js";
+import counterModel from "../models/counterModel.js";
+
+useTestDatabase();
+
+test("splits the included tax out of the total", () => {
+  const amounts = invoiceAmounts(118, 0, 18);
+
+  assert.equal(amounts.fee, 100);
+  assert.equal(amounts.discount, 0);
+  assert.equal(amounts.tax, 18);
+});
+
+test("shows a coupon discount against the full fee", () => {
+  // a fee of 59 with 20 off, paid 39
+  const amounts = invoiceAmounts(39, 20, 18);
+
+  assert.equal(amounts.fee, 50);
+  assert.ok(Math.abs(amounts.discount - 16.9491525) < 1e-6);
+  // the rows add up to the total paid
+  assert.ok(
+    Math.abs(amounts.fee - amounts.discount + amounts.tax - 39) < 1e-9
+  );
+
+  // a fully covered fee is all discount
+  assert.deepEqual(invoiceAmounts(0, 50, 0), { fee: 50, discount: 50, tax: 0 });
+});
+
+test("numbers a paid appointment once", async () => {
+  const appointment = await createAppointment({ payment: true });
+
+  const invoiced = await assignInvoiceNumber(appointment);
+  const again = await assignInvoiceNumber(
+    await appointmentModel.findById(appointment._id)
+  );
+
+  assert.equal(invoiced.invoiceNumber, "INV-000001");
+  assert.equal(again.invoiceNumber, "INV-000001");
+  assert.equal(invoiced.invoiceClaimedAt, undefined);
+});
+
+test("uses the number of a request that took a timed out claim over", async (t) => {
+  const appointment = await createAppointment({ payment: true });
+  const nextNumber = counterModel.findOneAndUpdate.bind(counterModel);
+  t.mock.method(counterModel, "findOneAndUpdate", async (...args) => {
+    // this request stalls past the claim timeout and another one numbers
+    // the appointment meanwhile
+    await appointmentModel.updateOne(
+      { _id: appointment._id },
+      {
+        invoiceNumber: "INV-000042",
+        invoiceDate: Date.now(),
+        $unset: { invoiceClaimedAt: 1 },
+      }
+    );
+    return nextNumber(...args);
+  });
+
+  const invoiced = await assignInvoiceNumber(appointment);
+
+  assert.equal(invoiced.invoiceNumber, "INV-000042");
+});
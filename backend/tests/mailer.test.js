@@ -0,0 +1,39 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { registerTransport, sendMail } from "../utils/mailer.js";
+
+const sent = [];
+registerTransport("test", { send: async (message) => sent.push(message) });
+
+afterEach(() => {
+  sent.length = 0;
+  delete process.env.MAIL_TRANSPORT;
+  delete process.env.MAIL_FROM;
+});
+
+test("sends through the configured transport", async () => {
+  process.env.MAIL_TRANSPORT = "test";
+
+  await sendMail({ to: "patient@test.com", subject: "Hi", text: "Hello" });
+  assert.deepEqual(sent, [
+    {
+      from: "no-reply@prescripto.com",
+      to: "patient@test.com",
+      subject: "Hi",
+      text: "Hello",
+    },
+  ]);
+
+  process.env.MAIL_FROM = "clinic@test.com";
+  await sendMail({ to: "patient@test.com", subject: "Hi", text: "Hello" });
+  assert.equal(sent[1].from, "clinic@test.com");
+});
+
+test("refuses an unknown transport", async () => {
+  process.env.MAIL_TRANSPORT = "pigeon";
+
+  await assert.rejects(
+    sendMail({ to: "patient@test.com", subject: "Hi", text: "Hello" }),
+    { message: 'Unknown mail transport "pigeon"' }
+  );
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateOfflinePayment } from "../utils/offlinePayments.js";
+
+const details = {
+  method: "cash",
+  amount: "50",
+  receiptNumber: "R-1",
+  staffName: "Front desk",
+};
+
+// validates the details above with some fields changed, for a fee of 50
+const check = (changes) =>
+  validateOfflinePayment({ ...details, ...changes }, 50);
+
+test("accepts the appointment's fee as received", () => {
+  assert.equal(check({}), null);
+  assert.equal(check({ amount: 49.999 }), null);
+});
+
+test("rejects an amount other than the fee unless it is confirmed", () => {
+  const mismatch = "Amount received doesn't match the fee of 50";
+
+  assert.equal(check({ amount: "500" }), mismatch);
+  // only a real boolean counts as confirmation
+  assert.equal(check({ amount: 45, amountOverride: "true" }), mismatch);
+  assert.equal(check({ amount: 45, amountOverride: true }), null);
+});
+
+test("requires a method, an amount, a receipt and the staff member", () => {
+  assert.equal(check({ method: "cheque" }), "Invalid payment method");
+  assert.equal(
+    check({ amount: 0, amountOverride: true }),
+    "Enter the amount received"
+  );
+  assert.equal(check({ receiptNumber: " " }), "Receipt number is required");
+  assert.equal(check({ staffName: "" }), "Staff member is required");
+});
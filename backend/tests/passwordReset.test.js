@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import { useTestDatabase, captureMail, createUser } from "./helpers.js";
+
+const { requestPasswordReset, completePasswordReset } = await import(
+  "../utils/passwordReset.js"
+);
+const { default: userModel } = await import("../models/userModel.js");
+const { default: passwordResetModel } = await import(
+  "../models/passwordResetModel.js"
+);
+
+const sent = captureMail();
+
+// the token in the most recently emailed reset link
+const emailedToken = () =>
+  /reset-password\?token=(\w+)/.exec(sent[sent.length - 1].text)[1];
+
+useTestDatabase();
+
+test("a reset link changes the password once", async () => {
+  const user = await createUser();
+
+  await requestPasswordReset("user", "patient@test.com");
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "patient@test.com");
+  const token = emailedToken();
+
+  assert.equal(
+    await completePasswordReset("user", token, "short"),
+    "Enter a strong password"
+  );
+  assert.equal(
+    await completePasswordReset("user", token, "new password"),
+    null
+  );
+
+  const updated = await userModel.findById(user._id);
+  assert.ok(await bcrypt.compare("new password", updated.password));
+
+  assert.equal(
+    await completePasswordReset("user", token, "another password"),
+    "Invalid or expired reset link"
+  );
+});
+
+test("only the newest link works", async () => {
+  await createUser();
+
+  await requestPasswordReset("user", "patient@test.com");
+  const first = emailedToken();
+  await requestPasswordReset("user", "patient@test.com");
+  const second = emailedToken();
+
+  assert.equal(
+    await completePasswordReset("user", first, "new password"),
+    "Invalid or expired reset link"
+  );
+  assert.equal(
+    await completePasswordReset("user", second, "new password"),
+    null
+  );
+});
+
+test("expired links and other account types are refused", async () => {
+  await createUser();
+
+  await requestPasswordReset("user", "patient@test.com");
+  const token = emailedToken();
+
+  // a patient's link can't reset a doctor account
+  assert.equal(
+    await completePasswordReset("doctor", token, "new password"),
+    "Invalid or expired reset link"
+  );
+
+  await passwordResetModel.updateMany({}, { expiresAt: Date.now() - 1 });
+  assert.equal(
+    await completePasswordReset("user", token, "new password"),
+    "Invalid or expired reset link"
+  );
+});
+
+test("unknown addresses get no email", async () => {
+  await requestPasswordReset("user", "nobody@test.com");
+
+  assert.equal(sent.length, 0);
+  assert.equal(await passwordResetModel.countDocuments({}), 0);
+});
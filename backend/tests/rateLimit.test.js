@@ -0,0 +1,100 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createMemoryStore,
+  setRateLimitStore,
+} from "../utils/rateLimitStore.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import {
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginLockout.js";
+
+// Runs a middleware and resolves { status, body } or "next"
+const run = (middleware, req) =>
+  new Promise((resolve) => {
+    let status = 200;
+    const res = {
+      status(code) {
+        status = code;
+        return res;
+      },
+      set: () => res,
+      json: (body) => resolve({ status, body }),
+    };
+    middleware(req, res, () => resolve("next"));
+  });
+
+beforeEach(() => {
+  setRateLimitStore(createMemoryStore());
+  process.env.TEST_LIMIT = "2/1m";
+  process.env.LOGIN_LOCKOUT_THRESHOLD = "3";
+  process.env.LOGIN_LOCKOUT_MINUTES = "1";
+});
+
+test("allows requests up to the limit, then answers 429", async () => {
+  const limiter = rateLimit({
+    name: "test",
+    envName: "TEST_LIMIT",
+    fallback: "10/1m",
+  });
+  const req = { ip: "10.0.0.1", body: {} };
+
+  assert.equal(await run(limiter, req), "next");
+  assert.equal(await run(limiter, req), "next");
+
+  const blocked = await run(limiter, req);
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.body.success, false);
+
+  // other clients have their own counter
+  assert.equal(await run(limiter, { ip: "10.0.0.2", body: {} }), "next");
+});
+
+test("falls back to the default limit when the env value is malformed", async () => {
+  process.env.TEST_LIMIT = "lots";
+  const limiter = rateLimit({
+    name: "test",
+    envName: "TEST_LIMIT",
+    fallback: "1/1m",
+  });
+  const req = { ip: "10.0.0.1", body: {} };
+
+  assert.equal(await run(limiter, req), "next");
+  assert.equal((await run(limiter, req)).status, 429);
+});
+
+test("memory store counters expire with their window", async () => {
+  const store = createMemoryStore();
+
+  assert.equal((await store.increment("key", 20)).count, 1);
+  assert.equal((await store.increment("key", 20)).count, 2);
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal((await store.increment("key", 20)).count, 1);
+});
+
+test("locks an account after repeated failures, longer each time", async () => {
+  await recordLoginFailure("user", "patient@example.com");
+  await recordLoginFailure("user", "patient@example.com");
+  assert.equal(await checkLoginLockout("user", "patient@example.com"), null);
+
+  await recordLoginFailure("user", "patient@example.com");
+  assert.match(
+    await checkLoginLockout("user", "PATIENT@example.com"),
+    /in a minute/
+  );
+
+  await recordLoginFailure("user", "patient@example.com");
+  assert.match(
+    await checkLoginLockout("user", "patient@example.com"),
+    /in 2 minutes/
+  );
+
+  // the same email as another kind of account is counted separately
+  assert.equal(await checkLoginLockout("doctor", "patient@example.com"), null);
+
+  await clearLoginFailures("user", "patient@example.com");
+  assert.equal(await checkLoginLockout("user", "patient@example.com"), null);
+});
@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { useTestDatabase, createAppointment } from "./helpers.js";
+
+// refunds are stubbed, but the client still needs some key
+process.env.STRIPE_SECRET_KEY ||= "sk_test_dummy";
+process.env.CURRENCY = "usd";
+
+const { cancelWithPolicy } = await import("../utils/cancellation.js");
+const { refundAppointment } = await import("../utils/refunds.js");
+const { getStripe } = await import("../utils/stripeProvider.js");
+const { default: appointmentModel } = await import(
+  "../models/appointmentModel.js"
+);
+const { default: transactionModel } = await import(
+  "../models/transactionModel.js"
+);
+
+const createPaidAppointment = (fields = {}) =>
+  createAppointment({
+    docId: new mongoose.Types.ObjectId().toString(),
+    payment: true,
+    paymentProvider: "stripe",
+    stripePaymentIntentId: "pi_test_1",
+    ...fields,
+  });
+
+// Stubs Stripe refunds with the given status, returns the calls made
+const stubRefunds = (t, status) => {
+  const calls = [];
+  t.mock.method(getStripe().refunds, "create", async (params, options) => {
+    calls.push({ params, options });
+    return { id: "re_test", status };
+  });
+  return calls;
+};
+
+useTestDatabase();
+
+test("cancelling a paid appointment refunds it through Stripe", async (t) => {
+  const calls = stubRefunds(t, "succeeded");
+  const appointment = await createPaidAppointment();
+
+  const result = await cancelWithPolicy(appointment, "doctor");
+
+  assert.equal(result.success, true);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].params.payment_intent, "pi_test_1");
+  assert.equal(calls[0].params.amount, 5000);
+  assert.equal(calls[0].options.idempotencyKey, "refund-pi_test_1");
+
+  const updated = await appointmentModel.findById(appointment._id);
+  assert.equal(updated.refundStatus, "refunded");
+  assert.equal(updated.refundAmount, 50);
+  assert.equal(updated.refundId, "re_test");
+
+  const refund = await transactionModel.findOne({ type: "refund" });
+  assert.equal(refund.status, "succeeded");
+  assert.equal(refund.amount, 50);
+  assert.equal(refund.providerRef, "re_test");
+});
+
+test("a late cancellation fee is kept back from the refund", async (t) => {
+  const calls = stubRefunds(t, "pending");
+  const appointment = await createPaidAppointment({
+    cancelled: true,
+    cancellationFee: 20,
+  });
+
+  const refunded = await refundAppointment(appointment);
+
+  assert.equal(calls[0].params.amount, 3000);
+  assert.equal(refunded.refundStatus, "pending");
+  assert.equal(refunded.refundAmount, 30);
+
+  // a second cancellation request doesn't refund again
+  await refundAppointment(appointment);
+  assert.equal(calls.length, 1);
+});
+
+test("a failed refund is left for staff to follow up", async (t) => {
+  t.mock.method(getStripe().refunds, "create", async () => {
+    throw new Error("Charge already refunded");
+  });
+  const appointment = await createPaidAppointment({ cancelled: true });
+
+  const refunded = await refundAppointment(appointment);
+
+  assert.equal(refunded.refundStatus, "failed");
+  const failure = await transactionModel.findOne({ type: "failure" });
+  assert.equal(failure.status, "failed");
+  assert.match(failure.message, /Charge already refunded/);
+});
+
+test("unpaid appointments have nothing to refund", async (t) => {
+  const calls = stubRefunds(t, "succeeded");
+  const appointment = await createPaidAppointment({
+    payment: false,
+    cancelled: true,
+  });
+
+  const result = await refundAppointment(appointment);
+
+  assert.equal(result.refundStatus, "none");
+  assert.equal(calls.length, 0);
+  assert.equal(await transactionModel.countDocuments({}), 0);
+});
+
+// the ledger charge that paid the appointment
+const recordCharge = (appointment, fields = {}) =>
+  transactionModel.create({
+    appointmentId: appointment._id.toString(),
+    userId: appointment.userId,
+    docId: appointment.docId,
+    type: "charge",
+    provider: appointment.paymentProvider,
+    status: "succeeded",
+    amount: appointment.amount,
+    currency: "usd",
+    date: Date.now(),
+    ...fields,
+  });
+
+test("refunds what was charged, in the currency it was paid", async (t) => {
+  const calls = stubRefunds(t, "succeeded");
+  const appointment = await createPaidAppointment({
+    cancelled: true,
+    cancellationFee: 1000,
+  });
+  // paid in yen before the clinic switched to dollars
+  await recordCharge(appointment, { amount: 6000, currency: "jpy" });
+
+  const refunded = await refundAppointment(appointment);
+
+  assert.equal(calls[0].params.amount, 5000);
+  assert.equal(refunded.refundAmount, 5000);
+  const refund = await transactionModel.findOne({ type: "refund" });
+  assert.equal(refund.amount, 5000);
+  assert.equal(refund.currency, "jpy");
+});
+
+test("clinic payments refund the amount taken at the desk", async () => {
+  const appointment = await createPaidAppointment({
+    cancelled: true,
+    paymentProvider: "offline",
+    offlinePayment: { method: "cash", amount: 45, receiptNumber: "R-1" },
+  });
+  await recordCharge(appointment, { amount: 45, providerRef: "R-1" });
+
+  const refunded = await refundAppointment(appointment);
+
+  assert.equal(refunded.refundStatus, "pending");
+  assert.equal(refunded.refundAmount, 45);
+  const refund = await transactionModel.findOne({ type: "refund" });
+  assert.equal(refund.status, "pending");
+  assert.equal(refund.amount, 45);
+  assert.equal(refund.providerRef, "R-1");
+});
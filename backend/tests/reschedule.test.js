@@ -0,0 +1,97 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  useTestDatabase,
+  call,
+  createDoctor,
+  createUser,
+  createAppointment,
+} from "./helpers.js";
+
+const { rescheduleAppointment } = await import(
+  "../controllers/userController.js"
+);
+const { default: doctorModel } = await import("../models/doctorModel.js");
+const { default: appointmentModel } = await import(
+  "../models/appointmentModel.js"
+);
+const { formatSlotDate } = await import("../utils/schedule.js");
+
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return formatSlotDate(date);
+};
+
+// a patient's 10:00 AM appointment, its slot booked with the doctor
+const bookAt = async (slotDate) => {
+  const user = await createUser();
+  const doctor = await createDoctor({
+    slots_booked: { [slotDate]: ["10:00 AM"] },
+  });
+  const appointment = await createAppointment({
+    userId: user._id.toString(),
+    docId: doctor._id.toString(),
+    slotDate,
+    slotTime: "10:00 AM",
+  });
+  return { user, doctor, appointment };
+};
+
+const reschedule = ({ user, appointment }, slotDate, slotTime) =>
+  call(rescheduleAppointment, {
+    body: {
+      userId: user._id.toString(),
+      appointmentId: appointment._id.toString(),
+      slotDate,
+      slotTime,
+    },
+  });
+
+useTestDatabase();
+
+beforeEach(() => {
+  delete process.env.CANCELLATION_NOTICE_HOURS;
+});
+
+test("moves the appointment and frees its old slot", async () => {
+  const slotDate = daysFromNow(5);
+  const booking = await bookAt(slotDate);
+
+  const result = await reschedule(booking, slotDate, "11:00 AM");
+
+  assert.equal(result.success, true);
+  const moved = await appointmentModel.findById(booking.appointment._id);
+  assert.equal(moved.slotTime, "11:00 AM");
+  const doctor = await doctorModel.findById(booking.doctor._id);
+  assert.deepEqual(doctor.slots_booked[slotDate], ["11:00 AM"]);
+});
+
+test("can't move an appointment inside the cancellation notice", async () => {
+  process.env.CANCELLATION_NOTICE_HOURS = "168";
+  const slotDate = daysFromNow(5);
+  const booking = await bookAt(slotDate);
+
+  const result = await reschedule(booking, slotDate, "11:00 AM");
+
+  assert.equal(result.success, false);
+  assert.equal(
+    result.message,
+    "Appointments can only be rescheduled up to 168 hours in advance"
+  );
+  const kept = await appointmentModel.findById(booking.appointment._id);
+  assert.equal(kept.slotTime, "10:00 AM");
+  const doctor = await doctorModel.findById(booking.doctor._id);
+  assert.deepEqual(doctor.slots_booked[slotDate], ["10:00 AM"]);
+});
+
+test("can't move an appointment into the past", async () => {
+  const booking = await bookAt(daysFromNow(5));
+
+  const result = await reschedule(booking, daysFromNow(-1), "10:00 AM");
+
+  assert.equal(result.success, false);
+  assert.equal(result.message, "Please select a future slot");
+  const kept = await appointmentModel.findById(booking.appointment._id);
+  assert.equal(kept.slotDate, booking.appointment.slotDate);
+});
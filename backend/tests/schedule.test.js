@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SCHEDULE,
+  getBookableSlots,
+  isSlotInSchedule,
+  validateSchedule,
+} from "../utils/schedule.js";
+
+// Mondays 9 to 1 with a lunch hour, Wednesdays 10 to 12, hourly slots
+const doctor = {
+  schedule: {
+    slotDuration: 60,
+    bookingWindowDays: 3,
+    days: [
+      {
+        day: 1,
+        enabled: true,
+        start: "09:00",
+        end: "14:00",
+        breaks: [{ start: "12:00", end: "13:00" }],
+      },
+      { day: 2, enabled: false, start: "09:00", end: "17:00", breaks: [] },
+      { day: 3, enabled: true, start: "10:00", end: "12:00", breaks: [] },
+    ],
+  },
+  slots_booked: {},
+};
+
+// Monday 6 January 2025, 09:30
+const now = new Date(2025, 0, 6, 9, 30);
+
+test("groups the free slots of the booking window by day", () => {
+  const days = getBookableSlots(doctor, [], now);
+
+  assert.deepEqual(days, [
+    {
+      slotDate: "6_1_2025",
+      weekday: 1,
+      dayOfMonth: 6,
+      // slots already started today are gone, the lunch hour is skipped
+      slots: ["10:00 AM", "11:00 AM", "01:00 PM"],
+    },
+    // days off are listed with no slots
+    { slotDate: "7_1_2025", weekday: 2, dayOfMonth: 7, slots: [] },
+    {
+      slotDate: "8_1_2025",
+      weekday: 3,
+      dayOfMonth: 8,
+      slots: ["10:00 AM", "11:00 AM"],
+    },
+  ]);
+});
+
+test("leaves booked slots out of their day", () => {
+  const booked = {
+    ...doctor,
+    // older bookings may be stored without the leading zero
+    slots_booked: { "6_1_2025": ["1:00 PM"], "8_1_2025": ["10:00 AM"] },
+  };
+  const days = getBookableSlots(booked, [], now);
+
+  assert.deepEqual(days[0].slots, ["10:00 AM", "11:00 AM"]);
+  assert.deepEqual(days[2].slots, ["11:00 AM"]);
+});
+
+test("only publishes future slots within the window and working hours", () => {
+  const check = (slotDate, slotTime) =>
+    isSlotInSchedule(doctor, slotDate, slotTime, [], now);
+
+  assert.equal(check("6_1_2025", "10:00 AM"), true);
+  // times are accepted the ways they were stored over the years
+  assert.equal(check("6_1_2025", "1:00 pm"), true);
+  assert.equal(check("6_1_2025", "13:00"), true);
+
+  // started already, in the lunch hour, off the slot grid, after hours
+  assert.equal(check("6_1_2025", "09:00 AM"), false);
+  assert.equal(check("6_1_2025", "12:00 PM"), false);
+  assert.equal(check("6_1_2025", "10:30 AM"), false);
+  assert.equal(check("8_1_2025", "12:00 PM"), false);
+
+  // a day off, the day after the window, yesterday and malformed slots
+  assert.equal(check("7_1_2025", "10:00 AM"), false);
+  assert.equal(check("9_1_2025", "10:00 AM"), false);
+  assert.equal(check("5_1_2025", "10:00 AM"), false);
+  assert.equal(check("31_2_2025", "10:00 AM"), false);
+  assert.equal(check("6_1_2025", "25:00"), false);
+});
+
+test("doctors without a schedule keep the old hours", () => {
+  assert.equal(isSlotInSchedule({}, "7_1_2025", "10:00 AM", [], now), true);
+  assert.equal(isSlotInSchedule({}, "7_1_2025", "08:30 PM", [], now), true);
+  assert.equal(isSlotInSchedule({}, "7_1_2025", "09:00 PM", [], now), false);
+  assert.equal(getBookableSlots({}, [], now).length, 7);
+});
+
+test("validates the schedule an admin or doctor saves", () => {
+  assert.equal(validateSchedule(doctor.schedule), null);
+  assert.equal(validateSchedule(DEFAULT_SCHEDULE), null);
+
+  const check = (changes) =>
+    validateSchedule({ ...doctor.schedule, ...changes });
+  const monday = doctor.schedule.days[0];
+
+  assert.equal(validateSchedule(null), "Schedule is required");
+  assert.equal(
+    check({ slotDuration: 2 }),
+    "Slot length must be between 5 and 240 minutes"
+  );
+  assert.equal(
+    check({ bookingWindowDays: 90 }),
+    "Booking window must be between 1 and 60 days"
+  );
+  assert.equal(check({ days: "weekdays" }), "Weekly hours are required");
+  assert.equal(
+    check({ days: [{ ...monday, day: 7 }] }),
+    "Invalid weekday in schedule"
+  );
+  assert.equal(
+    check({ days: [{ ...monday, start: "14:00", end: "09:00" }] }),
+    "Invalid working hours for MON"
+  );
+  assert.equal(
+    check({
+      days: [{ ...monday, breaks: [{ start: "13:30", end: "15:00" }] }],
+    }),
+    "Invalid break for MON"
+  );
+  assert.equal(
+    check({ days: [monday, monday] }),
+    "Each weekday can only appear once"
+  );
+  // hours of a day off aren't checked
+  assert.equal(
+    check({ days: [{ ...monday, enabled: false, start: "", end: "" }] }),
+    null
+  );
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { useTestDatabase, createAdmin } from "./helpers.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const { createSession, refreshSession, revokeSession, revokeAllSessions } =
+  await import("../utils/sessions.js");
+const { default: adminModel } = await import("../models/adminModel.js");
+const { default: sessionModel } = await import("../models/sessionModel.js");
+
+const req = { headers: { "user-agent": "test" }, ip: "127.0.0.1" };
+
+useTestDatabase();
+
+test("each refresh swaps the refresh token for a new one", async () => {
+  const admin = await createAdmin();
+  const first = await createSession("admin", admin, req);
+
+  const decoded = jwt.verify(first.token, process.env.JWT_SECRET);
+  assert.equal(decoded.id, admin._id.toString());
+  assert.equal(decoded.role, "receptionist");
+
+  const second = await refreshSession("admin", first.refreshToken);
+  assert.ok(second.token);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.ok(await refreshSession("admin", second.refreshToken));
+
+  // a refresh token only works for its own kind of account
+  assert.equal(await refreshSession("user", second.refreshToken), null);
+  assert.equal(await refreshSession("admin", undefined), null);
+});
+
+test("a replayed refresh token revokes the session", async () => {
+  const admin = await createAdmin();
+  const first = await createSession("admin", admin, req);
+  const second = await refreshSession("admin", first.refreshToken);
+
+  // another tab refreshing at the same moment is only turned away
+  assert.equal(await refreshSession("admin", first.refreshToken), null);
+  assert.equal((await sessionModel.findOne({})).revoked, false);
+
+  // an old token showing up later was copied
+  await sessionModel.updateMany({}, { lastUsedAt: Date.now() - 60 * 1000 });
+  assert.equal(await refreshSession("admin", first.refreshToken), null);
+  assert.equal((await sessionModel.findOne({})).revoked, true);
+  assert.equal(await refreshSession("admin", second.refreshToken), null);
+});
+
+test("logging out ends one session or all of them", async () => {
+  const admin = await createAdmin();
+  const laptop = await createSession("admin", admin, req);
+  const phone = await createSession("admin", admin, req);
+  const tablet = await createSession("admin", admin, req);
+
+  await revokeSession("admin", laptop.refreshToken);
+  assert.equal(await refreshSession("admin", laptop.refreshToken), null);
+  const phoneRefreshed = await refreshSession("admin", phone.refreshToken);
+  assert.ok(phoneRefreshed);
+
+  await revokeAllSessions("admin", admin._id);
+  assert.equal(
+    await refreshSession("admin", phoneRefreshed.refreshToken),
+    null
+  );
+  assert.equal(await refreshSession("admin", tablet.refreshToken), null);
+});
+
+test("disabled accounts can't refresh", async () => {
+  const admin = await createAdmin();
+  const session = await createSession("admin", admin, req);
+
+  await adminModel.findByIdAndUpdate(admin._id, { active: false });
+
+  assert.equal(await refreshSession("admin", session.refreshToken), null);
+  assert.equal((await sessionModel.findOne({})).revoked, true);
+});
@@ -0,0 +1,75 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// the client is never used for real here, but needs some key
+process.env.STRIPE_SECRET_KEY ||= "sk_test_dummy";
+
+const { default: stripeProvider, getStripe } = await import(
+  "../utils/stripeProvider.js"
+);
+const { toMinorUnits, fromMinorUnits } = await import("../utils/currency.js");
+
+const appointment = {
+  _id: "64b000000000000000000001",
+  amount: 45.5,
+  slotDate: "6_1_2025",
+  slotTime: "10:00 AM",
+  docData: { name: "Dr. Test" },
+};
+
+// Starts checkout with the session creation stubbed, returns its params
+const checkoutParams = async (t) => {
+  let params;
+  t.mock.method(getStripe().checkout.sessions, "create", async (value) => {
+    params = value;
+    return { id: "cs_test", metadata: value.metadata };
+  });
+
+  const order = await stripeProvider.createOrder(appointment, {
+    origin: "http://clinic.test",
+  });
+  assert.deepEqual(order, { orderId: "cs_test", sessionId: "cs_test" });
+  return params;
+};
+
+beforeEach(() => {
+  delete process.env.CURRENCY;
+});
+
+test("converts amounts to and from the smallest currency unit", () => {
+  assert.equal(toMinorUnits(45.5, "usd"), 4550);
+  assert.equal(toMinorUnits(19.999, "eur"), 2000);
+  assert.equal(toMinorUnits(1500, "JPY"), 1500);
+  assert.equal(fromMinorUnits(4550, "usd"), 45.5);
+  assert.equal(fromMinorUnits(1500, "jpy"), 1500);
+});
+
+test("charges the appointment's fee in the configured currency", async (t) => {
+  process.env.CURRENCY = "EUR";
+  const params = await checkoutParams(t);
+  const [item] = params.line_items;
+
+  assert.equal(params.line_items.length, 1);
+  assert.equal(item.quantity, 1);
+  assert.equal(item.price_data.currency, "eur");
+  assert.equal(item.price_data.unit_amount, 4550);
+  assert.equal(item.price_data.product_data.name, "Appointment with Dr. Test");
+  assert.equal(
+    item.price_data.product_data.description,
+    "6/1/2025 at 10:00 AM"
+  );
+});
+
+test("ties the session and its payment to the appointment", async (t) => {
+  const params = await checkoutParams(t);
+
+  assert.equal(params.line_items[0].price_data.currency, "usd");
+  assert.deepEqual(params.metadata, { appointmentId: appointment._id });
+  assert.deepEqual(params.payment_intent_data.metadata, {
+    appointmentId: appointment._id,
+  });
+  assert.equal(
+    params.success_url,
+    "http://clinic.test/success?session_id={CHECKOUT_SESSION_ID}"
+  );
+});
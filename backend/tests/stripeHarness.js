@@ -0,0 +1,119 @@
+// Builds fake Stripe events and signs them with the webhook secret, so the
+// webhook can be exercised offline.
+//
+// From tests:  signEvent(fakeEvent(...)) -> { payload, header }
+// From a shell, against a running local server:
+//   node tests/stripeHarness.js <event type> <appointmentId> [amount]
+
+import "dotenv/config";
+import Stripe from "stripe";
+import { fileURLToPath } from "url";
+import { paymentCurrency } from "../utils/currency.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "sk_test_dummy");
+
+let counter = 0;
+
+// The fake payment intent id is derived from the appointment so a completed
+// checkout and a later refund refer to the same payment
+const paymentIntentId = (appointmentId) => `pi_test_${appointmentId}`;
+
+const stripeObjects = {
+  "checkout.session.completed": (appointmentId, amount) => ({
+    id: `cs_test_${appointmentId}`,
+    object: "checkout.session",
+    amount_total: amount,
+    currency: paymentCurrency(),
+    payment_intent: paymentIntentId(appointmentId),
+    payment_status: "paid",
+    status: "complete",
+    metadata: { appointmentId },
+  }),
+  "checkout.session.expired": (appointmentId, amount) => ({
+    id: `cs_test_${appointmentId}`,
+    object: "checkout.session",
+    amount_total: amount,
+    currency: paymentCurrency(),
+    payment_intent: null,
+    payment_status: "unpaid",
+    status: "expired",
+    metadata: { appointmentId },
+  }),
+  "payment_intent.payment_failed": (appointmentId, amount) => ({
+    id: paymentIntentId(appointmentId),
+    object: "payment_intent",
+    amount,
+    currency: paymentCurrency(),
+    status: "requires_payment_method",
+    last_payment_error: { message: "Your card was declined." },
+    metadata: { appointmentId },
+  }),
+  "charge.refunded": (appointmentId, amount) => ({
+    id: `ch_test_${appointmentId}`,
+    object: "charge",
+    amount,
+    amount_refunded: amount,
+    currency: paymentCurrency(),
+    payment_intent: paymentIntentId(appointmentId),
+    refunded: true,
+  }),
+};
+
+// amount is in the smallest currency unit, like Stripe sends it. fields
+// replace those of the object, e.g. the ids of a second checkout session.
+const fakeEvent = (type, appointmentId, amount, fields = {}) => {
+  const build = stripeObjects[type];
+  if (!build) {
+    throw new Error(`No fake event for ${type}`);
+  }
+
+  counter += 1;
+  return {
+    id: `evt_test_${Date.now()}_${counter}`,
+    object: "event",
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object: { ...build(appointmentId, amount), ...fields } },
+  };
+};
+
+const signEvent = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  const header = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret,
+  });
+  return { payload, header };
+};
+
+const sendEvent = async (event) => {
+  const url = `http://localhost:${process.env.PORT || 4000}/webhook`;
+  const { payload, header } = signEvent(event);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "stripe-signature": header,
+    },
+    body: payload,
+  });
+
+  console.log(response.status, await response.text());
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [type, appointmentId, amount = "5000"] = process.argv.slice(2);
+
+  if (!stripeObjects[type] || !appointmentId) {
+    console.log(
+      "Usage: node tests/stripeHarness.js <event type> <appointmentId> [amount]"
+    );
+    console.log("Event types:", Object.keys(stripeObjects).join(", "));
+    process.exit(1);
+  }
+
+  await sendEvent(fakeEvent(type, appointmentId, Number(amount)));
+}
+
+export { fakeEvent, signEvent, sendEvent, paymentIntentId };
@@ -0,0 +1,267 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { useTestDatabase, createAppointment } from "./helpers.js";
+
+// signatures are checked with a Stripe client, which needs some key
+process.env.STRIPE_SECRET_KEY ||= "sk_test_dummy";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_secret";
+process.env.CURRENCY = "usd";
+
+const { stripeWebhook } = await import("../controllers/webhookController.js");
+const { fakeEvent, signEvent, paymentIntentId } = await import(
+  "./stripeHarness.js"
+);
+const { getStripe } = await import("../utils/stripeProvider.js");
+const { default: appointmentModel } = await import(
+  "../models/appointmentModel.js"
+);
+const { default: transactionModel } = await import(
+  "../models/transactionModel.js"
+);
+const { default: webhookEventModel } = await import(
+  "../models/webhookEventModel.js"
+);
+
+// Posts a signed event to the webhook and resolves { status, body }
+const deliver = (event, secret) =>
+  new Promise((resolve) => {
+    const { payload, header } = signEvent(event, secret);
+    let status = 200;
+    const res = {
+      status(code) {
+        status = code;
+        return res;
+      },
+      json: (body) => resolve({ status, body }),
+      send: (body) => resolve({ status, body }),
+    };
+    stripeWebhook(
+      {
+        headers: { "stripe-signature": header },
+        body: Buffer.from(payload),
+      },
+      res
+    );
+  });
+
+useTestDatabase();
+
+test("rejects events with an invalid signature", async () => {
+  const appointment = await createAppointment();
+  const event = fakeEvent(
+    "checkout.session.completed",
+    appointment._id.toString(),
+    5000
+  );
+
+  const { status } = await deliver(event, "whsec_wrong_secret");
+
+  assert.equal(status, 400);
+  assert.equal((await appointmentModel.findById(appointment._id)).payment, false);
+});
+
+test("completed checkout marks the appointment paid once, even when replayed", async () => {
+  const appointment = await createAppointment();
+  const event = fakeEvent(
+    "checkout.session.completed",
+    appointment._id.toString(),
+    5000
+  );
+
+  const first = await deliver(event);
+  const replay = await deliver(event);
+
+  assert.equal(first.status, 200);
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.duplicate, true);
+
+  const updated = await appointmentModel.findById(appointment._id);
+  assert.equal(updated.payment, true);
+  assert.equal(
+    updated.stripePaymentIntentId,
+    paymentIntentId(appointment._id.toString())
+  );
+
+  const charges = await transactionModel.find({ type: "charge" });
+  assert.equal(charges.length, 1);
+  assert.equal(charges[0].amount, 50);
+});
+
+test("the same session completing again records no second charge", async () => {
+  const appointment = await createAppointment();
+  const appointmentId = appointment._id.toString();
+
+  await deliver(fakeEvent("checkout.session.completed", appointmentId, 5000));
+  await deliver(fakeEvent("checkout.session.completed", appointmentId, 5000));
+
+  assert.equal(await transactionModel.countDocuments({ type: "charge" }), 1);
+});
+
+test("a second checkout of a paid appointment is refunded", async (t) => {
+  const calls = [];
+  t.mock.method(getStripe().refunds, "create", async (params, options) => {
+    calls.push({ params, options });
+    return { id: "re_second", status: "succeeded", amount: params.amount };
+  });
+  const appointment = await createAppointment();
+  const appointmentId = appointment._id.toString();
+
+  await deliver(fakeEvent("checkout.session.completed", appointmentId, 5000));
+  // checkout finished in a second tab as well
+  const { status } = await deliver(
+    fakeEvent("checkout.session.completed", appointmentId, 5000, {
+      id: "cs_test_second",
+      payment_intent: "pi_test_second",
+    })
+  );
+
+  assert.equal(status, 200);
+
+  // the appointment keeps its first payment
+  const updated = await appointmentModel.findById(appointmentId);
+  assert.equal(updated.stripePaymentIntentId, paymentIntentId(appointmentId));
+  assert.equal(updated.refundStatus, "none");
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].params.payment_intent, "pi_test_second");
+  assert.equal(calls[0].params.amount, 5000);
+  assert.equal(calls[0].options.idempotencyKey, "refund-pi_test_second");
+
+  const charges = await transactionModel.find({ type: "charge" });
+  assert.deepEqual(charges.map((charge) => charge.providerRef).sort(), [
+    paymentIntentId(appointmentId),
+    "pi_test_second",
+  ]);
+
+  const refund = await transactionModel.findOne({ type: "refund" });
+  assert.equal(refund.status, "succeeded");
+  assert.equal(refund.amount, 50);
+  assert.equal(refund.providerRef, "re_second");
+});
+
+test("payment arriving after a cancellation is recorded and refunded", async (t) => {
+  // answers like the Stripe API would for a refund still being processed
+  t.mock.method(getStripe().refunds, "create", async (params) => ({
+    id: "re_late",
+    status: "pending",
+    amount: params.amount,
+  }));
+
+  const appointment = await createAppointment({
+    cancelled: true,
+    cancelledBy: "user",
+    cancelledAt: Date.now(),
+  });
+  const appointmentId = appointment._id.toString();
+
+  const { status } = await deliver(
+    fakeEvent("checkout.session.completed", appointmentId, 5000)
+  );
+
+  assert.equal(status, 200);
+
+  const updated = await appointmentModel.findById(appointmentId);
+  assert.equal(updated.cancelled, true);
+  assert.equal(updated.payment, true);
+  assert.equal(updated.refundStatus, "pending");
+  assert.equal(updated.refundAmount, 50);
+  assert.equal(updated.invoiceNumber, undefined);
+
+  const charge = await transactionModel.findOne({ type: "charge" });
+  assert.equal(charge.status, "succeeded");
+  assert.equal(charge.amount, 50);
+
+  const refund = await transactionModel.findOne({ type: "refund" });
+  assert.equal(refund.status, "pending");
+  assert.equal(refund.amount, 50);
+  assert.equal(refund.providerRef, "re_late");
+});
+
+test("expired checkout sessions are recorded as failures", async () => {
+  const appointment = await createAppointment();
+
+  const { status } = await deliver(
+    fakeEvent("checkout.session.expired", appointment._id.toString(), 5000)
+  );
+
+  assert.equal(status, 200);
+  assert.equal((await appointmentModel.findById(appointment._id)).payment, false);
+
+  const failure = await transactionModel.findOne({ type: "failure" });
+  assert.equal(failure.message, "Checkout session expired");
+});
+
+test("failed payment intents are recorded with the decline reason", async () => {
+  const appointment = await createAppointment();
+
+  const { status } = await deliver(
+    fakeEvent("payment_intent.payment_failed", appointment._id.toString(), 5000)
+  );
+
+  assert.equal(status, 200);
+
+  const failure = await transactionModel.findOne({ type: "failure" });
+  assert.equal(failure.status, "failed");
+  assert.match(failure.message, /card was declined/);
+});
+
+test("refunded charges settle pending refunds", async () => {
+  const appointment = await createAppointment();
+  const appointmentId = appointment._id.toString();
+
+  await deliver(fakeEvent("checkout.session.completed", appointmentId, 5000));
+  await appointmentModel.findByIdAndUpdate(appointmentId, {
+    cancelled: true,
+    refundStatus: "pending",
+    refundAmount: 50,
+  });
+  await transactionModel.create({
+    appointmentId,
+    userId: "user1",
+    docId: "doc1",
+    type: "refund",
+    provider: "stripe",
+    status: "pending",
+    amount: 50,
+    currency: "usd",
+    providerRef: "re_test",
+    date: Date.now(),
+  });
+
+  const { status } = await deliver(
+    fakeEvent("charge.refunded", appointmentId, 5000)
+  );
+
+  assert.equal(status, 200);
+  assert.equal(
+    (await appointmentModel.findById(appointmentId)).refundStatus,
+    "refunded"
+  );
+
+  const refunds = await transactionModel.find({ type: "refund" });
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].status, "succeeded");
+});
+
+test("refunds issued from the Stripe dashboard are added to the ledger", async () => {
+  const appointment = await createAppointment();
+  const appointmentId = appointment._id.toString();
+
+  await deliver(fakeEvent("checkout.session.completed", appointmentId, 5000));
+  await deliver(fakeEvent("charge.refunded", appointmentId, 2000));
+
+  const refunds = await transactionModel.find({ type: "refund" });
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].amount, 20);
+});
+
+test("processing failures answer 500 and leave the event retryable", async () => {
+  const missingId = new mongoose.Types.ObjectId().toString();
+  const event = fakeEvent("checkout.session.completed", missingId, 5000);
+
+  const { status } = await deliver(event);
+
+  assert.equal(status, 500);
+  assert.equal(await webhookEventModel.countDocuments({ _id: event.id }), 0);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateTimeOff } from "../utils/timeOff.js";
+import {
+  getBookableSlots,
+  isBlocked,
+  isSlotInSchedule,
+} from "../utils/schedule.js";
+
+// Monday 6 January 2025, before opening
+const now = new Date(2025, 0, 6, 8, 0);
+const monday = new Date(2025, 0, 6);
+
+const holiday = { fromDate: "2025-01-06", toDate: "2025-01-07" };
+const afternoonOff = {
+  fromDate: "2025-01-08",
+  toDate: "2025-01-08",
+  startTime: "14:00",
+  endTime: "16:00",
+};
+
+test("whole days and time ranges block the slots they overlap", () => {
+  assert.equal(isBlocked([holiday], monday, 10 * 60, 30), true);
+  assert.equal(isBlocked([holiday], new Date(2025, 0, 8), 10 * 60, 30), false);
+
+  const wednesday = new Date(2025, 0, 8);
+  assert.equal(isBlocked([afternoonOff], wednesday, 13 * 60 + 30, 30), false);
+  assert.equal(isBlocked([afternoonOff], wednesday, 13 * 60 + 45, 30), true);
+  assert.equal(isBlocked([afternoonOff], wednesday, 15 * 60 + 30, 30), true);
+  assert.equal(isBlocked([afternoonOff], wednesday, 16 * 60, 30), false);
+});
+
+test("blocked slots can't be listed or booked", () => {
+  const timeOffs = [holiday, afternoonOff];
+  const days = getBookableSlots({}, timeOffs, now);
+
+  assert.deepEqual(days[0].slots, []);
+  assert.deepEqual(days[1].slots, []);
+  assert.ok(days[2].slots.includes("01:30 PM"));
+  assert.ok(!days[2].slots.includes("02:00 PM"));
+  assert.ok(days[2].slots.includes("04:00 PM"));
+
+  const check = (slotDate, slotTime) =>
+    isSlotInSchedule({}, slotDate, slotTime, timeOffs, now);
+  assert.equal(check("6_1_2025", "10:00 AM"), false);
+  assert.equal(check("8_1_2025", "03:00 PM"), false);
+  assert.equal(check("8_1_2025", "04:00 PM"), true);
+});
+
+test("validates time off entries", () => {
+  assert.equal(validateTimeOff(holiday), null);
+  assert.equal(validateTimeOff(afternoonOff), null);
+
+  assert.equal(
+    validateTimeOff({ fromDate: "6/1/2025", toDate: "2025-01-07" }),
+    "Please select valid dates"
+  );
+  assert.equal(
+    validateTimeOff({ fromDate: "2025-01-07", toDate: "2025-01-06" }),
+    "End date must be on or after the start date"
+  );
+  assert.equal(
+    validateTimeOff({ ...afternoonOff, endTime: "" }),
+    "Please select a valid time range"
+  );
+  assert.equal(
+    validateTimeOff({ ...afternoonOff, startTime: "16:00" }),
+    "Please select a valid time range"
+  );
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDatabase, call } from "./helpers.js";
+
+const { allTransactions } = await import("../controllers/adminController.js");
+const { default: transactionModel } = await import(
+  "../models/transactionModel.js"
+);
+
+const createTransaction = (fields = {}) =>
+  transactionModel.create({
+    appointmentId: "appointment1",
+    userId: "user1",
+    docId: "doc1",
+    type: "charge",
+    provider: "stripe",
+    status: "succeeded",
+    amount: 50,
+    currency: "usd",
+    date: Date.now(),
+    ...fields,
+  });
+
+useTestDatabase();
+
+test("filters the ledger by the given fields", async () => {
+  await createTransaction();
+  await createTransaction({ type: "refund", docId: "doc2" });
+
+  const result = await call(allTransactions, {
+    query: { type: "refund", docId: "doc2" },
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.total, 1);
+  assert.equal(result.transactions[0].type, "refund");
+});
+
+test("object filters are matched as text, not as operators", async () => {
+  await createTransaction();
+  await createTransaction({ docId: "doc2" });
+
+  const result = await call(allTransactions, {
+    query: { docId: { $ne: "doc1" }, status: { $exists: true } },
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.total, 0);
+});
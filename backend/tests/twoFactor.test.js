@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { authenticator } from "otplib";
+import { useTestDatabase, createAdmin } from "./helpers.js";
+
+const {
+  beginEnrollment,
+  completeEnrollment,
+  loadAccount,
+  verifySecondFactor,
+} = await import("../utils/twoFactor.js");
+
+// the code the app shows one time step from now, accepted as clock drift
+const nextCode = (secret) =>
+  authenticator.clone({ epoch: Date.now() + 30000 }).generate(secret);
+
+// enrols the admin and returns the recovery codes and the secret
+const enrol = async (admin) => {
+  const { secret } = await beginEnrollment("admin", admin);
+  const pending = await loadAccount("admin", admin._id);
+  const recoveryCodes = await completeEnrollment(
+    "admin",
+    pending,
+    authenticator.generate(secret)
+  );
+  return { secret, recoveryCodes };
+};
+
+useTestDatabase();
+
+test("enrolment needs a code from the app before 2FA is on", async () => {
+  const admin = await createAdmin();
+  const { secret, qrCode } = await beginEnrollment("admin", admin);
+
+  assert.match(qrCode, /^data:image\/png;base64,/);
+
+  let pending = await loadAccount("admin", admin._id);
+  assert.equal(pending.twoFactor.enabled, false);
+  assert.equal(pending.twoFactor.pendingSecret, secret);
+  assert.equal(await completeEnrollment("admin", pending, "12345"), null);
+
+  const recoveryCodes = await completeEnrollment(
+    "admin",
+    pending,
+    authenticator.generate(secret)
+  );
+  assert.equal(recoveryCodes.length, 10);
+
+  pending = await loadAccount("admin", admin._id);
+  assert.equal(pending.twoFactor.enabled, true);
+  assert.equal(pending.twoFactor.secret, secret);
+  assert.equal(pending.twoFactor.pendingSecret, "");
+  // only hashes are stored
+  assert.ok(!pending.twoFactor.recoveryCodes.includes(recoveryCodes[0]));
+});
+
+test("an authenticator code signs in once", async () => {
+  const admin = await createAdmin();
+  const { secret } = await enrol(admin);
+  const account = await loadAccount("admin", admin._id);
+
+  const next = nextCode(secret);
+  assert.equal(await verifySecondFactor("admin", account, next), true);
+  assert.equal(await verifySecondFactor("admin", account, next), false);
+});
+
+test("a recovery code is used up by signing in", async () => {
+  const admin = await createAdmin();
+  const { recoveryCodes } = await enrol(admin);
+  const account = await loadAccount("admin", admin._id);
+
+  assert.equal(
+    await verifySecondFactor("admin", account, "aaaaa-bbbbb"),
+    false
+  );
+
+  // dashes, spaces and case don't matter
+  const typed = ` ${recoveryCodes[0].replace("-", "").toUpperCase()} `;
+  assert.equal(await verifySecondFactor("admin", account, typed), true);
+  assert.equal(
+    await verifySecondFactor("admin", account, recoveryCodes[0]),
+    false
+  );
+
+  const remaining = await loadAccount("admin", admin._id);
+  assert.equal(remaining.twoFactor.recoveryCodes.length, 9);
+});
+
+test("nothing is accepted before enrolment", async () => {
+  const admin = await createAdmin();
+  const account = await loadAccount("admin", admin._id);
+
+  assert.equal(await verifySecondFactor("admin", account, "123456"), false);
+  assert.equal(await verifySecondFactor("admin", account, undefined), false);
+});
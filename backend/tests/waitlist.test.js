@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  useTestDatabase,
+  captureMail,
+  call,
+  tomorrow,
+  createDoctor,
+  createUser,
+} from "./helpers.js";
+
+const { acceptWaitlistOffer } = await import(
+  "../controllers/userController.js"
+);
+const { releaseSlotToWaitlist } = await import("../utils/waitlist.js");
+const { default: doctorModel } = await import("../models/doctorModel.js");
+const { default: waitlistModel } = await import("../models/waitlistModel.js");
+const { default: appointmentModel } = await import(
+  "../models/appointmentModel.js"
+);
+const { formatSlotDate, toIsoDate } = await import("../utils/schedule.js");
+
+const sent = captureMail();
+
+const accept = (body) => call(acceptWaitlistOffer, { body });
+
+// a patient waiting for any slot with the doctor tomorrow
+const joinWaitlist = async (doctor) => {
+  const user = await createUser();
+  const day = toIsoDate(tomorrow());
+  const entry = await waitlistModel.create({
+    userId: user._id.toString(),
+    docId: doctor._id.toString(),
+    fromDate: day,
+    toDate: day,
+    date: Date.now(),
+  });
+  return { user, entry };
+};
+
+useTestDatabase();
+
+test("a released slot is held for the waiting patient, who is emailed", async () => {
+  const doctor = await createDoctor();
+  const { entry } = await joinWaitlist(doctor);
+  const slotDate = formatSlotDate(tomorrow());
+
+  const offered = await releaseSlotToWaitlist(
+    doctor._id.toString(),
+    slotDate,
+    "10:00 AM"
+  );
+
+  assert.equal(offered._id.toString(), entry._id.toString());
+  assert.equal(offered.status, "offered");
+  assert.equal(offered.offer.slotTime, "10:00 AM");
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "patient@test.com");
+  assert.match(sent[0].text, /Dr\. Test/);
+  assert.match(sent[0].text, /\/my-appointments/);
+});
+
+test("offers can't be accepted once the doctor is deactivated", async () => {
+  const doctor = await createDoctor();
+  const { user } = await joinWaitlist(doctor);
+  const slotDate = formatSlotDate(tomorrow());
+
+  const offered = await releaseSlotToWaitlist(
+    doctor._id.toString(),
+    slotDate,
+    "10:00 AM"
+  );
+  await doctorModel.findByIdAndUpdate(doctor._id, { active: false });
+
+  const result = await accept({
+    userId: user._id.toString(),
+    waitlistId: offered._id.toString(),
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.message, "Doctor not available");
+  assert.equal(await appointmentModel.countDocuments({}), 0);
+  assert.equal((await waitlistModel.findById(offered._id)).status, "offered");
+});
+
+test("accepting an offer books the held slot", async () => {
+  const doctor = await createDoctor();
+  const { user } = await joinWaitlist(doctor);
+  const slotDate = formatSlotDate(tomorrow());
+
+  const offered = await releaseSlotToWaitlist(
+    doctor._id.toString(),
+    slotDate,
+    "10:00 AM"
+  );
+
+  const result = await accept({
+    userId: user._id.toString(),
+    waitlistId: offered._id.toString(),
+  });
+
+  assert.equal(result.success, true);
+  const appointment = await appointmentModel.findOne({});
+  assert.equal(appointment.slotDate, slotDate);
+  assert.equal(appointment.slotTime, "10:00 AM");
+  assert.equal((await waitlistModel.findById(offered._id)).status, "booked");
+});
+
+test("a failed booking keeps the offer and its slot", async (t) => {
+  const doctor = await createDoctor();
+  const { user } = await joinWaitlist(doctor);
+  const slotDate = formatSlotDate(tomorrow());
+
+  const offered = await releaseSlotToWaitlist(
+    doctor._id.toString(),
+    slotDate,
+    "10:00 AM"
+  );
+  await doctorModel.findByIdAndUpdate(doctor._id, {
+    slots_booked: { [slotDate]: ["10:00 AM"] },
+  });
+  t.mock.method(appointmentModel.prototype, "save", async () => {
+    throw new Error("Write failed");
+  });
+
+  const result = await accept({
+    userId: user._id.toString(),
+    waitlistId: offered._id.toString(),
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.message, "Write failed");
+  assert.equal((await waitlistModel.findById(offered._id)).status, "offered");
+  const held = await doctorModel.findById(doctor._id);
+  assert.deepEqual(held.slots_booked[slotDate], ["10:00 AM"]);
+});
@@ -0,0 +1,126 @@
+import { formatSlotDate } from "./schedule.js";
+
+// slotDate is stored as "d_m_yyyy", which can't be compared as a range, so
+// a date range is matched against the list of days it covers
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2024-10-05" -> Date at local midnight, or null
+const parseIsoDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return null;
+  const date = new Date(value + "T00:00:00");
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(date.getDate() + days);
+  return result;
+};
+
+// Every slotDate from..to, both inclusive. Returns null when the range is
+// longer than MAX_RANGE_DAYS.
+const slotDatesBetween = (from, to) => {
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  if (days > MAX_RANGE_DAYS) return null;
+
+  const slotDates = [];
+  for (let i = 0; i < days; i++) {
+    slotDates.push(formatSlotDate(addDays(from, i)));
+  }
+  return slotDates;
+};
+
+// Case-insensitive match on part of a name as typed in by the user
+const nameMatch = (value) => ({
+  $regex: value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+  $options: "i",
+});
+
+// Mongo filter for the appointment list and export query parameters:
+//   status   upcoming (not started yet) | completed | cancelled |
+//            unpaid (not cancelled)
+//   payment  paid | unpaid
+//   docId, userId
+//   doctor, patient  part of the doctor's or patient's name
+//   from/to  "yyyy-mm-dd" appointment days, both inclusive; a missing end
+//            is taken as the longest range allowed from the other one
+// Returns { filter }, or { message } for parameters that can't be used.
+const buildAppointmentFilter = (query = {}, now = Date.now()) => {
+  const filter = {};
+
+  if (query.status === "upcoming") {
+    filter.cancelled = false;
+    filter.isCompleted = false;
+    filter.slotStart = { $gt: now };
+  } else if (query.status === "completed") {
+    filter.isCompleted = true;
+  } else if (query.status === "cancelled") {
+    filter.cancelled = true;
+  } else if (query.status === "unpaid") {
+    filter.cancelled = false;
+    filter.payment = false;
+  } else if (query.status) {
+    return { message: "Invalid status filter" };
+  }
+
+  if (query.payment === "paid") {
+    filter.payment = true;
+  } else if (query.payment === "unpaid") {
+    filter.payment = false;
+  } else if (query.payment) {
+    return { message: "Invalid payment filter" };
+  }
+
+  if (query.docId) filter.docId = String(query.docId);
+  if (query.userId) filter.userId = String(query.userId);
+  const doctor = String(query.doctor || "").trim();
+  const patient = String(query.patient || "").trim();
+  if (doctor) filter["docData.name"] = nameMatch(doctor);
+  if (patient) filter["userData.name"] = nameMatch(patient);
+
+  if (query.from || query.to) {
+    let from = parseIsoDate(query.from);
+    let to = parseIsoDate(query.to);
+    if ((query.from && !from) || (query.to && !to)) {
+      return { message: "Invalid date filter" };
+    }
+    if (!from) from = addDays(to, 1 - MAX_RANGE_DAYS);
+    if (!to) to = addDays(from, MAX_RANGE_DAYS - 1);
+    if (to < from) {
+      return { message: "End date must be after the start date" };
+    }
+
+    const slotDates = slotDatesBetween(from, to);
+    if (!slotDates) {
+      return {
+        message: `Date range can be at most ${MAX_RANGE_DAYS} days`,
+      };
+    }
+    filter.slotDate = { $in: slotDates };
+  }
+
+  return { filter };
+};
+
+// Sort for the same query parameters:
+//   sort   booked (when the appointment was made, the default) |
+//          date (when it takes place)
+//   order  desc (the default) | asc
+// Returns { sort }, or { message } for an unknown option.
+const buildAppointmentSort = (query = {}) => {
+  const field = { booked: "date", date: "slotStart" }[query.sort || "booked"];
+  if (!field) {
+    return { message: "Invalid sort option" };
+  }
+  if (query.order && !["asc", "desc"].includes(query.order)) {
+    return { message: "Invalid sort order" };
+  }
+
+  const direction = query.order === "asc" ? 1 : -1;
+  // many appointments share a slot time, _id keeps pages from overlapping
+  return { sort: { [field]: direction, _id: direction } };
+};
+
+export { MAX_RANGE_DAYS, buildAppointmentFilter, buildAppointmentSort };
@@ -0,0 +1,97 @@
+import auditLogModel from "../models/auditLogModel.js";
+import userModel from "../models/userModel.js";
+import doctorModel from "../models/doctorModel.js";
+
+// Never copied into the log: secrets, and the bulky snapshots and slot maps
+// that change with every booking
+const HIDDEN_FIELDS = [
+  "_id",
+  "__v",
+  "password",
+  "twoFactor",
+  "slots_booked",
+  "userData",
+  "docData",
+];
+
+const toPlain = (record) => {
+  if (!record) return null;
+  const plain =
+    typeof record.toObject === "function" ? record.toObject() : { ...record };
+  for (const field of HIDDEN_FIELDS) delete plain[field];
+  // ObjectIds and subdocuments become plain JSON values
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top level fields that differ between two versions of a record, as
+// { before, after } holding only those fields
+const diffRecords = (before, after) => {
+  const oldValues = toPlain(before);
+  const newValues = toPlain(after);
+  if (!oldValues || !newValues) {
+    return { before: oldValues, after: newValues };
+  }
+
+  const changes = { before: {}, after: {} };
+  const fields = new Set([
+    ...Object.keys(oldValues),
+    ...Object.keys(newValues),
+  ]);
+  for (const field of fields) {
+    if (JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field])) {
+      changes.before[field] = oldValues[field] ?? null;
+      changes.after[field] = newValues[field] ?? null;
+    }
+  }
+  return changes;
+};
+
+const actorNames = {
+  user: (id) => userModel.findById(id).select("name"),
+  doctor: (id) => doctorModel.findById(id).select("name"),
+};
+
+// Appends an audit entry for a change made by the caller of req, whom the
+// auth middlewares identify in req.auth. Routes without a login (sign up,
+// password reset) pass the account as `actor` instead. Like the payment
+// ledger, a failed write is only logged so it never undoes the change.
+const recordAudit = async (
+  req,
+  { action, entity, entityId, before = null, after = null, actor = null }
+) => {
+  try {
+    const { type, id } = actor || req.auth;
+
+    let actorName = "";
+    let role = type;
+    if (type === "admin" && req.admin) {
+      actorName = req.admin.name;
+      role = req.admin.role;
+    } else if (actorNames[type]) {
+      const account = await actorNames[type](id);
+      actorName = account ? account.name : "";
+    }
+
+    return await auditLogModel.create({
+      actorType: type,
+      actorId: String(id),
+      actorName,
+      role,
+      action,
+      entity,
+      entityId: entityId ? String(entityId) : "",
+      ...diffRecords(before, after),
+      ip: req.ip || "",
+      date: Date.now(),
+    });
+  } catch (error) {
+    console.error("❌ Failed to record audit entry:", {
+      action,
+      entityId,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+export { diffRecords, recordAudit };
@@ -0,0 +1,129 @@
+import appointmentModel from "../models/appointmentModel.js";
+import { slotDateTime } from "./schedule.js";
+import { releaseSlotToWaitlist } from "./waitlist.js";
+import { refundAppointment } from "./refunds.js";
+import { releaseCoupon } from "./coupons.js";
+
+// Cancellation policy, configured through env:
+//   CANCELLATION_NOTICE_HOURS  free cancellation up to this many hours before
+//                              the appointment (default 24)
+//   LATE_CANCEL_POLICY         "block" refuses late patient cancellations,
+//                              "fee" allows them and keeps a fee (default block)
+//   LATE_CANCEL_FEE_PERCENT    share of a paid fee kept on late cancellation,
+//                              100 forfeits it entirely (default 100)
+const getCancellationPolicy = () => {
+  const noticeHours = Number(process.env.CANCELLATION_NOTICE_HOURS);
+  const feePercent = Number(process.env.LATE_CANCEL_FEE_PERCENT);
+
+  return {
+    noticeHours:
+      Number.isFinite(noticeHours) && noticeHours >= 0 ? noticeHours : 24,
+    lateCancelPolicy:
+      process.env.LATE_CANCEL_POLICY === "fee" ? "fee" : "block",
+    lateCancelFeePercent:
+      Number.isFinite(feePercent) && feePercent >= 0 && feePercent <= 100
+        ? feePercent
+        : 100,
+  };
+};
+
+// Last moment the patient can cancel for free, as a timestamp
+const getCancellationCutoff = (
+  appointment,
+  policy = getCancellationPolicy()
+) => {
+  const start = slotDateTime(appointment.slotDate, appointment.slotTime);
+  if (!start) return null;
+  return start.getTime() - policy.noticeHours * 60 * 60 * 1000;
+};
+
+// Decides whether cancelledBy ("user", "doctor" or "admin") may cancel the
+// appointment now and what it costs. Only patients are bound by the notice
+// window; cancellations by the clinic are always free.
+const evaluateCancellation = (appointment, cancelledBy, now = Date.now()) => {
+  if (appointment.cancelled) {
+    return { allowed: false, message: "Appointment already cancelled" };
+  }
+  if (appointment.isCompleted) {
+    return {
+      allowed: false,
+      message: "Completed appointments can't be cancelled",
+    };
+  }
+
+  const policy = getCancellationPolicy();
+  const cutoff = getCancellationCutoff(appointment, policy);
+  const late = cancelledBy === "user" && cutoff !== null && now > cutoff;
+
+  if (!late) {
+    return { allowed: true, late: false, fee: 0 };
+  }
+
+  if (policy.lateCancelPolicy === "block") {
+    return {
+      allowed: false,
+      message: `Appointments can only be cancelled up to ${policy.noticeHours} hours in advance`,
+    };
+  }
+
+  const fee = appointment.payment
+    ? Math.round(appointment.amount * policy.lateCancelFeePercent) / 100
+    : 0;
+
+  return { allowed: true, late: true, fee };
+};
+
+// The one cancellation path shared by the user, doctor and admin handlers.
+// Applies the policy, marks the appointment, releases its slot and refunds
+// what was paid.
+const cancelWithPolicy = async (appointment, cancelledBy) => {
+  const decision = evaluateCancellation(appointment, cancelledBy);
+  if (!decision.allowed) {
+    return { success: false, message: decision.message };
+  }
+
+  // Only the request that actually flips the flag releases the slot
+  const cancelled = await appointmentModel.findOneAndUpdate(
+    { _id: appointment._id, cancelled: false, isCompleted: false },
+    {
+      cancelled: true,
+      cancelledBy,
+      cancelledAt: Date.now(),
+      lateCancellation: decision.late,
+      cancellationFee: decision.fee,
+    },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    return { success: false, message: "Appointment already cancelled" };
+  }
+
+  // Releasing doctor's time slot, waitlisted patients get it first
+  await releaseSlotToWaitlist(
+    appointment.docId,
+    appointment.slotDate,
+    appointment.slotTime
+  );
+
+  // a cancelled booking no longer counts against the coupon's limits
+  await releaseCoupon(cancelled.couponCode, cancelled.userId);
+
+  // Paid appointments get their fee back, minus any late cancellation fee
+  const refunded = await refundAppointment(cancelled);
+
+  return {
+    success: true,
+    message: decision.fee
+      ? `Appointment Cancelled, a late cancellation fee of ${decision.fee} applies`
+      : "Appointment Cancelled",
+    appointment: refunded,
+  };
+};
+
+export {
+  getCancellationPolicy,
+  getCancellationCutoff,
+  evaluateCancellation,
+  cancelWithPolicy,
+};
@@ -0,0 +1,143 @@
+import couponModel from "../models/couponModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { toIsoDate } from "./schedule.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const normalizeCode = (code) =>
+  typeof code === "string" ? code.trim().toUpperCase() : "";
+
+// Returns an error message for invalid coupon settings, or null
+const validateCoupon = ({
+  code,
+  type,
+  value,
+  expiryDate,
+  maxUses,
+  maxUsesPerUser,
+}) => {
+  if (!/^[A-Z0-9_-]{3,20}$/.test(normalizeCode(code))) {
+    return "Code must be 3-20 letters, digits, - or _";
+  }
+  if (!["percent", "fixed"].includes(type)) {
+    return "Invalid discount type";
+  }
+
+  const amount = Number(value);
+  if (!(amount > 0) || (type === "percent" && amount > 100)) {
+    return type === "percent"
+      ? "Percent discount must be between 0 and 100"
+      : "Discount must be greater than 0";
+  }
+
+  if (expiryDate && !ISO_DATE.test(expiryDate)) {
+    return "Invalid expiry date";
+  }
+
+  for (const limit of [maxUses, maxUsesPerUser]) {
+    if (limit !== undefined && limit !== "" && !(Number(limit) >= 0)) {
+      return "Usage limits must be 0 or more";
+    }
+  }
+
+  return null;
+};
+
+// Checks a coupon against a booking and prices it. Returns
+// { discount, amount } or { message } when the coupon can't be used.
+const evaluateCoupon = async (coupon, docData, userId, now = new Date()) => {
+  if (!coupon || !coupon.active) {
+    return { message: "Invalid coupon code" };
+  }
+  if (coupon.expiryDate && coupon.expiryDate < toIsoDate(now)) {
+    return { message: "Coupon has expired" };
+  }
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+    return { message: "Coupon usage limit reached" };
+  }
+  if (coupon.docIds.length && !coupon.docIds.includes(docData._id.toString())) {
+    return { message: "Coupon is not valid for this doctor" };
+  }
+  if (
+    coupon.specialities.length &&
+    !coupon.specialities.includes(docData.speciality)
+  ) {
+    return { message: "Coupon is not valid for this speciality" };
+  }
+
+  if (coupon.maxUsesPerUser) {
+    const used = await appointmentModel.countDocuments({
+      userId,
+      couponCode: coupon.code,
+      cancelled: false,
+    });
+    if (used >= coupon.maxUsesPerUser) {
+      return { message: "You have already used this coupon" };
+    }
+  }
+
+  const fee = docData.fees;
+  const discount =
+    coupon.type === "percent"
+      ? Math.round(fee * coupon.value) / 100
+      : Math.min(coupon.value, fee);
+
+  return { discount, amount: Math.round((fee - discount) * 100) / 100 };
+};
+
+// Counts one use of the coupon by the patient. False when the last use,
+// overall or of the patient, was taken by a concurrent booking or the
+// coupon was disabled in the meantime.
+const redeemCoupon = async (coupon, userId) => {
+  const userUses = `userUses.${userId}`;
+  const redeemed = await couponModel.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $and: [
+        {
+          $or: [
+            { maxUses: 0 },
+            { $expr: { $lt: ["$usedCount", "$maxUses"] } },
+          ],
+        },
+        {
+          $or: [
+            { maxUsesPerUser: 0 },
+            {
+              $expr: {
+                $lt: [{ $ifNull: [`$${userUses}`, 0] }, "$maxUsesPerUser"],
+              },
+            },
+          ],
+        },
+      ],
+    },
+    { $inc: { usedCount: 1, [userUses]: 1 } }
+  );
+  return Boolean(redeemed);
+};
+
+// Gives back the patient's use of a coupon whose booking failed or was
+// cancelled
+const releaseCoupon = async (code, userId) => {
+  if (!code) return;
+  await couponModel.updateOne(
+    { code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  // bookings from before uses were counted per patient have no entry
+  const userUses = `userUses.${userId}`;
+  await couponModel.updateOne(
+    { code, [userUses]: { $gt: 0 } },
+    { $inc: { [userUses]: -1 } }
+  );
+};
+
+export {
+  normalizeCode,
+  validateCoupon,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
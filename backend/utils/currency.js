@@ -0,0 +1,19 @@
+const zeroDecimalCurrencies = [
+  "bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga",
+  "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf",
+];
+
+// Currency every payment is taken in, lower-cased the way Stripe expects it
+const paymentCurrency = () => (process.env.CURRENCY || "usd").toLowerCase();
+
+// Payment gateways expect amounts in the smallest currency unit, except for
+// zero-decimal currencies like JPY
+const toMinorUnits = (amount, currency) =>
+  zeroDecimalCurrencies.includes(currency.toLowerCase())
+    ? Math.round(amount)
+    : Math.round(amount * 100);
+
+const fromMinorUnits = (amount, currency) =>
+  zeroDecimalCurrencies.includes(currency.toLowerCase()) ? amount : amount / 100;
+
+export { paymentCurrency, toMinorUnits, fromMinorUnits };
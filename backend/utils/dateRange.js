@@ -0,0 +1,35 @@
+// Start of a "yyyy-mm-dd" day in server time, or NaN when the value isn't
+// a real day in that format
+const parseDay = (value) => {
+  if (typeof value !== "string") return NaN;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return NaN;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  // days like 2024-02-30 would roll over into the next month
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return NaN;
+  return date.getTime();
+};
+
+// Condition on a timestamp field for the from / to query parameters of the
+// admin lists and exports. Both are "yyyy-mm-dd" days in server time and
+// inclusive. Returns null when neither is given and throws when one isn't a
+// valid day.
+const timestampRange = ({ from, to } = {}) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) range.$gte = parseDay(from);
+  if (to) {
+    const end = new Date(parseDay(to));
+    end.setDate(end.getDate() + 1);
+    range.$lte = end.getTime() - 1;
+  }
+  if (Object.values(range).some(Number.isNaN)) {
+    throw new Error("Dates must be given as yyyy-mm-dd");
+  }
+  return range;
+};
+
+export { timestampRange };
@@ -0,0 +1,158 @@
+import path from "path";
+import validator from "validator";
+import userModel from "../models/userModel.js";
+import { REQUIRED_FIELDS, parseAddress, validateDoctor } from "./doctors.js";
+
+const MAX_IMPORT_ROWS = 500;
+
+// Imported doctors without a photo get the same default picture as patients,
+// unless DOCTOR_PLACEHOLDER_IMAGE points somewhere else
+const placeholderImage = () =>
+  process.env.DOCTOR_PLACEHOLDER_IMAGE ||
+  userModel.schema.path("image").defaultValue;
+
+// RFC 4180 style CSV: quoted fields may hold commas, line breaks and "" for
+// a literal quote. Returns the rows as arrays of strings.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // blank lines are skipped rather than reported as empty doctors
+  return rows.filter((item) => item.some((value) => value.trim()));
+};
+
+// Reads the uploaded .csv or .json file into one object per doctor.
+// Returns { rows }, or { message } when the file can't be used.
+const parseImportFile = (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+  let rows;
+  if (extension === ".json") {
+    try {
+      rows = JSON.parse(text);
+    } catch (error) {
+      return { message: "File is not valid JSON" };
+    }
+    if (!Array.isArray(rows)) {
+      return { message: "JSON file must hold an array of doctors" };
+    }
+  } else if (extension === ".csv") {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) {
+      return { message: "CSV file is empty" };
+    }
+    const columns = header.map((name) => name.trim().toLowerCase());
+    rows = lines.map((line) =>
+      Object.fromEntries(
+        columns.map((column, index) => [column, line[index] ?? ""])
+      )
+    );
+  } else {
+    return { message: "Upload a .csv or .json file" };
+  }
+
+  if (!rows.length) {
+    return { message: "File has no doctors" };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return {
+      message: `A file can hold at most ${MAX_IMPORT_ROWS} doctors`,
+    };
+  }
+  return { rows };
+};
+
+// Checks every row with the add doctor rules, plus emails already taken by
+// a doctor (existingEmails) or by an earlier row of the same file.
+// Returns one { row, name, email, error, doctor } report entry per row,
+// where doctor holds the cleaned details of valid rows.
+const validateImportRows = (rows, existingEmails = []) => {
+  const seenEmails = new Set(
+    existingEmails.map((email) => email.toLowerCase())
+  );
+
+  return rows.map((item, index) => {
+    const values = item && typeof item === "object" ? item : {};
+    const clean = (value) =>
+      typeof value === "string" ? value.trim() : value;
+
+    const details = Object.fromEntries(
+      REQUIRED_FIELDS.map((field) => [field, clean(values[field])])
+    );
+    const image = clean(values.image);
+    const entry = {
+      row: index + 1,
+      name: typeof details.name === "string" ? details.name : "",
+      email: typeof details.email === "string" ? details.email : "",
+      error: validateDoctor(details),
+    };
+
+    if (
+      !entry.error &&
+      image &&
+      !validator.isURL(String(image), {
+        protocols: ["http", "https"],
+        require_protocol: true,
+      })
+    ) {
+      entry.error = "Image must be a http(s) URL";
+    }
+
+    if (!entry.error) {
+      const email = entry.email.toLowerCase();
+      if (seenEmails.has(email)) {
+        entry.error = "Doctor with this email already exists";
+      }
+      seenEmails.add(email);
+    }
+
+    if (!entry.error) {
+      entry.doctor = {
+        ...details,
+        fees: Number(details.fees),
+        address: parseAddress(details.address),
+        image: image || placeholderImage(),
+      };
+    }
+
+    return entry;
+  });
+};
+
+export { MAX_IMPORT_ROWS, parseCsv, parseImportFile, validateImportRows };
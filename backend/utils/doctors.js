@@ -0,0 +1,60 @@
+import validator from "validator";
+
+const REQUIRED_FIELDS = [
+  "name",
+  "email",
+  "password",
+  "speciality",
+  "degree",
+  "experience",
+  "about",
+  "fees",
+  "address",
+];
+
+// Address as sent by the admin panel, a JSON string or an object like
+// { line1, line2 }. Returns null when it isn't a JSON object.
+const parseAddress = (address) => {
+  let parsed = address;
+  if (typeof address === "string") {
+    try {
+      parsed = JSON.parse(address);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return null;
+  }
+  return parsed;
+};
+
+// Returns an error message for invalid new doctor details, or null when
+// they are valid. Used by the add doctor form and the bulk import.
+const validateDoctor = (doctor) => {
+  const missing = REQUIRED_FIELDS.filter((field) => !doctor[field]);
+  if (missing.length) {
+    return `Missing Details: ${missing.join(", ")}`;
+  }
+
+  if (!validator.isEmail(String(doctor.email))) {
+    return "Please enter a valid email";
+  }
+
+  if (String(doctor.password).length < 8) {
+    return "Password must be at least 8 characters long";
+  }
+
+  const fees = Number(doctor.fees);
+  if (!Number.isFinite(fees) || fees < 0) {
+    return "Fees must be a positive number";
+  }
+
+  if (!parseAddress(doctor.address)) {
+    return "Invalid address format. Please provide a valid JSON object";
+  }
+
+  return null;
+};
+
+export { REQUIRED_FIELDS, parseAddress, validateDoctor };
@@ -0,0 +1,79 @@
+// Email confirmation for patient accounts. Registration sends a link to the
+// frontend; until it is opened the account can sign in but not book.
+// Links expire after EMAIL_VERIFICATION_TTL_HOURS (24 by default).
+
+import crypto from "crypto";
+import userModel from "../models/userModel.js";
+import emailVerificationModel from "../models/emailVerificationModel.js";
+import { sendMail } from "./mailer.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const verificationTtl = () =>
+  (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Accounts created before verification existed have no emailVerified value
+// and are treated as confirmed
+const isEmailVerified = (user) => user.emailVerified !== false;
+
+// Emails a new verification link, replacing any earlier one
+const sendVerificationEmail = async (user) => {
+  const userId = user._id.toString();
+
+  await emailVerificationModel.updateMany(
+    { userId, used: false },
+    { used: true }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await emailVerificationModel.create({
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: Date.now() + verificationTtl(),
+    date: Date.now(),
+  });
+
+  const appUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+  const link = `${appUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      "Thanks for signing up. Please confirm your email address so you can book appointments:\n\n" +
+      `${link}\n\n` +
+      "If you did not create an account you can ignore this email.",
+  });
+};
+
+// Returns an error message, or null once the address is confirmed
+const verifyEmailToken = async (token) => {
+  if (!token || typeof token !== "string") {
+    return "Invalid or expired verification link";
+  }
+
+  const verification = await emailVerificationModel.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      used: false,
+      expiresAt: { $gt: Date.now() },
+    },
+    { used: true }
+  );
+  if (!verification) {
+    return "Invalid or expired verification link";
+  }
+
+  const user = await userModel.findByIdAndUpdate(verification.userId, {
+    emailVerified: true,
+  });
+  if (!user) {
+    return "Account not found";
+  }
+
+  return null;
+};
+
+export { isEmailVerified, sendVerificationEmail, verifyEmailToken };
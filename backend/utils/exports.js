@@ -0,0 +1,96 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const contentTypes = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Spreadsheet apps run cells starting with these as formulas, so values
+// typed in by patients are prefixed with a quote to keep them as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string" && FORMULA_PREFIX.test(value)) {
+    return "'" + value;
+  }
+  return value;
+};
+
+const csvField = (value) => {
+  const text = String(toCell(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvField).join(",") + "\r\n";
+
+// Writes one row at a time and waits whenever the client is slower than
+// the database, so only the current batch is ever held in memory
+const streamCsv = async (res, columns, rows) => {
+  // the byte order mark makes Excel read the file as UTF-8
+  res.write("\uFEFF" + csvLine(columns.map((column) => column.header)));
+
+  for await (const row of rows) {
+    // leaving the loop closes the cursor once the client has gone
+    if (res.destroyed) break;
+    if (!res.write(csvLine(columns.map((column) => row[column.key])))) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  }
+  res.end();
+};
+
+const streamXlsx = async (res, columns, rows, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(({ header, key, width }) => ({
+    header,
+    key,
+    width: width || 18,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    if (res.destroyed) break;
+    const values = Object.fromEntries(
+      columns.map((column) => [column.key, toCell(row[column.key])])
+    );
+    sheet.addRow(values).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Streams rows to the response as a CSV or XLSX download. rows is any
+// (async) iterable, usually a mongoose cursor mapped to plain objects, and
+// columns lists { header, key, width } in file order.
+const sendExport = async (res, { format, fileName, columns, rows }) => {
+  const extension = EXPORT_FORMATS.includes(format) ? format : "csv";
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader("Content-Type", contentTypes[extension]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName}-${date}.${extension}"`
+  );
+
+  if (extension === "xlsx") {
+    await streamXlsx(res, columns, rows, fileName);
+  } else {
+    await streamCsv(res, columns, rows);
+  }
+};
+
+// Maps every document of a cursor through toRow while iterating
+async function* mapCursor(cursor, toRow) {
+  for await (const doc of cursor) {
+    yield toRow(doc);
+  }
+}
+
+export { EXPORT_FORMATS, csvLine, mapCursor, sendExport };
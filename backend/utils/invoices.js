@@ -0,0 +1,243 @@
+import PDFDocument from "pdfkit";
+import appointmentModel from "../models/appointmentModel.js";
+import counterModel from "../models/counterModel.js";
+import transactionModel from "../models/transactionModel.js";
+import { paymentCurrency } from "./currency.js";
+
+// Clinic and tax details printed on invoices, configured per deployment
+const getInvoiceSettings = () => ({
+  prefix: process.env.INVOICE_PREFIX || "INV",
+  clinicName: process.env.CLINIC_NAME || "Prescripto",
+  clinicAddress: process.env.CLINIC_ADDRESS || "",
+  clinicPhone: process.env.CLINIC_PHONE || "",
+  clinicEmail: process.env.CLINIC_EMAIL || "",
+  taxId: process.env.CLINIC_TAX_ID || "",
+  taxLabel: process.env.TAX_LABEL || "Tax",
+  taxRate: Number(process.env.TAX_RATE) || 0,
+});
+
+const months = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getDate()} ${months[date.getMonth()]} ${date.getFullYear()}`;
+};
+
+const formatSlot = (slotDate, slotTime) => {
+  const [day, month, year] = slotDate.split("_");
+  return `${day} ${months[Number(month) - 1]} ${year}, ${slotTime}`;
+};
+
+const formatMoney = (amount, currency) =>
+  `${currency.toUpperCase()} ${amount.toFixed(2)}`;
+
+const paymentMethod = (appointment) => {
+  if (appointment.paymentProvider === "offline" && appointment.offlinePayment) {
+    const { method, receiptNumber } = appointment.offlinePayment;
+    return `${method.toUpperCase()} at the clinic (receipt ${receiptNumber})`;
+  }
+  if (appointment.paymentProvider === "coupon") {
+    return `Covered by coupon ${appointment.couponCode}`;
+  }
+  if (appointment.paymentProvider === "razorpay") {
+    return "Online (Razorpay)";
+  }
+  return "Online card payment (Stripe)";
+};
+
+// how long a claim on an appointment's number holds before it counts as
+// abandoned by a request that died half way
+const CLAIM_TIMEOUT = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Waits for the request holding the claim to finish numbering
+const waitForInvoiceNumber = async (appointmentId) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const appointment = await appointmentModel.findById(appointmentId);
+    if (!appointment || appointment.invoiceNumber) return appointment;
+    await sleep(100);
+  }
+  throw new Error("The invoice is still being prepared, try again");
+};
+
+// Gives a paid appointment the next invoice number. Numbers are handed out
+// once per appointment, so an invoice keeps its number on every download.
+// The appointment is claimed before the counter moves, so two requests
+// racing for it can't both take a number and leave a gap.
+const assignInvoiceNumber = async (appointment) => {
+  if (appointment.invoiceNumber) {
+    return appointment;
+  }
+
+  const claimedAt = Date.now();
+  const claimed = await appointmentModel.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      invoiceNumber: { $exists: false },
+      $or: [
+        { invoiceClaimedAt: { $exists: false } },
+        { invoiceClaimedAt: { $lt: claimedAt - CLAIM_TIMEOUT } },
+      ],
+    },
+    { invoiceClaimedAt: claimedAt }
+  );
+
+  if (!claimed) {
+    // another request is numbering it
+    return waitForInvoiceNumber(appointment._id);
+  }
+
+  const { prefix } = getInvoiceSettings();
+  const counter = await counterModel.findOneAndUpdate(
+    { _id: "invoice" },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  const invoiceNumber = `${prefix}-${String(counter.seq).padStart(6, "0")}`;
+
+  const numbered = await appointmentModel.findOneAndUpdate(
+    { _id: appointment._id, invoiceClaimedAt: claimedAt },
+    {
+      invoiceNumber,
+      invoiceDate: Date.now(),
+      $unset: { invoiceClaimedAt: 1 },
+    },
+    { new: true }
+  );
+
+  // the claim timed out and another request took the appointment over
+  return numbered || waitForInvoiceNumber(appointment._id);
+};
+
+// Splits a tax inclusive total into the fee table rows. A coupon discount
+// is taken off the full fee, both shown before tax.
+const invoiceAmounts = (total, discount, taxRate) => {
+  const net = (amount) => amount / (1 + taxRate / 100);
+
+  return {
+    fee: net(total + discount),
+    discount: net(discount),
+    tax: total - net(total),
+  };
+};
+
+// Streams the invoice of a paid appointment as a PDF into res
+const sendInvoice = async (appointment, res) => {
+  const invoiced = await assignInvoiceNumber(appointment);
+  if (!invoiced) {
+    throw new Error("Appointment not found");
+  }
+  const settings = getInvoiceSettings();
+
+  const charge = await transactionModel.findOne({
+    appointmentId: invoiced._id.toString(),
+    type: "charge",
+    status: "succeeded",
+  });
+  const total = charge ? charge.amount : invoiced.amount;
+  const currency = charge ? charge.currency : paymentCurrency();
+
+  // fees are charged tax inclusive, the tax line shows the included share
+  const amounts = invoiceAmounts(
+    total,
+    invoiced.discount || 0,
+    settings.taxRate
+  );
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${invoiced.invoiceNumber}.pdf"`
+  );
+
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(res);
+
+  // clinic header
+  doc.fontSize(20).text(settings.clinicName);
+  doc.fontSize(9).fillColor("#555555");
+  [
+    settings.clinicAddress,
+    settings.clinicPhone,
+    settings.clinicEmail,
+    settings.taxId && `Tax ID: ${settings.taxId}`,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+
+  doc.moveDown(2).fillColor("#000000");
+  doc.fontSize(16).text("INVOICE");
+  doc.fontSize(10);
+  doc.text(`Invoice number: ${invoiced.invoiceNumber}`);
+  doc.text(`Invoice date: ${formatDate(invoiced.invoiceDate)}`);
+
+  doc.moveDown();
+  doc.fontSize(11).text("Billed to", { underline: true });
+  doc.fontSize(10).text(invoiced.userData.name);
+  if (invoiced.userData.email) doc.text(invoiced.userData.email);
+  if (invoiced.userData.address) {
+    [invoiced.userData.address.line1, invoiced.userData.address.line2]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+  }
+
+  doc.moveDown();
+  doc.fontSize(11).text("Appointment", { underline: true });
+  doc.fontSize(10);
+  doc.text(`Doctor: ${invoiced.docData.name}`);
+  if (invoiced.docData.speciality) {
+    doc.text(`Speciality: ${invoiced.docData.speciality}`);
+  }
+  doc.text(`Slot: ${formatSlot(invoiced.slotDate, invoiced.slotTime)}`);
+
+  // fee table
+  doc.moveDown(1.5);
+  const left = 50;
+  const right = 545;
+  const amountX = 400;
+  const row = (label, value, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? "Helvetica-Bold" : "Helvetica");
+    doc.text(label, left, y, { width: amountX - left - 10 });
+    doc.text(value, amountX, y, { width: right - amountX, align: "right" });
+    doc.moveDown(0.5);
+  };
+
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.5);
+  row(
+    `Consultation with ${invoiced.docData.name}`,
+    formatMoney(amounts.fee, currency)
+  );
+  if (amounts.discount > 0) {
+    row(
+      `Discount (coupon ${invoiced.couponCode})`,
+      `- ${formatMoney(amounts.discount, currency)}`
+    );
+  }
+  row(
+    `${settings.taxLabel} (${settings.taxRate}%)`,
+    formatMoney(amounts.tax, currency)
+  );
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.5);
+  row("Total paid", formatMoney(total, currency), { bold: true });
+
+  if (invoiced.refundStatus === "refunded" && invoiced.refundAmount) {
+    row("Refunded", `- ${formatMoney(invoiced.refundAmount, currency)}`);
+  }
+
+  doc.font("Helvetica").moveDown();
+  doc.text(`Payment method: ${paymentMethod(invoiced)}`, left);
+
+  doc.moveDown(3).fontSize(8).fillColor("#777777");
+  doc.text(`Thank you for choosing ${settings.clinicName}.`, left);
+
+  doc.end();
+};
+
+export { assignInvoiceNumber, invoiceAmounts, sendInvoice };
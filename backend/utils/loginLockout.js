@@ -0,0 +1,57 @@
+// Progressive lockout after repeated failed logins to one account. After
+// LOGIN_LOCKOUT_THRESHOLD failures in a row (5 by default) the account is
+// locked for LOGIN_LOCKOUT_MINUTES (1 by default), doubling with every
+// further failure up to 24 hours. A successful login clears the count.
+//
+// Accounts are keyed by email, so unknown addresses are throttled as well
+// and the lockout doesn't reveal which emails are registered.
+
+import { getRateLimitStore, formatWait } from "./rateLimitStore.js";
+
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// failures are forgotten a day after the last one, or after the lock ends
+const FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const lockoutKey = (accountType, email) =>
+  `lockout:${accountType}:${String(email).trim().toLowerCase()}`;
+
+const threshold = () => Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+const baseLockMs = () =>
+  (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 1) * 60 * 1000;
+
+// Returns an error message while the account is locked, otherwise null
+const checkLoginLockout = async (accountType, email) => {
+  const record = await getRateLimitStore().get(lockoutKey(accountType, email));
+  if (!record || record.lockedUntil <= Date.now()) return null;
+
+  return `Too many failed attempts, please try again in ${formatWait(
+    record.lockedUntil - Date.now()
+  )}`;
+};
+
+const recordLoginFailure = async (accountType, email) => {
+  const store = getRateLimitStore();
+  const key = lockoutKey(accountType, email);
+  const record = (await store.get(key)) || { failures: 0, lockedUntil: 0 };
+
+  const failures = record.failures + 1;
+  let lockedUntil = record.lockedUntil;
+  if (failures >= threshold()) {
+    const lockMs = Math.min(
+      baseLockMs() * 2 ** (failures - threshold()),
+      MAX_LOCK_MS
+    );
+    lockedUntil = Date.now() + lockMs;
+  }
+
+  const ttl = Math.max(lockedUntil - Date.now(), 0) + FAILURE_TTL_MS;
+  await store.set(key, { failures, lockedUntil }, ttl);
+};
+
+const clearLoginFailures = async (accountType, email) => {
+  await getRateLimitStore().delete(lockoutKey(accountType, email));
+};
+
+export { checkLoginLockout, recordLoginFailure, clearLoginFailures };
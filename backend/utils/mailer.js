@@ -0,0 +1,56 @@
+// Outgoing email goes through a transport:
+//
+//   send({ from, to, subject, text })   delivers one message
+//
+// MAIL_TRANSPORT picks the transport. "console" (the default) prints each
+// message to the server log and "file" writes it to MAIL_DIR, so links in
+// emails can be followed in development without a mail server. Real
+// providers plug in with registerTransport().
+
+import fs from "fs/promises";
+import path from "path";
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log(
+      `📧 To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}`
+    );
+  },
+};
+
+const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_DIR || "mail";
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.txt`;
+    const content = `To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}\n`;
+    await fs.writeFile(path.join(dir, fileName), content);
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || "no-reply@prescripto.com",
+    to,
+    subject,
+    text,
+  });
+};
+
+export { registerTransport, sendMail };
@@ -0,0 +1,139 @@
+import appointmentModel from "../models/appointmentModel.js";
+import transactionModel from "../models/transactionModel.js";
+import { paymentCurrency } from "./currency.js";
+import { markAppointmentPaid } from "./paymentProviders.js";
+
+const OFFLINE_METHODS = ["cash", "card", "upi", "other"];
+
+// Returns an error message for invalid front-desk payment details, or null.
+// An amount other than the appointment's fee is only taken when staff
+// confirm it with amountOverride, so a typo can't end up on the invoice.
+const validateOfflinePayment = (
+  { method, amount, receiptNumber, staffName, amountOverride },
+  fee
+) => {
+  if (!OFFLINE_METHODS.includes(method)) {
+    return "Invalid payment method";
+  }
+  if (!(Number(amount) > 0)) {
+    return "Enter the amount received";
+  }
+  if (Math.abs(Number(amount) - fee) >= 0.005 && amountOverride !== true) {
+    return `Amount received doesn't match the fee of ${fee}`;
+  }
+  if (!receiptNumber || !String(receiptNumber).trim()) {
+    return "Receipt number is required";
+  }
+  if (!staffName || !String(staffName).trim()) {
+    return "Staff member is required";
+  }
+  return null;
+};
+
+// Marks an appointment paid at the clinic and writes the charge to the same
+// ledger as online payments. recordedBy is "admin" or "doctor".
+const recordOfflinePayment = async (appointment, details, recordedBy) => {
+  if (appointment.cancelled) {
+    return { success: false, message: "Appointment is cancelled" };
+  }
+  if (appointment.payment) {
+    return { success: false, message: "Appointment is already paid" };
+  }
+
+  const errorMessage = validateOfflinePayment(details, appointment.amount);
+  if (errorMessage) {
+    return { success: false, message: errorMessage };
+  }
+
+  const receiptNumber = String(details.receiptNumber).trim();
+  const staffName = String(details.staffName).trim();
+  const amount = Number(details.amount);
+
+  const receiptUsed = await transactionModel.exists({
+    provider: "offline",
+    providerRef: receiptNumber,
+  });
+  if (receiptUsed) {
+    return { success: false, message: "Receipt number already used" };
+  }
+
+  const paid = await markAppointmentPaid("offline", {
+    appointmentId: appointment._id,
+    update: {
+      offlinePayment: {
+        method: details.method,
+        amount,
+        receiptNumber,
+        staffName,
+        recordedBy,
+        recordedAt: Date.now(),
+      },
+    },
+    charge: {
+      amount,
+      currency: paymentCurrency(),
+      providerRef: receiptNumber,
+      message:
+        amount === appointment.amount
+          ? `${details.method} payment recorded by ${staffName}`
+          : `${details.method} payment recorded by ${staffName}, ` +
+            `differs from the fee of ${appointment.amount}`,
+    },
+  });
+
+  if (!paid) {
+    return { success: false, message: "Appointment is already paid" };
+  }
+  if (paid.cancelled) {
+    // cancelled while the payment was being entered
+    return {
+      success: false,
+      message: "Appointment was cancelled, hand the payment back",
+    };
+  }
+
+  return { success: true, message: "Payment Recorded" };
+};
+
+// Closes a refund that cancelling an appointment paid at the clinic left
+// pending, once staff have handed the money back
+const settleOfflineRefund = async (appointment, staffName) => {
+  if (!staffName || !String(staffName).trim()) {
+    return { success: false, message: "Staff member is required" };
+  }
+
+  const settled = await appointmentModel.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      paymentProvider: "offline",
+      refundStatus: "pending",
+    },
+    { refundStatus: "refunded" },
+    { new: true }
+  );
+  if (!settled) {
+    return { success: false, message: "No clinic refund is pending" };
+  }
+
+  await transactionModel.updateMany(
+    {
+      appointmentId: settled._id.toString(),
+      provider: "offline",
+      type: "refund",
+      status: "pending",
+    },
+    {
+      status: "succeeded",
+      message: `Refunded at the clinic by ${String(staffName).trim()}`,
+    }
+  );
+
+  return { success: true, message: "Refund marked as paid out" };
+};
+
+export {
+  OFFLINE_METHODS,
+  validateOfflinePayment,
+  recordOfflinePayment,
+  settleOfflineRefund,
+};
@@ -0,0 +1,109 @@
+// Forgotten password recovery for patients and doctors. A reset request
+// emails a link to the app the account signs in to; the token in the link
+// works once and expires after PASSWORD_RESET_TTL_MINUTES (60 by default).
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import userModel from "../models/userModel.js";
+import doctorModel from "../models/doctorModel.js";
+import passwordResetModel from "../models/passwordResetModel.js";
+import { sendMail } from "./mailer.js";
+import { revokeAllSessions } from "./sessions.js";
+
+// Patients reset on the frontend, doctors on the admin panel
+const accounts = {
+  user: {
+    model: userModel,
+    appUrl: () => process.env.FRONTEND_URL || "http://localhost:5173",
+  },
+  doctor: {
+    model: doctorModel,
+    appUrl: () => process.env.ADMIN_URL || "http://localhost:5174",
+  },
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const resetTtl = () =>
+  (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Emails a reset link when the address belongs to an account. Unknown
+// addresses are ignored silently so the form cannot be used to find accounts.
+const requestPasswordReset = async (accountType, email) => {
+  const { model, appUrl } = accounts[accountType];
+  const account = await model.findOne({ email });
+  if (!account) return;
+
+  const accountId = account._id.toString();
+
+  // only the newest link stays valid
+  await passwordResetModel.updateMany(
+    { accountType, accountId, used: false },
+    { used: true }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await passwordResetModel.create({
+    accountType,
+    accountId,
+    tokenHash: hashToken(token),
+    expiresAt: Date.now() + resetTtl(),
+    date: Date.now(),
+  });
+
+  const link = `${appUrl()}/reset-password?token=${token}`;
+  const minutes = Math.round(resetTtl() / 60000);
+
+  await sendMail({
+    to: account.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${account.name},\n\n` +
+      `Use the link below to choose a new password. It expires in ${minutes} minutes and can only be used once.\n\n` +
+      `${link}\n\n` +
+      "If you did not ask to reset your password you can ignore this email.",
+  });
+};
+
+// Returns an error message, or null once the password has been changed
+const completePasswordReset = async (accountType, token, password) => {
+  if (!token || typeof token !== "string") {
+    return "Invalid or expired reset link";
+  }
+  if (!password || password.length < 8) {
+    return "Enter a strong password";
+  }
+
+  // claiming the token first means two submissions cannot both use it
+  const reset = await passwordResetModel.findOneAndUpdate(
+    {
+      accountType,
+      tokenHash: hashToken(token),
+      used: false,
+      expiresAt: { $gt: Date.now() },
+    },
+    { used: true }
+  );
+  if (!reset) {
+    return "Invalid or expired reset link";
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const { model } = accounts[accountType];
+  const account = await model.findByIdAndUpdate(reset.accountId, {
+    password: hashedPassword,
+  });
+  if (!account) {
+    return "Account not found";
+  }
+
+  // whoever knew the old password is signed out everywhere
+  await revokeAllSessions(accountType, reset.accountId);
+
+  return null;
+};
+
+export { requestPasswordReset, completePasswordReset };
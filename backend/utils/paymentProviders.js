@@ -0,0 +1,160 @@
+// Payment providers share one interface:
+//
+//   name, label                      id stored on appointments, display name
+//   createOrder(appointment, opts)   starts a payment, returns what the
+//                                    browser needs to complete it
+//   verifyPayment(payload)           checks a completed payment, returns
+//                                    { appointmentId, update, charge } or null
+//   refund(appointment, amount,      refunds amount in the currency paid,
+//          currency)                 returns { refundId, status, currency }
+//
+// PAYMENT_PROVIDERS lists the ones a deployment offers, e.g.
+// "stripe,razorpay". Stripe alone is the default.
+
+import appointmentModel from "../models/appointmentModel.js";
+import stripeProvider from "./stripeProvider.js";
+import razorpayProvider from "./razorpayProvider.js";
+import { recordTransaction } from "./transactions.js";
+import { assignInvoiceNumber } from "./invoices.js";
+import { refundPayment, refundAppointment } from "./refunds.js";
+
+const providers = {
+  [stripeProvider.name]: stripeProvider,
+  [razorpayProvider.name]: razorpayProvider,
+};
+
+const enabledProviders = () =>
+  (process.env.PAYMENT_PROVIDERS || "stripe")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => providers[name])
+    .map((name) => providers[name]);
+
+// Provider a patient may start a new payment with, or null
+const getEnabledProvider = (name) =>
+  enabledProviders().find((provider) => provider.name === name) || null;
+
+// Any known provider. Refunds use this so payments stay refundable after
+// their provider is disabled.
+const getProvider = (name) => providers[name] || null;
+
+// A payment confirmed after its appointment was cancelled, e.g. a late
+// webhook. The money was still taken and the slot may already belong to
+// someone else, so the charge is recorded and handed straight back.
+// Returns the cancelled appointment, or null when it was already paid.
+const refundLatePayment = async (
+  provider,
+  { appointmentId, update, charge }
+) => {
+  const appointment = await appointmentModel.findOneAndUpdate(
+    { _id: appointmentId, payment: false, cancelled: true },
+    { payment: true, paymentProvider: provider, ...update },
+    { new: true }
+  );
+
+  if (!appointment) {
+    return null;
+  }
+
+  await recordTransaction(appointment, {
+    type: "charge",
+    provider,
+    status: "succeeded",
+    ...charge,
+  });
+
+  console.log("⚠️ Payment arrived after cancellation, refunding:", {
+    appointmentId: appointment._id,
+    provider,
+  });
+
+  // unpaid cancellations carry no fee, so the whole payment goes back;
+  // a failed refund is left as refundStatus "failed" for staff to follow up
+  return refundAppointment(appointment);
+};
+
+// A payment for an appointment that is already paid. The same payment
+// confirmed again is ignored; a different one, e.g. checkout completed in
+// two tabs, was taken as well, so it is recorded and refunded in full.
+// Returns null either way.
+const refundDuplicatePayment = async (
+  provider,
+  { appointmentId, update, charge }
+) => {
+  const appointment = await appointmentModel.findById(appointmentId);
+
+  // payments taken at the desk have no provider to refund through
+  if (!appointment || !getProvider(provider)) {
+    return null;
+  }
+
+  // appointments paid before providers were recorded all went through Stripe
+  const samePayment =
+    (appointment.paymentProvider || "stripe") === provider &&
+    Object.entries(update).every(
+      ([field, value]) => !appointment[field] || appointment[field] === value
+    );
+
+  if (samePayment) {
+    return null;
+  }
+
+  await recordTransaction(appointment, {
+    type: "charge",
+    provider,
+    status: "succeeded",
+    ...charge,
+  });
+
+  console.log("⚠️ Second payment for a paid appointment, refunding:", {
+    appointmentId: appointment._id,
+    provider,
+  });
+
+  await refundPayment(
+    { ...appointment.toObject(), ...update },
+    provider,
+    charge.amount,
+    charge.currency
+  );
+  return null;
+};
+
+// Flips an unpaid, active appointment to paid and records the charge in the
+// ledger. Returns null when the appointment was already paid, so the same
+// payment confirmed twice (webhook and redirect) is only recorded once.
+// Payments for cancelled appointments and second payments are refunded, see
+// refundLatePayment and refundDuplicatePayment.
+const markAppointmentPaid = async (provider, payment) => {
+  const { appointmentId, update, charge } = payment;
+
+  const appointment = await appointmentModel.findOneAndUpdate(
+    { _id: appointmentId, payment: false, cancelled: false },
+    { payment: true, paymentProvider: provider, ...update },
+    { new: true }
+  );
+
+  if (!appointment) {
+    return (
+      (await refundLatePayment(provider, payment)) ||
+      refundDuplicatePayment(provider, payment)
+    );
+  }
+
+  await recordTransaction(appointment, {
+    type: "charge",
+    provider,
+    status: "succeeded",
+    ...charge,
+  });
+
+  // numbering at payment time keeps invoice numbers in payment order
+  return assignInvoiceNumber(appointment);
+};
+
+export {
+  enabledProviders,
+  getEnabledProvider,
+  getProvider,
+  markAppointmentPaid,
+};
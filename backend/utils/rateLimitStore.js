@@ -0,0 +1,82 @@
+// Where rate limit counters and login lockouts are kept. A store has:
+//
+//   increment(key, ttlMs)    adds one to a counter that starts when it is
+//                            first hit and is dropped ttlMs later; returns
+//                            { count, expiresAt }
+//   get(key)                 the value saved under key, or undefined
+//   set(key, value, ttlMs)   saves a value for ttlMs
+//   delete(key)
+//
+// Every method may return a promise. The in-memory store below keeps
+// counters per server process; deployments running several instances can
+// plug in a shared one (e.g. Redis) with setRateLimitStore().
+
+const createMemoryStore = () => {
+  const entries = new Map();
+  let writes = 0;
+
+  // expired entries are swept now and then instead of on a timer, so the
+  // store never keeps the process alive
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const write = (key, entry) => {
+    entries.set(key, entry);
+    writes += 1;
+    if (writes % 1000 === 0) sweep();
+  };
+
+  return {
+    increment: async (key, ttlMs) => {
+      const entry = live(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+      entry.value += 1;
+      write(key, entry);
+      return { count: entry.value, expiresAt: entry.expiresAt };
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? entry.value : undefined;
+    },
+    set: async (key, value, ttlMs) => {
+      write(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+const getRateLimitStore = () => store;
+
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+// "try again in 5 minutes" style wait for error messages
+const formatWait = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  return minutes <= 1 ? "a minute" : `${minutes} minutes`;
+};
+
+export {
+  createMemoryStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  formatWait,
+};
@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import Razorpay from "razorpay";
+import appointmentModel from "../models/appointmentModel.js";
+import { paymentCurrency, toMinorUnits, fromMinorUnits } from "./currency.js";
+
+let client;
+
+// Created on first use so deployments without Razorpay keys can still start
+const getRazorpay = () => {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return client;
+};
+
+const refundStatusFromRazorpay = (status) => {
+  if (status === "processed") return "refunded";
+  if (status === "failed") return "failed";
+  return "pending";
+};
+
+// Creates an order that the Razorpay checkout widget is opened with
+const createOrder = async (appointment) => {
+  const currency = paymentCurrency();
+  const appointmentId = appointment._id.toString();
+
+  const order = await getRazorpay().orders.create({
+    amount: toMinorUnits(appointment.amount, currency),
+    currency: currency.toUpperCase(),
+    receipt: appointmentId,
+    notes: { appointmentId },
+  });
+
+  await appointmentModel.findByIdAndUpdate(appointmentId, {
+    razorpayOrderId: order.id,
+  });
+
+  return {
+    orderId: order.id,
+    keyId: process.env.RAZORPAY_KEY_ID,
+    amount: order.amount,
+    currency: order.currency,
+  };
+};
+
+// Checks the signature the checkout widget hands back after a payment
+const verifyPayment = async ({
+  razorpay_order_id,
+  razorpay_payment_id,
+  razorpay_signature,
+}) => {
+  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+    throw new Error("Missing payment details");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+    .digest("hex");
+
+  if (
+    expected.length !== razorpay_signature.length ||
+    !crypto.timingSafeEqual(
+      Buffer.from(expected),
+      Buffer.from(razorpay_signature)
+    )
+  ) {
+    throw new Error("Invalid payment signature");
+  }
+
+  const order = await getRazorpay().orders.fetch(razorpay_order_id);
+
+  return {
+    appointmentId: order.notes?.appointmentId,
+    update: {
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+    },
+    charge: {
+      amount: fromMinorUnits(order.amount, order.currency),
+      currency: order.currency.toLowerCase(),
+      providerRef: razorpay_payment_id,
+    },
+  };
+};
+
+const refund = async (appointment, amount, currency) => {
+  if (!appointment.razorpayPaymentId) {
+    throw new Error("No Razorpay payment to refund");
+  }
+
+  const result = await getRazorpay().payments.refund(
+    appointment.razorpayPaymentId,
+    {
+      amount: toMinorUnits(amount, currency),
+      notes: { appointmentId: appointment._id.toString() },
+    }
+  );
+
+  return {
+    refundId: result.id,
+    status: refundStatusFromRazorpay(result.status),
+    currency,
+  };
+};
+
+const razorpayProvider = {
+  name: "razorpay",
+  label: "Razorpay",
+  createOrder,
+  verifyPayment,
+  refund,
+};
+
+export default razorpayProvider;
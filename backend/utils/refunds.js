@@ -0,0 +1,140 @@
+import appointmentModel from "../models/appointmentModel.js";
+import transactionModel from "../models/transactionModel.js";
+import { getProvider } from "./paymentProviders.js";
+import { paymentCurrency } from "./currency.js";
+import { recordTransaction } from "./transactions.js";
+
+// appointment refundStatus -> ledger entry status
+const transactionStatus = {
+  refunded: "succeeded",
+  pending: "pending",
+  failed: "failed",
+};
+
+// Sends a refund through the provider that took the payment and records it,
+// or the failure, in the ledger. payment is the appointment with the ids of
+// the payment to refund, currency the one it was paid in. Returns the
+// provider's refund, or null when it failed.
+const refundPayment = async (payment, providerName, amount, currency) => {
+  try {
+    const provider = getProvider(providerName);
+    if (!provider) {
+      throw new Error(`Unknown payment provider ${providerName}`);
+    }
+
+    const refund = await provider.refund(payment, amount, currency);
+
+    console.log("💸 Refund created:", {
+      provider: providerName,
+      refundId: refund.refundId,
+      status: refund.status,
+    });
+
+    await recordTransaction(payment, {
+      type: "refund",
+      provider: providerName,
+      status: transactionStatus[refund.status],
+      amount,
+      currency: refund.currency,
+      providerRef: refund.refundId,
+    });
+
+    return refund;
+  } catch (error) {
+    console.error("❌ Refund failed:", {
+      appointmentId: payment._id,
+      error: error.message,
+    });
+    await recordTransaction(payment, {
+      type: "failure",
+      provider: providerName,
+      status: "failed",
+      amount,
+      currency,
+      message: `Refund failed: ${error.message}`,
+    });
+    return null;
+  }
+};
+
+// Amount and currency an appointment was paid with. The ledger charge is
+// what was actually taken, e.g. a different amount confirmed at the desk or
+// a currency setting changed since. A second payment of the appointment is
+// charged later, so the first charge is the one that paid it. Appointments
+// paid before the ledger existed fall back to their fee.
+const paidCharge = async (appointment) => {
+  const charge = await transactionModel
+    .findOne({
+      appointmentId: appointment._id.toString(),
+      type: "charge",
+      status: "succeeded",
+    })
+    .sort({ date: 1 });
+
+  return charge
+    ? { amount: charge.amount, currency: charge.currency }
+    : { amount: appointment.amount, currency: paymentCurrency() };
+};
+
+// Returns what was paid for a cancelled appointment minus any late
+// cancellation fee through the provider it was paid with. Never throws:
+// failures are recorded on the appointment as refundStatus "failed" so
+// staff can follow up.
+const refundAppointment = async (appointment) => {
+  if (!appointment.payment) {
+    return appointment;
+  }
+
+  const { amount, currency } = await paidCharge(appointment);
+  const refundAmount =
+    Math.round((amount - (appointment.cancellationFee || 0)) * 100) / 100;
+
+  if (refundAmount <= 0) {
+    return appointment;
+  }
+
+  // claiming the refund so concurrent cancellations can't refund twice
+  const claimed = await appointmentModel.findOneAndUpdate(
+    { _id: appointment._id, refundStatus: { $in: ["none", null] } },
+    { refundStatus: "pending", refundAmount },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return appointment;
+  }
+
+  // appointments paid before providers were recorded all went through Stripe
+  const providerName = claimed.paymentProvider || "stripe";
+
+  // cash and card payments taken at the desk are handed back there
+  if (providerName === "offline") {
+    await recordTransaction(claimed, {
+      type: "refund",
+      provider: providerName,
+      status: "pending",
+      amount: refundAmount,
+      currency,
+      providerRef: claimed.offlinePayment?.receiptNumber || "",
+      message: "To be refunded at the clinic",
+    });
+    return claimed;
+  }
+
+  const refund = await refundPayment(
+    claimed,
+    providerName,
+    refundAmount,
+    currency
+  );
+
+  return appointmentModel.findByIdAndUpdate(
+    claimed._id,
+    refund
+      ? { refundId: refund.refundId, refundStatus: refund.status }
+      : { refundStatus: "failed" },
+    { new: true }
+  );
+};
+
+export { refundPayment, refundAppointment };
@@ -0,0 +1,307 @@
+// Helpers for doctor working-hours schedules and bookable slots.
+//
+// Slot dates use the existing "d_m_yyyy" format and slot times the
+// "hh:mm AM" format the booking page has always stored in slots_booked.
+
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+// Same hours the booking page used to hardcode: every day 10:00 - 21:00
+const DEFAULT_SCHEDULE = {
+  slotDuration: 30,
+  bookingWindowDays: 7,
+  days: DAY_NAMES.map((_, day) => ({
+    day,
+    enabled: true,
+    start: "10:00",
+    end: "21:00",
+    breaks: [],
+  })),
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// "13:30" -> 810
+const toMinutes = (time) => {
+  const match = TIME_PATTERN.exec(time);
+  if (!match) return NaN;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// 810 -> "01:30 PM"
+const formatSlotTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  const period = hours < 12 ? "AM" : "PM";
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${String(displayHours).padStart(2, "0")}:${String(mins).padStart(
+    2,
+    "0"
+  )} ${period}`;
+};
+
+// Accepts "01:30 PM", "1:30 pm" and "13:30", returns minutes since midnight
+const parseSlotTime = (slotTime) => {
+  if (typeof slotTime !== "string") return NaN;
+  const match = /^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/.exec(slotTime.trim());
+  if (!match) return NaN;
+
+  let hours = Number(match[1]);
+  const mins = Number(match[2]);
+  if (mins > 59) return NaN;
+
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return NaN;
+    const isPm = match[3].toUpperCase() === "PM";
+    hours = (hours % 12) + (isPm ? 12 : 0);
+  } else if (hours > 23) {
+    return NaN;
+  }
+
+  return hours * 60 + mins;
+};
+
+// Canonical form of a slot time, or null when it cannot be parsed
+const normalizeSlotTime = (slotTime) => {
+  const minutes = parseSlotTime(slotTime);
+  return Number.isNaN(minutes) ? null : formatSlotTime(minutes);
+};
+
+const formatSlotDate = (date) =>
+  date.getDate() + "_" + (date.getMonth() + 1) + "_" + date.getFullYear();
+
+// "5_10_2024" -> Date at local midnight, or null
+const parseSlotDate = (slotDate) => {
+  if (typeof slotDate !== "string") return null;
+  const parts = slotDate.split("_").map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return null;
+
+  const [day, month, year] = parts;
+  const date = new Date(year, month - 1, day);
+  if (
+    date.getFullYear() !== year ||
+    date.getMonth() !== month - 1 ||
+    date.getDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+};
+
+// Start of an appointment as a Date, or null for malformed slots
+const slotDateTime = (slotDate, slotTime) => {
+  const date = parseSlotDate(slotDate);
+  const minutes = parseSlotTime(slotTime);
+  if (!date || Number.isNaN(minutes)) return null;
+
+  date.setMinutes(minutes);
+  return date;
+};
+
+// Date -> "2024-10-05", the format time-off ranges are stored in
+const toIsoDate = (date) =>
+  date.getFullYear() +
+  "-" +
+  String(date.getMonth() + 1).padStart(2, "0") +
+  "-" +
+  String(date.getDate()).padStart(2, "0");
+
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Doctors created before schedules existed fall back to the old hours
+const resolveSchedule = (doctor) => {
+  const schedule = doctor && doctor.schedule;
+  if (!schedule || !Array.isArray(schedule.days) || !schedule.days.length) {
+    return DEFAULT_SCHEDULE;
+  }
+  return schedule;
+};
+
+// Start minutes of every slot the schedule offers on the given date
+const generateDaySlots = (schedule, date) => {
+  const dayConfig = schedule.days.find((item) => item.day === date.getDay());
+  if (!dayConfig || !dayConfig.enabled) return [];
+
+  const duration = schedule.slotDuration;
+  const start = toMinutes(dayConfig.start);
+  const end = toMinutes(dayConfig.end);
+  const breaks = (dayConfig.breaks || []).map((item) => ({
+    start: toMinutes(item.start),
+    end: toMinutes(item.end),
+  }));
+
+  const slots = [];
+  for (let time = start; time + duration <= end; time += duration) {
+    const overlapsBreak = breaks.some(
+      (item) => time < item.end && time + duration > item.start
+    );
+    if (!overlapsBreak) {
+      slots.push(time);
+    }
+  }
+  return slots;
+};
+
+// Whether a time-off entry (doctor leave or clinic holiday) covers the slot
+const isBlocked = (timeOffs, date, minutes, duration) => {
+  const isoDate = toIsoDate(date);
+  return timeOffs.some((item) => {
+    if (isoDate < item.fromDate || isoDate > item.toDate) return false;
+    if (!item.startTime || !item.endTime) return true;
+    return (
+      minutes < toMinutes(item.endTime) &&
+      minutes + duration > toMinutes(item.startTime)
+    );
+  });
+};
+
+const isBooked = (slotsBooked, slotDate, minutes) =>
+  Boolean(
+    slotsBooked &&
+      Array.isArray(slotsBooked[slotDate]) &&
+      slotsBooked[slotDate].some((time) => parseSlotTime(time) === minutes)
+  );
+
+// Free slots for every day of the doctor's booking window, starting today
+const getBookableSlots = (doctor, timeOffs = [], now = new Date()) => {
+  const schedule = resolveSchedule(doctor);
+  const today = startOfDay(now);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const days = [];
+
+  for (let i = 0; i < schedule.bookingWindowDays; i++) {
+    const date = new Date(today);
+    date.setDate(today.getDate() + i);
+    const slotDate = formatSlotDate(date);
+
+    const slots = generateDaySlots(schedule, date)
+      .filter((minutes) => i > 0 || minutes > nowMinutes)
+      .filter(
+        (minutes) =>
+          !isBlocked(timeOffs, date, minutes, schedule.slotDuration)
+      )
+      .filter((minutes) => !isBooked(doctor.slots_booked, slotDate, minutes))
+      .map((minutes) => formatSlotTime(minutes));
+
+    days.push({
+      slotDate,
+      weekday: date.getDay(),
+      dayOfMonth: date.getDate(),
+      slots,
+    });
+  }
+
+  return days;
+};
+
+// Whether slotDate/slotTime is a future slot the doctor's schedule publishes
+// and no time-off entry blocks
+const isSlotInSchedule = (
+  doctor,
+  slotDate,
+  slotTime,
+  timeOffs = [],
+  now = new Date()
+) => {
+  const schedule = resolveSchedule(doctor);
+  const date = parseSlotDate(slotDate);
+  const minutes = parseSlotTime(slotTime);
+  if (!date || Number.isNaN(minutes)) return false;
+
+  const today = startOfDay(now);
+  const lastDay = new Date(today);
+  lastDay.setDate(today.getDate() + schedule.bookingWindowDays - 1);
+  if (date < today || date > lastDay) return false;
+
+  if (date.getTime() === today.getTime()) {
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    if (minutes <= nowMinutes) return false;
+  }
+
+  if (isBlocked(timeOffs, date, minutes, schedule.slotDuration)) return false;
+
+  return generateDaySlots(schedule, date).includes(minutes);
+};
+
+// Returns an error message for an invalid schedule, or null when it is valid
+const validateSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== "object") {
+    return "Schedule is required";
+  }
+
+  const slotDuration = Number(schedule.slotDuration);
+  if (
+    !Number.isInteger(slotDuration) ||
+    slotDuration < 5 ||
+    slotDuration > 240
+  ) {
+    return "Slot length must be between 5 and 240 minutes";
+  }
+
+  const bookingWindowDays = Number(schedule.bookingWindowDays);
+  if (
+    !Number.isInteger(bookingWindowDays) ||
+    bookingWindowDays < 1 ||
+    bookingWindowDays > 60
+  ) {
+    return "Booking window must be between 1 and 60 days";
+  }
+
+  if (!Array.isArray(schedule.days)) {
+    return "Weekly hours are required";
+  }
+
+  for (const dayConfig of schedule.days) {
+    const name = DAY_NAMES[dayConfig.day];
+    if (!name) {
+      return "Invalid weekday in schedule";
+    }
+    if (!dayConfig.enabled) continue;
+
+    const start = toMinutes(dayConfig.start);
+    const end = toMinutes(dayConfig.end);
+    if (Number.isNaN(start) || Number.isNaN(end) || start >= end) {
+      return `Invalid working hours for ${name}`;
+    }
+
+    for (const item of dayConfig.breaks || []) {
+      const breakStart = toMinutes(item.start);
+      const breakEnd = toMinutes(item.end);
+      if (
+        Number.isNaN(breakStart) ||
+        Number.isNaN(breakEnd) ||
+        breakStart >= breakEnd ||
+        breakStart < start ||
+        breakEnd > end
+      ) {
+        return `Invalid break for ${name}`;
+      }
+    }
+  }
+
+  const weekdays = schedule.days.map((item) => item.day);
+  if (new Set(weekdays).size !== weekdays.length) {
+    return "Each weekday can only appear once";
+  }
+
+  return null;
+};
+
+export {
+  DAY_NAMES,
+  DEFAULT_SCHEDULE,
+  toMinutes,
+  toIsoDate,
+  formatSlotDate,
+  parseSlotDate,
+  slotDateTime,
+  formatSlotTime,
+  parseSlotTime,
+  normalizeSlotTime,
+  resolveSchedule,
+  generateDaySlots,
+  isBlocked,
+  getBookableSlots,
+  isSlotInSchedule,
+  validateSchedule,
+};
@@ -0,0 +1,138 @@
+// Signed-in sessions for patients, doctors and admin staff.
+//
+// Logging in returns a short-lived access token (ACCESS_TOKEN_TTL, "15m" by
+// default) and a refresh token that is valid for REFRESH_TOKEN_TTL_DAYS (30
+// by default). Every refresh swaps the refresh token for a new one. Showing
+// the swapped out token again revokes the session, as only a copied token
+// would be used twice. A revoked session can't refresh, so logging out ends
+// it on every device once the current access token runs out.
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import userModel from "../models/userModel.js";
+import doctorModel from "../models/doctorModel.js";
+import adminModel from "../models/adminModel.js";
+import sessionModel from "../models/sessionModel.js";
+
+// What each kind of account carries in its access token and whether it may
+// still sign in
+const accounts = {
+  user: {
+    model: userModel,
+    payload: (account) => ({ id: account._id }),
+    canSignIn: () => true,
+  },
+  doctor: {
+    model: doctorModel,
+    payload: (account) => ({ id: account._id }),
+    canSignIn: (account) => account.active,
+  },
+  admin: {
+    model: adminModel,
+    payload: (account) => ({ id: account._id, role: account.role }),
+    canSignIn: (account) => account.active,
+  },
+};
+
+// Two tabs refreshing with the same token at once is not a replay. The
+// slower one is turned away within this window without revoking anything.
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshTtl = () =>
+  (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const signAccessToken = (accountType, account) =>
+  jwt.sign(accounts[accountType].payload(account), process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || "15m",
+  });
+
+// Starts a session for an account that has just proven who it is.
+// Returns { token, refreshToken }.
+const createSession = async (accountType, account, req) => {
+  const refreshToken = newRefreshToken();
+
+  await sessionModel.create({
+    accountType,
+    accountId: account._id.toString(),
+    tokenHash: hashToken(refreshToken),
+    expiresAt: Date.now() + refreshTtl(),
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip || "",
+    lastUsedAt: Date.now(),
+    date: Date.now(),
+  });
+
+  return { token: signAccessToken(accountType, account), refreshToken };
+};
+
+// Swaps a refresh token for a new access and refresh token, or returns null
+// when the session is unknown, expired or revoked
+const refreshSession = async (accountType, refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== "string") return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = newRefreshToken();
+
+  const session = await sessionModel.findOneAndUpdate(
+    {
+      accountType,
+      tokenHash,
+      revoked: false,
+      expiresAt: { $gt: Date.now() },
+    },
+    {
+      tokenHash: hashToken(nextRefreshToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: Date.now(),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const replayed = await sessionModel.findOne({
+      accountType,
+      previousTokenHash: tokenHash,
+    });
+    if (replayed && Date.now() - replayed.lastUsedAt > REUSE_GRACE_MS) {
+      await sessionModel.updateOne({ _id: replayed._id }, { revoked: true });
+    }
+    return null;
+  }
+
+  const { model, canSignIn } = accounts[accountType];
+  const account = await model.findById(session.accountId);
+  if (!account || !canSignIn(account)) {
+    await sessionModel.updateOne({ _id: session._id }, { revoked: true });
+    return null;
+  }
+
+  return {
+    token: signAccessToken(accountType, account),
+    refreshToken: nextRefreshToken,
+  };
+};
+
+// Ends the session the refresh token belongs to
+const revokeSession = async (accountType, refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== "string") return;
+
+  await sessionModel.updateOne(
+    { accountType, tokenHash: hashToken(refreshToken) },
+    { revoked: true }
+  );
+};
+
+// Ends every session of an account, e.g. after its password changed
+const revokeAllSessions = async (accountType, accountId) => {
+  await sessionModel.updateMany(
+    { accountType, accountId: accountId.toString(), revoked: false },
+    { revoked: true }
+  );
+};
+
+export { createSession, refreshSession, revokeSession, revokeAllSessions };
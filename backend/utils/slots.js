@@ -0,0 +1,75 @@
+import doctorModel from "../models/doctorModel.js";
+import appointmentModel from "../models/appointmentModel.js";
+import { parseSlotTime, slotDateTime } from "./schedule.js";
+
+// Spellings a booked time may have in slots_booked: the canonical
+// "02:30 PM" plus the 24h "14:30" older clients stored
+const slotTimeVariants = (slotTime) => {
+  const minutes = parseSlotTime(slotTime);
+  if (Number.isNaN(minutes)) return [slotTime];
+
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mins = String(minutes % 60).padStart(2, "0");
+  return [...new Set([slotTime, `${hours}:${mins}`])];
+};
+
+// Claims a slot with a single conditional update, so two concurrent
+// requests can never both get it. Resolves to false if it was taken.
+const reserveSlot = async (docId, slotDate, slotTime) => {
+  const field = `slots_booked.${slotDate}`;
+
+  const result = await doctorModel.updateOne(
+    { _id: docId, [field]: { $nin: slotTimeVariants(slotTime) } },
+    { $push: { [field]: slotTime } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Gives a slot back without touching the rest of slots_booked
+const releaseSlot = async (docId, slotDate, slotTime) => {
+  const field = `slots_booked.${slotDate}`;
+
+  await doctorModel.updateOne(
+    { _id: docId },
+    { $pull: { [field]: { $in: slotTimeVariants(slotTime) } } }
+  );
+};
+
+// Timestamp stored as an appointment's slotStart, null for malformed slots
+const slotStartTime = (slotDate, slotTime) =>
+  slotDateTime(slotDate, slotTime)?.getTime() ?? null;
+
+// Fills in slotStart for appointments booked before it was stored, so
+// sorting by appointment date covers them too. Runs once at start up;
+// slots that can't be parsed get null and are not retried.
+const backfillSlotStart = async () => {
+  try {
+    const cursor = appointmentModel
+      .find({ slotStart: { $exists: false } })
+      .select(["slotDate", "slotTime"])
+      .lean()
+      .cursor();
+
+    let updates = [];
+    for await (const item of cursor) {
+      updates.push({
+        updateOne: {
+          filter: { _id: item._id },
+          update: { slotStart: slotStartTime(item.slotDate, item.slotTime) },
+        },
+      });
+      if (updates.length === 500) {
+        await appointmentModel.bulkWrite(updates);
+        updates = [];
+      }
+    }
+    if (updates.length) {
+      await appointmentModel.bulkWrite(updates);
+    }
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+export { reserveSlot, releaseSlot, slotStartTime, backfillSlotStart };
@@ -0,0 +1,122 @@
+import Stripe from "stripe";
+import { paymentCurrency, toMinorUnits, fromMinorUnits } from "./currency.js";
+
+let client;
+
+// Created on first use so deployments without Stripe keys can still start
+const getStripe = () => {
+  if (!client) {
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+const refundStatusFromStripe = (status) => {
+  if (status === "succeeded") return "refunded";
+  if (status === "failed" || status === "canceled") return "failed";
+  return "pending";
+};
+
+// Starts a Checkout session; the browser is redirected to Stripe with its id
+const createOrder = async (appointment, { origin }) => {
+  const currency = paymentCurrency();
+  const appointmentId = appointment._id.toString();
+
+  const baseUrl =
+    process.env.NODE_ENV === "production"
+      ? "https://doctor-appointment-frontend-eta.vercel.app"
+      : origin || "http://localhost:5173";
+
+  const session = await getStripe().checkout.sessions.create({
+    payment_method_types: ["card"],
+    line_items: [
+      {
+        price_data: {
+          currency,
+          product_data: {
+            name: `Appointment with ${appointment.docData.name}`,
+            description: `${appointment.slotDate.replace(/_/g, "/")} at ${
+              appointment.slotTime
+            }`,
+          },
+          unit_amount: toMinorUnits(appointment.amount, currency),
+        },
+        quantity: 1,
+      },
+    ],
+    mode: "payment",
+    success_url: `${baseUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${baseUrl}/cancel`,
+    metadata: { appointmentId },
+    // lets payment_intent.payment_failed events find the appointment
+    payment_intent_data: {
+      metadata: { appointmentId },
+    },
+  });
+
+  console.log("✅ Checkout session created:", {
+    sessionId: session.id,
+    metadata: session.metadata,
+  });
+
+  return { orderId: session.id, sessionId: session.id };
+};
+
+// Confirms a Checkout session after the redirect back to the app. The
+// webhook normally gets there first; this covers a delayed webhook.
+const verifyPayment = async ({ sessionId }) => {
+  const session = await getStripe().checkout.sessions.retrieve(sessionId);
+
+  if (session.payment_status !== "paid") {
+    return null;
+  }
+
+  return paidSession(session);
+};
+
+// The appointment update and ledger charge of a paid Checkout session
+const paidSession = (session) => ({
+  appointmentId: session.metadata?.appointmentId,
+  update: {
+    stripeSessionId: session.id,
+    stripePaymentIntentId: session.payment_intent,
+  },
+  charge: {
+    amount: fromMinorUnits(session.amount_total, session.currency),
+    currency: session.currency,
+    providerRef: session.payment_intent || session.id,
+  },
+});
+
+const refund = async (appointment, amount, currency) => {
+  if (!appointment.stripePaymentIntentId) {
+    throw new Error("No Stripe payment intent to refund");
+  }
+
+  const result = await getStripe().refunds.create(
+    {
+      payment_intent: appointment.stripePaymentIntentId,
+      amount: toMinorUnits(amount, currency),
+      metadata: { appointmentId: appointment._id.toString() },
+    },
+    // one refund per payment, a second payment of the appointment has its own
+    { idempotencyKey: `refund-${appointment.stripePaymentIntentId}` }
+  );
+
+  return {
+    refundId: result.id,
+    status: refundStatusFromStripe(result.status),
+    currency,
+  };
+};
+
+const stripeProvider = {
+  name: "stripe",
+  label: "Stripe",
+  createOrder,
+  verifyPayment,
+  refund,
+};
+
+export { getStripe, paidSession };
+export default stripeProvider;
@@ -0,0 +1,37 @@
+import timeOffModel from "../models/timeOffModel.js";
+import { toIsoDate, toMinutes } from "./schedule.js";
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Doctor leave plus clinic-wide holidays that have not ended yet
+const getActiveTimeOffs = async (docId, now = new Date()) => {
+  return timeOffModel
+    .find({
+      docId: { $in: [docId, null] },
+      toDate: { $gte: toIsoDate(now) },
+    })
+    .sort({ fromDate: 1 });
+};
+
+// Returns an error message for an invalid time-off entry, or null
+const validateTimeOff = ({ fromDate, toDate, startTime, endTime }) => {
+  if (
+    !ISO_DATE_PATTERN.test(fromDate || "") ||
+    !ISO_DATE_PATTERN.test(toDate || "")
+  ) {
+    return "Please select valid dates";
+  }
+  if (fromDate > toDate) {
+    return "End date must be on or after the start date";
+  }
+  if (startTime || endTime) {
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+    if (Number.isNaN(start) || Number.isNaN(end) || start >= end) {
+      return "Please select a valid time range";
+    }
+  }
+  return null;
+};
+
+export { getActiveTimeOffs, validateTimeOff };
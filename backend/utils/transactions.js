@@ -0,0 +1,41 @@
+import transactionModel from "../models/transactionModel.js";
+import { paymentCurrency } from "./currency.js";
+
+// Appends a ledger entry for an appointment. Ledger writes must never break
+// the payment flow that triggers them, so errors are only logged.
+const recordTransaction = async (appointment, entry) => {
+  try {
+    return await transactionModel.create({
+      appointmentId: appointment._id.toString(),
+      userId: appointment.userId,
+      docId: appointment.docId,
+      currency: paymentCurrency(),
+      date: Date.now(),
+      ...entry,
+    });
+  } catch (error) {
+    console.error("❌ Failed to record transaction:", {
+      appointmentId: appointment._id,
+      type: entry.type,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+// Net settled revenue of a doctor: succeeded charges minus succeeded refunds
+const settledEarnings = async (docId) => {
+  const transactions = await transactionModel.find({
+    docId,
+    status: "succeeded",
+    type: { $in: ["charge", "refund"] },
+  });
+
+  return transactions.reduce(
+    (total, item) =>
+      item.type === "charge" ? total + item.amount : total - item.amount,
+    0
+  );
+};
+
+export { recordTransaction, settledEarnings };
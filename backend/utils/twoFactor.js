@@ -0,0 +1,203 @@
+// Time-based one-time passwords (TOTP) as a second login step for doctors
+// and admin staff. An account enrols by scanning a QR code into an
+// authenticator app and confirming one code from it, and then gets ten
+// single-use recovery codes for when the phone is lost.
+//
+// TWO_FACTOR_REQUIRED lists the account types that must enrol before they
+// can sign in, e.g. "admin,doctor". Other accounts may enrol from the panel.
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { authenticator } from "otplib";
+import QRCode from "qrcode";
+import doctorModel from "../models/doctorModel.js";
+import adminModel from "../models/adminModel.js";
+import { createSession } from "./sessions.js";
+
+// accept the previous and next code too, phone clocks drift
+authenticator.options = { window: 1 };
+
+const accounts = {
+  doctor: doctorModel,
+  admin: adminModel,
+};
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const RECOVERY_CODE_COUNT = 10;
+
+const isTwoFactorRequired = (accountType) =>
+  (process.env.TWO_FACTOR_REQUIRED || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .includes(accountType);
+
+// Login challenges are signed with their own secret, so they can never be
+// used as access tokens
+const challengeSecret = () => process.env.JWT_SECRET + ":two-factor";
+
+const signChallenge = (accountType, account, purpose) =>
+  jwt.sign({ id: account._id, accountType, purpose }, challengeSecret(), {
+    expiresIn: "5m",
+  });
+
+// An account with its two-factor secrets loaded
+const loadAccount = (accountType, accountId) =>
+  accounts[accountType].findById(accountId).select(SECRET_FIELDS);
+
+// The account a login challenge was issued to, with its two-factor secrets,
+// or null when the challenge is invalid or expired
+const readChallenge = async (accountType, challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, challengeSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.accountType !== accountType || decoded.purpose !== purpose) {
+    return null;
+  }
+
+  return loadAccount(accountType, decoded.id);
+};
+
+// What a correct password leads to: a session straight away, or a challenge
+// for the code step (or for enrolment when 2FA is required but not set up)
+const passwordLoginResult = async (accountType, account, req) => {
+  if (account.twoFactor && account.twoFactor.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: signChallenge(accountType, account, "verify"),
+    };
+  }
+
+  if (isTwoFactorRequired(accountType)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: signChallenge(accountType, account, "setup"),
+    };
+  }
+
+  return createSession(accountType, account, req);
+};
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// "3f9a1-c07be" style codes, easy to copy down
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+// Checks an authenticator code and claims its time step, so the same code
+// can't be used twice
+const checkTotp = async (accountType, account, secret, code) => {
+  const token = String(code).replace(/\s/g, "");
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return false;
+
+  const step = Math.floor(Date.now() / 30000) + delta;
+  const result = await accounts[accountType].updateOne(
+    { _id: account._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+    { "twoFactor.lastUsedStep": step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Starts enrolment with a new secret. Returns the secret and a QR code of it
+// for the authenticator app.
+const beginEnrollment = async (accountType, account) => {
+  const secret = authenticator.generateSecret();
+  await accounts[accountType].updateOne(
+    { _id: account._id },
+    { "twoFactor.pendingSecret": secret }
+  );
+
+  const issuer = process.env.CLINIC_NAME || "Prescripto";
+  const otpauthUrl = authenticator.keyuri(account.email, issuer, secret);
+
+  return { secret, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Turns 2FA on once a code from the app matches the pending secret.
+// Returns the recovery codes, or null for a wrong code.
+const completeEnrollment = async (accountType, account, code) => {
+  const secret = account.twoFactor.pendingSecret;
+  if (!secret || !code) return null;
+  if (!(await checkTotp(accountType, account, secret, code))) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await accounts[accountType].updateOne(
+    { _id: account._id },
+    {
+      "twoFactor.enabled": true,
+      "twoFactor.secret": secret,
+      "twoFactor.pendingSecret": "",
+      "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+      "twoFactor.enabledAt": Date.now(),
+    }
+  );
+
+  return recoveryCodes;
+};
+
+// Checks an authenticator code or a recovery code for an enrolled account.
+// A recovery code is used up by a successful check.
+const verifySecondFactor = async (accountType, account, code) => {
+  if (!account.twoFactor.enabled || !code || typeof code !== "string") {
+    return false;
+  }
+
+  if (/^\d{6}$/.test(code.replace(/\s/g, ""))) {
+    return checkTotp(accountType, account, account.twoFactor.secret, code);
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const result = await accounts[accountType].updateOne(
+    { _id: account._id, "twoFactor.recoveryCodes": codeHash },
+    { $pull: { "twoFactor.recoveryCodes": codeHash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Replaces the recovery codes, returns the new ones
+const resetRecoveryCodes = async (accountType, account) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await accounts[accountType].updateOne(
+    { _id: account._id },
+    { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) }
+  );
+  return recoveryCodes;
+};
+
+const turnOffTwoFactor = async (accountType, accountId) => {
+  await accounts[accountType].updateOne(
+    { _id: accountId },
+    {
+      "twoFactor.enabled": false,
+      "twoFactor.secret": "",
+      "twoFactor.pendingSecret": "",
+      "twoFactor.recoveryCodes": [],
+      "twoFactor.enabledAt": 0,
+    }
+  );
+};
+
+export {
+  isTwoFactorRequired,
+  readChallenge,
+  loadAccount,
+  passwordLoginResult,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  resetRecoveryCodes,
+  turnOffTwoFactor,
+};
@@ -0,0 +1,110 @@
+import waitlistModel from "../models/waitlistModel.js";
+import userModel from "../models/userModel.js";
+import doctorModel from "../models/doctorModel.js";
+import { parseSlotDate, slotDateTime, toIsoDate } from "./schedule.js";
+import { releaseSlot } from "./slots.js";
+import { sendMail } from "./mailer.js";
+
+// How long a waitlisted patient has to accept an offered slot
+const holdMinutes = () => Number(process.env.WAITLIST_HOLD_MINUTES) || 30;
+
+const isFutureSlot = (slotDate, slotTime, now = new Date()) => {
+  const start = slotDateTime(slotDate, slotTime);
+  return Boolean(start && start > now);
+};
+
+// Tells the patient about a held slot, since the hold lapses unless they
+// accept it in time. Mail problems are only logged so they never stop a
+// cancellation from going through.
+const sendOfferEmail = async (entry) => {
+  try {
+    const [user, doctor] = await Promise.all([
+      userModel.findById(entry.userId).select(["name", "email"]),
+      doctorModel.findById(entry.docId).select("name"),
+    ]);
+    if (!user) return;
+
+    const appUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const { slotDate, slotTime, expiresAt } = entry.offer;
+    const expires = new Date(expiresAt).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: "A slot opened up for you",
+      text:
+        `Hi ${user.name},\n\n` +
+        `A slot with ${doctor ? doctor.name : "your doctor"} on ` +
+        `${toIsoDate(parseSlotDate(slotDate))} at ${slotTime} is being held ` +
+        `for you until ${expires}.\n\n` +
+        "Accept it from your appointments page before then:\n\n" +
+        `${appUrl}/my-appointments\n\n` +
+        "If you don't, the slot is offered to the next patient on the waitlist.",
+    });
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// Called whenever an appointment gives its slot back. The slot stays
+// reserved in slots_booked as a hold for the first matching waitlisted
+// patient, or is released to everyone if nobody is waiting for it.
+const releaseSlotToWaitlist = async (docId, slotDate, slotTime) => {
+  if (isFutureSlot(slotDate, slotTime)) {
+    const isoDate = toIsoDate(parseSlotDate(slotDate));
+
+    const entry = await waitlistModel.findOneAndUpdate(
+      {
+        docId,
+        status: "waiting",
+        fromDate: { $lte: isoDate },
+        toDate: { $gte: isoDate },
+      },
+      {
+        status: "offered",
+        offer: {
+          slotDate,
+          slotTime,
+          expiresAt: Date.now() + holdMinutes() * 60 * 1000,
+        },
+      },
+      { sort: { date: 1 }, new: true }
+    );
+
+    if (entry) {
+      await sendOfferEmail(entry);
+      return entry;
+    }
+  }
+
+  await releaseSlot(docId, slotDate, slotTime);
+  return null;
+};
+
+// Expires offers nobody accepted in time and passes their slots on
+const expireWaitlistOffers = async (filter = {}) => {
+  const expired = await waitlistModel.find({
+    ...filter,
+    status: "offered",
+    "offer.expiresAt": { $lte: Date.now() },
+  });
+
+  for (const entry of expired) {
+    // only the request that flips the status passes the slot on
+    const claimed = await waitlistModel.findOneAndUpdate(
+      { _id: entry._id, status: "offered" },
+      { status: "expired" }
+    );
+    if (claimed) {
+      await releaseSlotToWaitlist(
+        entry.docId,
+        entry.offer.slotDate,
+        entry.offer.slotTime
+      );
+    }
+  }
+};
+
+export { releaseSlotToWaitlist, expireWaitlistOffers };
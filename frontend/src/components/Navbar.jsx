@@ -1,52 +1,20 @@
-import React, { useContext, useEffect, useState } from "react";
+import React, { useContext, useState } from "react";
 import { assets } from "../assets/assets";
 import { NavLink, useNavigate } from "react-router-dom";
 import { AppContext } from "../context/AppContext";
-import { jwtDecode } from "jwt-decode";
 
 const Navbar = () => {
   const navigate = useNavigate();
 
-  const { token, setToken, userData } = useContext(AppContext);
+  const { token, userData, logout, logoutAll } = useContext(AppContext);
 
   const [showMenu, setShowMenu] = useState(false);
 
-  // Function to check token expiration
-  const isTokenExpired = (token) => {
-    if (!token) return true;
-    try {
-      const { exp } = jwtDecode(token);
-      return Math.floor(Date.now() / 1000) >= exp; // Correct comparison
-    } catch (error) {
-      return true; // Treat token as expired if an error occurs
-    }
-  };
-
-  useEffect(() => {
-  if (token) {
-    const decoded = jwtDecode(token);
-    console.log("Token:", decoded);
-    console.log("Expires at:", new Date(decoded.exp * 1000));
-  }
-  
-  if (isTokenExpired(token)) {
-    // If token is expired, log the user out and redirect to login
-    logout();
-  }
-}, [token]);
-
-  // Check token expiration when component mounts
-  useEffect(() => {
-    if (isTokenExpired(token)) {
-      // If token is expired, log the user out and redirect to login
-      logout();
-    }
-  }, [token]);
-
-  const logout = () => {
-    setToken(false);
-    localStorage.removeItem("token");
-    navigate("/login")
+  // expired access tokens are refreshed by AppContext, so only an explicit
+  // logout ends the session
+  const onLogout = async (everywhere) => {
+    await (everywhere ? logoutAll() : logout());
+    navigate("/login");
   };
 
   return (
@@ -76,6 +44,14 @@ const Navbar = () => {
         </NavLink>
       </ul>
       <div className="flex items-center gap-4">
+        {token && userData && userData.emailVerified === false && (
+          <p
+            onClick={() => navigate("/my-profile")}
+            className="text-xs text-amber-700 bg-amber-50 border border-amber-200 px-3 py-1 rounded-full cursor-pointer"
+          >
+            Verify your email
+          </p>
+        )}
         {token && userData ? (
           <div className="flex items-center gap-2 cursor-pointer group relative">
             <img className="w-8 rounded-full" src={userData.image} alt="" />
@@ -95,11 +71,17 @@ const Navbar = () => {
                   My Appointments
                 </p>
                 <p
-                  onClick={logout}
+                  onClick={() => onLogout(false)}
                   className="hover:text-black cursor-pointer"
                 >
                   Logout
                 </p>
+                <p
+                  onClick={() => onLogout(true)}
+                  className="hover:text-black cursor-pointer"
+                >
+                  Log out all devices
+                </p>
               </div>
             </div>
           </div>
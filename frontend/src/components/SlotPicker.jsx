@@ -0,0 +1,108 @@
+import { useContext, useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { AppContext } from "../context/AppContext";
+import { toast } from "react-toastify";
+import axios from "axios";
+
+const SlotPicker = ({ docId, buttonLabel, onSubmit }) => {
+  const { backendUrl } = useContext(AppContext);
+  const daysOfWeek = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+  const [docSlots, setDocSlots] = useState([]);
+  const [slotIndex, setSlotIndex] = useState(0);
+  const [slotTime, setSlotTime] = useState("");
+
+  const getAvailableSlots = async () => {
+    try {
+      const { data } = await axios.get(
+        backendUrl + "/api/doctor/slots/" + docId
+      );
+      if (data.success) {
+        // only show days the doctor works on
+        setDocSlots(data.slots.filter((day) => day.slots.length > 0));
+        setSlotIndex(0);
+        setSlotTime("");
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
+
+  const onClickHandler = async () => {
+    if (!docSlots[slotIndex] || !slotTime) {
+      return toast.warn("Please select a time slot");
+    }
+    await onSubmit(docSlots[slotIndex].slotDate, slotTime);
+    getAvailableSlots();
+  };
+
+  useEffect(() => {
+    if (docId) {
+      getAvailableSlots();
+    }
+  }, [docId]);
+
+  return (
+    <div className="font-medium text-gray-700">
+      <p>Booking slots</p>
+      <div className="flex gap-3 items-center w-full overflow-x-scroll mt-4">
+        {docSlots.length > 0 &&
+          docSlots.map((item, index) => (
+            <div
+              onClick={() => {
+                setSlotIndex(index);
+                setSlotTime("");
+              }}
+              className={`text-center py-6 min-w-16 rounded-full cursor-pointer ${
+                slotIndex === index
+                  ? "bg-primary text-white"
+                  : "border border-gray-200"
+              }`}
+              key={index}
+            >
+              <p>{daysOfWeek[item.weekday]}</p>
+              <p>{item.dayOfMonth}</p>
+            </div>
+          ))}
+      </div>
+      <div className="flex items-center gap-3 w-full overflow-x-scroll mt-4">
+        {docSlots.length > 0 &&
+          docSlots[slotIndex].slots.map((time, index) => (
+            <p
+              onClick={() => setSlotTime(time)}
+              className={`text-sm font-light flex-shrink-0 px-5 py-2 rounded-full cursor-pointer ${
+                time === slotTime
+                  ? "bg-primary text-white"
+                  : "text-gray-400 border border-gray-300"
+              }`}
+              key={index}
+            >
+              {time.toLowerCase()}
+            </p>
+          ))}
+      </div>
+      {docSlots.length === 0 && (
+        <p className="text-sm font-light text-gray-500 mt-4">
+          No slots available in the coming days
+        </p>
+      )}
+      <button
+        onClick={onClickHandler}
+        className="bg-primary text-white text-sm font-light px-14 py-3 rounded-full my-6"
+      >
+        {buttonLabel}
+      </button>
+    </div>
+  );
+};
+
+SlotPicker.propTypes = {
+  docId: PropTypes.string,
+  buttonLabel: PropTypes.string.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+};
+
+export default SlotPicker;
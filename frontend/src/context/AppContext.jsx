@@ -1,4 +1,4 @@
-import { createContext, useEffect, useState } from "react";
+import { createContext, useEffect, useRef, useState } from "react";
 import { toast } from "react-toastify";
 import axios from "axios";
 
@@ -12,7 +12,113 @@ const AppContextProvider = (props) => {
   const [token, setToken] = useState(localStorage.getItem('token')? localStorage.getItem('token'):false);
   const [userData,setUserData] = useState(false)
 
-  
+  // Access tokens are short-lived, the refresh token gets new ones
+  const saveSession = (session) => {
+    localStorage.setItem("token", session.token);
+    localStorage.setItem("refreshToken", session.refreshToken);
+    setToken(session.token);
+  };
+
+  const clearSession = () => {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    setToken(false);
+  };
+
+  // requests that fail at the same time share one refresh
+  const refreshing = useRef(null);
+
+  const refreshAccessToken = () => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        const refreshToken = localStorage.getItem("refreshToken");
+        try {
+          const { data } = await axios.post(
+            backendUrl + "/api/user/refresh-token",
+            { refreshToken }
+          );
+          if (data.success) {
+            saveSession(data);
+            return data.token;
+          }
+          // another tab may have refreshed first and stored the new tokens
+          if (localStorage.getItem("refreshToken") !== refreshToken) {
+            const storedToken = localStorage.getItem("token");
+            setToken(storedToken);
+            return storedToken;
+          }
+          clearSession();
+          return null;
+        } catch (error) {
+          console.log(error);
+          return null;
+        } finally {
+          refreshing.current = null;
+        }
+      })();
+    }
+    return refreshing.current;
+  };
+
+  const logout = async () => {
+    try {
+      await axios.post(backendUrl + "/api/user/logout", {
+        refreshToken: localStorage.getItem("refreshToken"),
+      });
+    } catch (error) {
+      console.log(error);
+    }
+    clearSession();
+  };
+
+  const logoutAll = async () => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/user/logout-all",
+        {},
+        { headers: { token } }
+      );
+      if (!data.success) {
+        return toast.error(data.message);
+      }
+      toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      return toast.error(error.message);
+    }
+    clearSession();
+  };
+
+  // retries requests rejected for an expired access token once, after
+  // silently getting a new one
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        if (
+          !error.response ||
+          error.response.status !== 401 ||
+          !config ||
+          config.retried ||
+          !config.headers.has("token")
+        ) {
+          throw error;
+        }
+
+        const newToken = await refreshAccessToken();
+        if (!newToken) {
+          throw error;
+        }
+
+        config.retried = true;
+        config.headers.set("token", newToken);
+        return axios(config);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
 
   const getDoctorsData = async () => {
     try {
@@ -47,15 +153,36 @@ const AppContextProvider = (props) => {
 
   }
 
+  const resendVerification = async () => {
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/user/resend-verification",
+        {},
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
   const value = {
     doctors,
     currencySymbol,
     token,
-    setToken,
+    saveSession,
+    logout,
+    logoutAll,
     backendUrl,
     userData,
     setUserData,
     loadUserProfileData,
+    resendVerification,
     getDoctorsData
 
   };
@@ -3,6 +3,7 @@ import { useNavigate, useParams } from "react-router-dom";
 import { AppContext } from "../context/AppContext";
 import { assets } from "../assets/assets";
 import RelatedDoctors from "../components/RelatedDoctors";
+import SlotPicker from "../components/SlotPicker";
 import { toast } from "react-toastify";
 import axios from "axios";
 
@@ -11,14 +12,14 @@ const Appointment = () => {
   const { docId } = useParams();
   const { doctors, currencySymbol, backendUrl, token, getDoctorsData } =
     useContext(AppContext);
-  const daysOfWeek = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
 
   const navigate = useNavigate();
 
   const [docInfo, setDocInfo] = useState(null);
-  const [docSlots, setDocSlots] = useState([]);
-  const [slotIndex, setSlotIndex] = useState(0);
-  const [slotTime, setSlotTime] = useState("");
+  const [waitlistFrom, setWaitlistFrom] = useState("");
+  const [waitlistTo, setWaitlistTo] = useState("");
+  const [couponInput, setCouponInput] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
 
   const fetchDocInfo = async () => {
     const docInfo = doctors.find((doc) => doc._id === docId);
@@ -26,96 +27,81 @@ const Appointment = () => {
     console.log(docInfo);
   };
 
-  const getAvailableSlots = async () => {
-    if (!docInfo) return; // Exit if docInfo is not yet available
-
-    setDocSlots([]);
-
-    // getting current date
-    let today = new Date();
-
-    for (let i = 0; i < 7; i++) {
-      // getting date with index
-      let currentDate = new Date(today);
-      currentDate.setDate(today.getDate() + i);
-
-      //  setting end time of the date with index
-      let endTime = new Date();
-      endTime.setDate(today.getDate() + i);
-      endTime.setHours(21, 0, 0, 0);
-
-      // setting hours
-      if (today.getDate() === currentDate.getDate()) {
-        currentDate.setHours(
-          currentDate.getHours() > 10 ? currentDate.getHours() + 1 : 10
-        );
-        currentDate.setMinutes(currentDate.getMinutes() > 30 ? 30 : 0);
+  const bookAppointment = async (slotDate, slotTime) => {
+    if (!token) {
+      toast.warn("Login to book appointment");
+      return navigate("/login");
+    }
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/user/book-appointment",
+        {
+          docId,
+          slotDate,
+          slotTime,
+          couponCode: appliedCoupon ? appliedCoupon.couponCode : "",
+        },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getDoctorsData();
+       navigate('/my-appointments')
       } else {
-        currentDate.setHours(10);
-        currentDate.setMinutes(0);
-      }
-
-      let timeSlots = [];
-
-      while (currentDate < endTime) {
-        let formattedTime = currentDate.toLocaleTimeString([], {
-          hour: "2-digit",
-          minute: "2-digit",
-        });
-
-        let day = currentDate.getDate();
-        let month = currentDate.getMonth() + 1;
-        let year = currentDate.getFullYear();
-
-        const slotDate = day + "_" + month + "_" + year;
-        const slotTime = formattedTime;
-
-        const isSlotAvailable =
-          docInfo.slots_booked &&
-          docInfo.slots_booked[slotDate] &&
-          docInfo.slots_booked[slotDate].includes(slotTime)
-            ? false
-            : true;
-
-        if (isSlotAvailable) {
-          //  add slot to array
-          timeSlots.push({
-            datetime: new Date(currentDate),
-            time: formattedTime,
-          });
-        }
-
-        // Increment current time by 30 minutes
-        currentDate.setMinutes(currentDate.getMinutes() + 30);
+        toast.error(data.message);
       }
-
-      setDocSlots((prev) => [...prev, timeSlots]);
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || error.message);
     }
   };
 
-  const bookAppointment = async () => {
+  const applyCoupon = async (event) => {
+    event.preventDefault();
     if (!token) {
-      toast.warn("Login to book appointment");
+      toast.warn("Login to apply a coupon");
       return navigate("/login");
     }
     try {
-      const date = docSlots[slotIndex][0].datetime;
-
-      let day = date.getDate();
-      let month = date.getMonth() + 1;
-      let year = date.getFullYear();
+      const { data } = await axios.post(
+        backendUrl + "/api/user/apply-coupon",
+        { docId, couponCode: couponInput },
+        { headers: { token } }
+      );
+      if (data.success) {
+        setAppliedCoupon(data);
+        toast.success("Coupon applied");
+      } else {
+        setAppliedCoupon(null);
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.message);
+    }
+  };
 
-      const slotDate = day + "_" + month + "_" + year;
+  const removeCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponInput("");
+  };
 
+  const joinWaitlist = async (event) => {
+    event.preventDefault();
+    if (!token) {
+      toast.warn("Login to join the waitlist");
+      return navigate("/login");
+    }
+    try {
       const { data } = await axios.post(
-        backendUrl + "/api/user/book-appointment",
-        { docId, slotDate, slotTime },
+        backendUrl + "/api/user/join-waitlist",
+        { docId, fromDate: waitlistFrom, toDate: waitlistTo || waitlistFrom },
         { headers: { token } }
       );
       if (data.success) {
         toast.success(data.message);
-        getDoctorsData();
-       navigate('/my-appointments')
+        setWaitlistFrom("");
+        setWaitlistTo("");
       } else {
         toast.error(data.message);
       }
@@ -129,15 +115,10 @@ const Appointment = () => {
     fetchDocInfo();
   }, [doctors, docId]);
 
+  // a coupon is priced for one doctor, so it doesn't carry over
   useEffect(() => {
-    if (docInfo) {
-      getAvailableSlots();
-    }
-  }, [docInfo]);
-
-  useEffect(() => {
-    console.log(docSlots);
-  }, [docSlots]);
+    removeCoupon();
+  }, [docId]);
 
   if (!docInfo) {
     return <div>Loading...</div>;
@@ -181,55 +162,105 @@ const Appointment = () => {
           </div>
           <p className="text-gray-500 font-medium mt-4">
             Appointment fee:{" "}
-            <span className="text-gray-600">
+            <span
+              className={
+                appliedCoupon ? "text-gray-400 line-through" : "text-gray-600"
+              }
+            >
               {currencySymbol}
               {docInfo.fees}
             </span>
+            {appliedCoupon && (
+              <span className="text-green-600 ml-2">
+                {currencySymbol}
+                {appliedCoupon.amount}
+              </span>
+            )}
           </p>
         </div>
       </div>
       {/*  ----- Booking slots ------- */}
-      <div className="sm:ml-72 sm:pl-4 mt-4 font-medium text-gray-700">
-        <p>Booking slots</p>
-        <div className="flex gap-3 items-center w-full overflow-x-scroll mt-4">
-          {docSlots.length > 0 &&
-            docSlots.map((item, index) => (
-              <div
-                onClick={() => setSlotIndex(index)}
-                className={`text-center py-6 min-w-16 rounded-full cursor-pointer ${
-                  slotIndex === index
-                    ? "bg-primary text-white"
-                    : "border border-gray-200"
-                }`}
-                key={index}
-              >
-                <p>{item[0] && daysOfWeek[item[0].datetime.getDay()]}</p>
-                <p>{item[0] && item[0].datetime.getDate()}</p>
-              </div>
-            ))}
-        </div>
-        <div className="flex items-center gap-3 w-full overflow-x-scroll mt-4">
-          {docSlots.length > 0 &&
-            docSlots[slotIndex].map((item, index) => (
-              <p
-                onClick={() => setSlotTime(item.time)}
-                className={`text-sm font-light flex-shrink-0 px-5 py-2 rounded-full cursor-pointer ${
-                  item.time === slotTime
-                    ? "bg-primary text-white"
-                    : "text-gray-400 border border-gray-300"
-                }`}
-                key={index}
-              >
-                {item.time.toLowerCase()}
+      <div className="sm:ml-72 sm:pl-4 mt-4">
+        {/* ----- Coupon ------- */}
+        <form
+          onSubmit={applyCoupon}
+          className="flex flex-wrap items-center gap-3 text-sm text-gray-600 mb-4"
+        >
+          <input
+            className="border border-gray-300 rounded px-3 py-2 uppercase"
+            type="text"
+            placeholder="Coupon code"
+            value={couponInput}
+            onChange={(e) => setCouponInput(e.target.value)}
+            disabled={Boolean(appliedCoupon)}
+            required
+          />
+          {appliedCoupon ? (
+            <>
+              <p className="text-green-600">
+                {appliedCoupon.couponCode} saves you {currencySymbol}
+                {appliedCoupon.discount}
               </p>
-            ))}
-        </div>
-        <button
-          onClick={bookAppointment}
-          className="bg-primary text-white text-sm font-light px-14 py-3 rounded-full my-6"
+              <button
+                type="button"
+                onClick={removeCoupon}
+                className="text-red-400"
+              >
+                Remove
+              </button>
+            </>
+          ) : (
+            <button
+              type="submit"
+              className="border border-primary text-primary px-6 py-2 rounded-full hover:bg-primary hover:text-white transition-all"
+            >
+              Apply
+            </button>
+          )}
+        </form>
+
+        <SlotPicker
+          docId={docId}
+          buttonLabel="Book an appointment"
+          onSubmit={bookAppointment}
+        />
+
+        {/* ----- Waitlist ------- */}
+        <form
+          onSubmit={joinWaitlist}
+          className="flex flex-wrap items-end gap-3 text-sm text-gray-600 mb-6"
         >
-          Book an appointment
-        </button>
+          <p className="w-full font-medium text-gray-700">
+            No suitable time? Join the waitlist and we will hold the first
+            slot that frees up for you.
+          </p>
+          <div className="flex flex-col gap-1">
+            <p>From</p>
+            <input
+              className="border border-gray-300 rounded px-3 py-2"
+              type="date"
+              value={waitlistFrom}
+              onChange={(e) => setWaitlistFrom(e.target.value)}
+              required
+            />
+          </div>
+          <div className="flex flex-col gap-1">
+            <p>To</p>
+            <input
+              className="border border-gray-300 rounded px-3 py-2"
+              type="date"
+              min={waitlistFrom}
+              value={waitlistTo}
+              onChange={(e) => setWaitlistTo(e.target.value)}
+            />
+          </div>
+          <button
+            type="submit"
+            className="border border-primary text-primary px-8 py-2 rounded-full hover:bg-primary hover:text-white transition-all"
+          >
+            Join waitlist
+          </button>
+        </form>
       </div>
       {/* Listing Related Doctors */}
       <RelatedDoctors docId={docId} speciality={docInfo.speciality} />
@@ -5,7 +5,7 @@ import { toast } from "react-toastify";
 import { useNavigate } from "react-router-dom";
 
 const Login = () => {
-  const { backendUrl, token, setToken } = useContext(AppContext);
+  const { backendUrl, token, saveSession } = useContext(AppContext);
   const navigate = useNavigate();
 
   const [state, setState] = useState("Sign Up");
@@ -25,8 +25,7 @@ const Login = () => {
           email,
         });
         if (data.success) {
-          localStorage.setItem("token", data.token);
-          setToken(data.token);
+          saveSession(data);
           navigate("/")
         } else {
           toast.error(data.message);
@@ -37,15 +36,14 @@ const Login = () => {
           email,
         });
         if (data.success) {
-          localStorage.setItem("token", data.token);
-          setToken(data.token);
+          saveSession(data);
           navigate("/")
         } else {
           toast.error(data.message);
         }
       }
     } catch (error) {
-      toast.error(error.message);
+      toast.error(error.response?.data?.message || error.message);
     }
   };
 
@@ -98,6 +96,14 @@ const Login = () => {
             required
           />
         </div>
+        {state === "Login" && (
+          <p
+            onClick={() => navigate("/forgot-password")}
+            className="text-primary underline cursor-pointer"
+          >
+            Forgot password?
+          </p>
+        )}
         <button
           type="submit"
           className="bg-primary text-white w-full py-2 rounded-md text-base"
@@ -3,10 +3,33 @@ import { AppContext } from "../context/AppContext";
 import axios from "axios";
 import { toast } from "react-toastify";
 import { loadStripe } from "@stripe/stripe-js";
+import SlotPicker from "../components/SlotPicker";
+import { useSearchParams } from "react-router-dom";
+
+const PAGE_SIZE = 10;
 
 const MyAppointments = () => {
-  const { backendUrl, getDoctorsData, token } = useContext(AppContext);
+  const { backendUrl, getDoctorsData, token, currencySymbol } =
+    useContext(AppContext);
   const [appointments, setAppointments] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [filters, setFilters] = useState({
+    status: "",
+    doctor: "",
+    sort: "booked-desc",
+  });
+  const [rescheduleItem, setRescheduleItem] = useState(null);
+  const [waitlist, setWaitlist] = useState([]);
+  const [cancellationPolicy, setCancellationPolicy] = useState(null);
+  const [paymentProviders, setPaymentProviders] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const refundStatusLabels = {
+    pending: "Refund pending",
+    refunded: "Refunded",
+    failed: "Refund failed, please contact us",
+  };
 
   const months = [
     "",
@@ -31,12 +54,27 @@ const MyAppointments = () => {
 
   const getUserAppointments = async () => {
     try {
+      // the sort choice is split into field and direction, empty filters
+      // are left out
+      const [sort, order] = filters.sort.split("-");
+      const params = Object.fromEntries(
+        Object.entries({
+          ...filters,
+          sort,
+          order,
+          page,
+          limit: PAGE_SIZE,
+        }).filter(([, value]) => value)
+      );
       const { data } = await axios.get(`${backendUrl}/api/user/appointments`, {
         headers: { token },
+        params,
       });
 
       if (data.success) {
-        setAppointments(data.appointments.reverse());
+        setAppointments(data.appointments);
+        setPages(Math.max(data.pages, 1));
+        setCancellationPolicy(data.cancellationPolicy);
       } else {
         toast.error(data.message || "Failed to fetch appointments.");
       }
@@ -46,7 +84,111 @@ const MyAppointments = () => {
     }
   };
 
-  const cancelAppointment = async (appointmentId) => {
+  const getWaitlist = async () => {
+    try {
+      const { data } = await axios.get(`${backendUrl}/api/user/waitlist`, {
+        headers: { token },
+      });
+
+      if (data.success) {
+        setWaitlist(data.waitlist);
+      } else {
+        toast.error(data.message || "Failed to fetch waitlist.");
+      }
+    } catch (error) {
+      console.error("Error fetching waitlist:", error);
+      toast.error("Failed to fetch waitlist.");
+    }
+  };
+
+  const acceptWaitlistOffer = async (waitlistId) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/accept-waitlist-offer`,
+        { waitlistId },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getWaitlist();
+        getUserAppointments();
+        getDoctorsData();
+      } else {
+        toast.error(data.message);
+        getWaitlist();
+      }
+    } catch (error) {
+      console.error("Error accepting offer:", error);
+      toast.error("Failed to accept offer.");
+    }
+  };
+
+  const leaveWaitlist = async (waitlistId) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/leave-waitlist`,
+        { waitlistId },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getWaitlist();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error leaving waitlist:", error);
+      toast.error("Failed to leave waitlist.");
+    }
+  };
+
+  const formatCutoff = (timestamp) =>
+    new Date(timestamp).toLocaleString([], {
+      day: "numeric",
+      month: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  // Shows the patient the cancellation terms before anything is sent
+  const confirmCancellation = (item) => {
+    if (!cancellationPolicy || !item.cancellationCutoff) {
+      return window.confirm("Cancel this appointment?");
+    }
+
+    if (Date.now() <= item.cancellationCutoff) {
+      return window.confirm(
+        `Free cancellation until ${formatCutoff(
+          item.cancellationCutoff
+        )}. Cancel this appointment?`
+      );
+    }
+
+    if (cancellationPolicy.lateCancelPolicy === "block") {
+      toast.error(
+        `Free cancellation ended ${formatCutoff(
+          item.cancellationCutoff
+        )}. Appointments can only be cancelled up to ${
+          cancellationPolicy.noticeHours
+        } hours in advance.`
+      );
+      return false;
+    }
+
+    const feeNote = item.payment
+      ? ` ${cancellationPolicy.lateCancelFeePercent}% of the paid fee will be kept as a late cancellation fee.`
+      : "";
+    return window.confirm(
+      `Free cancellation ended ${formatCutoff(
+        item.cancellationCutoff
+      )}.${feeNote} Cancel anyway?`
+    );
+  };
+
+  const cancelAppointment = async (item) => {
+    if (!confirmCancellation(item)) return;
+
+    const appointmentId = item._id;
     try {
       const { data } = await axios.post(
         `${backendUrl}/api/user/cancel-appointment`,
@@ -66,79 +208,282 @@ const MyAppointments = () => {
     }
   };
 
-  const handlePayOnline = async (appointmentId) => {
-    await initiateStripePayment(appointmentId);
+  const rescheduleAppointment = async (slotDate, slotTime) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/reschedule-appointment`,
+        { appointmentId: rescheduleItem._id, slotDate, slotTime },
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        setRescheduleItem(null);
+        getUserAppointments();
+        getDoctorsData();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error rescheduling appointment:", error);
+      toast.error("Failed to reschedule appointment.");
+    }
+  };
+
+  // The invoice needs the auth header, so it is fetched as a blob and
+  // handed to the browser as a download
+  const downloadInvoice = async (appointmentId) => {
+    try {
+      const response = await axios.get(
+        `${backendUrl}/api/user/appointments/${appointmentId}/invoice`,
+        { headers: { token }, responseType: "blob" }
+      );
+
+      if (response.data.type === "application/json") {
+        const data = JSON.parse(await response.data.text());
+        toast.error(data.message);
+        return;
+      }
+
+      const disposition = response.headers["content-disposition"] || "";
+      const fileName =
+        /filename="(.+)"/.exec(disposition)?.[1] || "invoice.pdf";
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error downloading invoice:", error);
+      toast.error("Failed to download invoice.");
+    }
+  };
+
+  const getPaymentProviders = async () => {
+    try {
+      const { data } = await axios.get(
+        `${backendUrl}/api/user/payment-providers`
+      );
+      if (data.success) {
+        setPaymentProviders(data.providers);
+      }
+    } catch (error) {
+      console.error("Error fetching payment providers:", error);
+    }
   };
 
-  const initiateStripePayment = async (appointmentId) => {
+  const handlePayOnline = async (appointmentId, provider) => {
     try {
       console.log("Initiating payment for appointment:", appointmentId);
-      const response = await axios.post(
-        `${backendUrl}/api/create-checkout-session`,
-        {
-          appointmentId,
-          metadata: { appointmentId },
-        },
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/create-payment`,
+        { appointmentId, provider },
         { headers: { token } }
       );
-      console.log("Full response from backend:", response);
-
-      let sessionId;
-      if (response.data.success && response.data.sessionId) {
-        sessionId = response.data.sessionId;
-      } else if (response.data.id) {
-        // Fallback for the current response format
-        sessionId = response.data.id;
+
+      if (!data.success) {
+        toast.error(data.message || "Payment failed. Please try again.");
+        return;
       }
 
-      if (sessionId) {
-        console.log("Received sessionId:", sessionId);
-
-        const stripe = await loadStripe(
-          "pk_test_51Q444XBVtjmRtQ1vUIRuhU4HOgMMiT6W5OyCT551VgoPpv3UAtXiENBDaaEgRXodQ2pICIJJxziGXZYl0hOwHU1P00KWOUDpry"
-        );
-        if (stripe) {
-          console.log("Stripe loaded successfully, redirecting to checkout");
-          const result = await stripe.redirectToCheckout({ sessionId });
-
-          if (result.error) {
-            console.error("Stripe redirectToCheckout error:", result.error);
-            toast.error("Payment failed. Please try again.");
-          }
-        } else {
-          console.error("Failed to load Stripe");
-          toast.error("Failed to load Stripe. Please try again.");
-        }
+      if (data.provider === "razorpay") {
+        openRazorpayCheckout(data.order);
       } else {
-        console.error(
-          "Backend response doesn't contain a valid sessionId:",
-          response.data
-        );
-        toast.error("Failed to create checkout session. Please try again.");
+        await redirectToStripeCheckout(data.order.sessionId);
       }
     } catch (error) {
       console.error("Payment error:", error);
-      if (error.response) {
-        console.error("Error response from server:", error.response.data);
+      toast.error(
+        error.response?.data?.message || "Payment failed. Please try again."
+      );
+    }
+  };
+
+  const redirectToStripeCheckout = async (sessionId) => {
+    const stripe = await loadStripe(
+      "pk_test_51Q444XBVtjmRtQ1vUIRuhU4HOgMMiT6W5OyCT551VgoPpv3UAtXiENBDaaEgRXodQ2pICIJJxziGXZYl0hOwHU1P00KWOUDpry"
+    );
+    if (stripe) {
+      console.log("Stripe loaded successfully, redirecting to checkout");
+      const result = await stripe.redirectToCheckout({ sessionId });
+
+      if (result.error) {
+        console.error("Stripe redirectToCheckout error:", result.error);
+        toast.error("Payment failed. Please try again.");
       }
-      toast.error("Payment failed. Please try again.");
+    } else {
+      console.error("Failed to load Stripe");
+      toast.error("Failed to load Stripe. Please try again.");
     }
   };
 
+  const openRazorpayCheckout = (order) => {
+    if (!window.Razorpay) {
+      toast.error("Failed to load Razorpay. Please try again.");
+      return;
+    }
+
+    const razorpay = new window.Razorpay({
+      key: order.keyId,
+      amount: order.amount,
+      currency: order.currency,
+      name: "Appointment Payment",
+      order_id: order.orderId,
+      handler: (response) =>
+        verifyPayment({ provider: "razorpay", ...response }),
+    });
+    razorpay.open();
+  };
+
+  // Confirms a payment with the backend, e.g. when Stripe redirects back
+  // to /success or the Razorpay widget reports a completed payment
+  const verifyPayment = async (payment) => {
+    try {
+      const { data } = await axios.post(
+        `${backendUrl}/api/user/verify-payment`,
+        payment,
+        { headers: { token } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        getUserAppointments();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      console.error("Error verifying payment:", error);
+      toast.error("Failed to verify payment.");
+    }
+  };
+
+  const onFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  useEffect(() => {
+    if (token) {
+      getWaitlist();
+    }
+  }, [token]);
+
   useEffect(() => {
-    getUserAppointments();
+    if (!token) return;
+    // waits for a pause in typing before searching by doctor name
+    const timer = setTimeout(getUserAppointments, 300);
+    return () => clearTimeout(timer);
+  }, [token, filters, page]);
+
+  useEffect(() => {
+    getPaymentProviders();
+  }, []);
+
+  useEffect(() => {
+    const sessionId = searchParams.get("session_id");
+    if (token && sessionId) {
+      verifyPayment({ provider: "stripe", sessionId });
+      setSearchParams({}, { replace: true });
+    }
   }, [token]);
 
   return (
     <div>
+      {waitlist.length > 0 && (
+        <div>
+          <p className="pb-3 mt-12 font-medium text-zinc-700 border-b">
+            My waitlist
+          </p>
+          {waitlist.map((item) => (
+            <div
+              className="flex flex-wrap items-center justify-between gap-4 py-2 border-b text-sm text-zinc-600"
+              key={item._id}
+            >
+              <div>
+                <p className="text-neutral-800 font-semibold">
+                  {item.docData?.name}
+                </p>
+                <p className="text-xs">
+                  {item.fromDate}
+                  {item.toDate !== item.fromDate && ` to ${item.toDate}`}
+                </p>
+                {item.status === "offered" && (
+                  <p className="text-xs mt-1 text-green-600">
+                    Slot held for you: {slotDateFormat(item.offer.slotDate)} |{" "}
+                    {item.offer.slotTime} (until{" "}
+                    {new Date(item.offer.expiresAt).toLocaleTimeString([], {
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })}
+                    )
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                {item.status === "offered" && (
+                  <button
+                    onClick={() => acceptWaitlistOffer(item._id)}
+                    className="text-sm text-stone-500 text-center sm:min-w-48 py-2 border rounded hover:bg-primary hover:text-white transition-all duration-300"
+                  >
+                    Book held slot
+                  </button>
+                )}
+                <button
+                  onClick={() => leaveWaitlist(item._id)}
+                  className="text-sm text-stone-500 text-center sm:min-w-48 py-2 border rounded hover:bg-red-600 hover:text-white transition-all duration-300"
+                >
+                  {item.status === "offered" ? "Decline" : "Leave waitlist"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
       <p className="pb-3 mt-12 font-medium text-zinc-700 border-b">
         My appointments
       </p>
+      <div className="flex flex-wrap items-center gap-3 py-3 text-sm text-gray-600 border-b">
+        <select
+          className="border border-gray-300 rounded px-3 py-2"
+          name="status"
+          value={filters.status}
+          onChange={onFilterChange}
+        >
+          <option value="">All appointments</option>
+          <option value="upcoming">Upcoming</option>
+          <option value="completed">Completed</option>
+          <option value="cancelled">Cancelled</option>
+          <option value="unpaid">Unpaid</option>
+        </select>
+        <input
+          className="border border-gray-300 rounded px-3 py-2"
+          type="text"
+          name="doctor"
+          placeholder="Doctor name"
+          value={filters.doctor}
+          onChange={onFilterChange}
+        />
+        <select
+          className="border border-gray-300 rounded px-3 py-2"
+          name="sort"
+          value={filters.sort}
+          onChange={onFilterChange}
+        >
+          <option value="booked-desc">Newest bookings</option>
+          <option value="booked-asc">Oldest bookings</option>
+          <option value="date-asc">Appointment date, earliest</option>
+          <option value="date-desc">Appointment date, latest</option>
+        </select>
+      </div>
       <div>
-        {appointments.map((item, index) => (
+        {appointments.length === 0 && (
+          <p className="py-4 text-sm text-zinc-500">No appointments found</p>
+        )}
+        {appointments.map((item) => (
           <div
             className="grid grid-cols-[1fr_2fr] gap-4 sm:flex sm:gap-6 py-2 border-b"
-            key={index}
+            key={item._id}
           >
             <div>
               <img
@@ -161,6 +506,15 @@ const MyAppointments = () => {
                 </span>
                 {slotDateFormat(item.slotDate)} | {item.slotTime}
               </p>
+              {!item.cancelled &&
+                !item.isCompleted &&
+                item.cancellationCutoff &&
+                Date.now() <= item.cancellationCutoff && (
+                  <p className="text-xs mt-1 text-green-600">
+                    Free cancellation until{" "}
+                    {formatCutoff(item.cancellationCutoff)}
+                  </p>
+                )}
             </div>
             <div className="flex flex-col gap-2 justify-end">
               {!item.cancelled && item.payment && !item.isCompleted && (
@@ -168,17 +522,39 @@ const MyAppointments = () => {
                   Paid
                 </button>
               )}
-              {!item.cancelled && !item.payment && !item.isCompleted && (
+              {item.payment && (
+                <button
+                  onClick={() => downloadInvoice(item._id)}
+                  className="text-sm text-stone-500 text-center sm:min-w-48 py-2 border rounded hover:bg-primary hover:text-white transition-all duration-300"
+                >
+                  Download invoice
+                </button>
+              )}
+              {!item.cancelled &&
+                !item.payment &&
+                !item.isCompleted &&
+                paymentProviders.map((provider) => (
+                  <button
+                    key={provider.name}
+                    onClick={() => handlePayOnline(item._id, provider.name)}
+                    className="text-sm text-stone-500 text-center sm:min-w-48 py-2 border rounded hover:bg-primary hover:text-white transition-all duration-300"
+                  >
+                    {paymentProviders.length > 1
+                      ? `Pay with ${provider.label}`
+                      : "Pay Online"}
+                  </button>
+                ))}
+              {!item.cancelled && !item.isCompleted && (
                 <button
-                  onClick={() => handlePayOnline(item._id)}
+                  onClick={() => setRescheduleItem(item)}
                   className="text-sm text-stone-500 text-center sm:min-w-48 py-2 border rounded hover:bg-primary hover:text-white transition-all duration-300"
                 >
-                  Pay Online
+                  Reschedule
                 </button>
               )}
-              {!item.cancelled && !item.payment && !item.isCompleted && (
+              {!item.cancelled && !item.isCompleted && (
                 <button
-                  onClick={() => cancelAppointment(item._id)}
+                  onClick={() => cancelAppointment(item)}
                   className="text-sm text-stone-500 text-center sm:min-w-48 py-2 border rounded hover:bg-red-600 hover:text-white transition-all duration-300"
                 >
                   Cancel appointment
@@ -189,6 +565,24 @@ const MyAppointments = () => {
                   Appointment cancelled
                 </button>
               )}
+              {item.cancelled &&
+                item.refundStatus &&
+                item.refundStatus !== "none" && (
+                  <p
+                    className={`text-xs text-center ${
+                      item.refundStatus === "failed"
+                        ? "text-red-500"
+                        : item.refundStatus === "refunded"
+                        ? "text-green-600"
+                        : "text-stone-500"
+                    }`}
+                  >
+                    {refundStatusLabels[item.refundStatus]}
+                    {item.refundAmount
+                      ? ` (${currencySymbol}${item.refundAmount})`
+                      : ""}
+                  </p>
+                )}
               {item.isCompleted && (
                 <button className="sm:min-w-48 py-2 border border-green-500 rounded text-green-500">
                   Completed
@@ -198,6 +592,56 @@ const MyAppointments = () => {
           </div>
         ))}
       </div>
+
+      {pages > 1 && (
+        <div className="flex items-center justify-end gap-3 mt-4 text-sm text-zinc-600">
+          <button
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={page <= 1}
+            className="px-4 py-1 border rounded disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <p>
+            Page {page} of {pages}
+          </p>
+          <button
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={page >= pages}
+            className="px-4 py-1 border rounded disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {/* ----- Reschedule dialog ------- */}
+      {rescheduleItem && (
+        <div className="fixed inset-0 z-30 flex items-center justify-center bg-black/40 px-4">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl">
+            <div className="flex items-center justify-between">
+              <p className="text-lg font-medium text-neutral-800">
+                Reschedule with {rescheduleItem.docData?.name}
+              </p>
+              <p
+                onClick={() => setRescheduleItem(null)}
+                className="text-sm text-stone-500 cursor-pointer"
+              >
+                Close
+              </p>
+            </div>
+            <p className="text-sm text-zinc-600 mt-1 mb-4">
+              Current slot: {slotDateFormat(rescheduleItem.slotDate)} |{" "}
+              {rescheduleItem.slotTime}
+            </p>
+            <SlotPicker
+              docId={rescheduleItem.docId}
+              buttonLabel="Confirm new time"
+              onSubmit={rescheduleAppointment}
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
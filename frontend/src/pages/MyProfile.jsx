@@ -5,8 +5,14 @@ import axios from "axios";
 import { toast } from "react-toastify";
 
 const MyProfile = () => {
-  const { userData, setUserData, token, backendUrl, loadUserProfileData } =
-    useContext(AppContext);
+  const {
+    userData,
+    setUserData,
+    token,
+    backendUrl,
+    loadUserProfileData,
+    resendVerification,
+  } = useContext(AppContext);
 
   const [isEdit, setIsEdit] = useState(false);
   const [image, setImage] = useState(false);
@@ -92,7 +98,20 @@ const MyProfile = () => {
           <p className="text-neutral-500 underline mt-3">CONTACT INFORMATION</p>
           <div className="grid grid-cols-[1fr_3fr] gap-y-2.5 mt-3 text-neutral-700">
             <p className="font-medium">Email Id:</p>
-            <p className="text-blue-500">{userData.email}</p>
+            <div>
+              <p className="text-blue-500">{userData.email}</p>
+              {userData.emailVerified === false && (
+                <p className="text-xs text-amber-700 mt-1">
+                  Pending verification, check your inbox to book appointments.{" "}
+                  <span
+                    onClick={resendVerification}
+                    className="text-primary underline cursor-pointer"
+                  >
+                    Resend link
+                  </span>
+                </p>
+              )}
+            </div>
             <p className="font-medium">Phone:</p>
             {isEdit ? (
               <input
@@ -0,0 +1,91 @@
+import { useContext, useState } from "react";
+import { AppContext } from "../context/AppContext";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { useNavigate, useSearchParams } from "react-router-dom";
+
+const ResetPassword = () => {
+  const { backendUrl } = useContext(AppContext);
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+
+    if (password !== confirmPassword) {
+      return toast.error("Passwords do not match");
+    }
+
+    try {
+      const { data } = await axios.post(
+        backendUrl + "/api/user/reset-password",
+        { token, password }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        navigate("/login");
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <form onSubmit={onSubmitHandler} className="min-h-[80vh] flex items-center">
+      <div className="flex flex-col gap-3 m-auto items-start p-8 min-w-[340px] sm:min-w-96 border rounded-xl text-zinc-600 text-sm shadow-lg">
+        <p className="text-2xl font-semibold">Reset Password</p>
+        {token ? (
+          <>
+            <p>Choose a new password of at least 8 characters</p>
+            <div className="w-full">
+              <p>New Password</p>
+              <input
+                className=" border border-zinc-300 rounded w-full p-2 mt-1"
+                type="password"
+                minLength={8}
+                onChange={(e) => setPassword(e.target.value)}
+                value={password}
+                required
+              />
+            </div>
+            <div className="w-full">
+              <p>Confirm Password</p>
+              <input
+                className=" border border-zinc-300 rounded w-full p-2 mt-1"
+                type="password"
+                minLength={8}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                value={confirmPassword}
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              className="bg-primary text-white w-full py-2 rounded-md text-base"
+            >
+              Update Password
+            </button>
+          </>
+        ) : (
+          <p>
+            This reset link is incomplete.{" "}
+            <span
+              onClick={() => navigate("/forgot-password")}
+              className="text-primary underline cursor-pointer"
+            >
+              Request a new one
+            </span>
+          </p>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default ResetPassword;
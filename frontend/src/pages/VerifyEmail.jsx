@@ -0,0 +1,69 @@
+import { useContext, useEffect, useState } from "react";
+import { AppContext } from "../context/AppContext";
+import axios from "axios";
+import { useNavigate, useSearchParams } from "react-router-dom";
+
+const VerifyEmail = () => {
+  const { backendUrl, token, loadUserProfileData } = useContext(AppContext);
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // "verifying", "verified" or the error message
+  const [status, setStatus] = useState("verifying");
+
+  const verifyEmail = async () => {
+    try {
+      const { data } = await axios.post(backendUrl + "/api/user/verify-email", {
+        token: searchParams.get("token"),
+      });
+      if (data.success) {
+        setStatus("verified");
+        if (token) {
+          loadUserProfileData();
+        }
+      } else {
+        setStatus(data.message);
+      }
+    } catch (error) {
+      console.log(error);
+      setStatus(error.message);
+    }
+  };
+
+  useEffect(() => {
+    verifyEmail();
+  }, []);
+
+  return (
+    <div className="min-h-[80vh] flex items-center">
+      <div className="flex flex-col gap-3 m-auto items-start p-8 min-w-[340px] sm:min-w-96 border rounded-xl text-zinc-600 text-sm shadow-lg">
+        <p className="text-2xl font-semibold">Email Verification</p>
+        {status === "verifying" && <p>Confirming your email address...</p>}
+        {status === "verified" && (
+          <>
+            <p>Your email address is confirmed. You can now book appointments.</p>
+            <button
+              onClick={() => navigate(token ? "/doctors" : "/login")}
+              className="bg-primary text-white w-full py-2 rounded-md text-base"
+            >
+              {token ? "Find a Doctor" : "Login"}
+            </button>
+          </>
+        )}
+        {status !== "verifying" && status !== "verified" && (
+          <p>
+            {status}. You can request a new link from{" "}
+            <span
+              onClick={() => navigate("/my-profile")}
+              className="text-primary underline cursor-pointer"
+            >
+              My Profile
+            </span>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;